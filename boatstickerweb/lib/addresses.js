@@ -0,0 +1,119 @@
+// lib/addresses.js
+// The shipping address of a paid order. Stripe Checkout collects it (name,
+// address and phone); the order stores it as collected and it is validated
+// and normalized on its way to Gooten:
+//   { name, line1, line2, city, state, postal_code, country, phone }
+import { validateAddress, addressError } from "./countries.js";
+
+const HONORIFICS = new Set(["MR", "MRS", "MS", "MISS", "MX", "DR", "PROF", "CAPT", "CAPTAIN", "SIR", "DAME", "REV"]);
+const SUFFIXES = new Set(["JR", "SR", "II", "III", "IV", "V", "PHD", "MD", "ESQ"]);
+// Lower-case words that start a family name: "Ludwig van Beethoven", "María de la Cruz".
+const PARTICLES = new Set(["van", "von", "de", "da", "di", "du", "del", "della", "des", "dos", "das", "la", "le", "der", "den", "ter", "ten", "bin", "binti", "al", "el"]);
+
+// The fields of the shipping address model, in order.
+export const SHIPPING_FIELDS = ["name", "line1", "line2", "city", "state", "postal_code", "country", "phone"];
+
+const word = (t) => t.replace(/\./g, "").toUpperCase();
+
+/**
+ * Splits a full name into Gooten's FirstName/LastName. Handles "Last, First",
+ * honorifics, suffixes (kept with the last name) and family-name particles.
+ * A single-word name has an empty last name.
+ */
+export function splitName(fullName) {
+  let name = String(fullName ?? "").replace(/\s+/g, " ").trim();
+  if (!name) return null;
+
+  const comma = name.match(/^([^,]+),\s*(.+)$/);
+  if (comma && !SUFFIXES.has(word(comma[2]))) name = `${comma[2]} ${comma[1]}`;
+  else name = name.replace(/,/g, "");
+
+  const tokens = name.split(" ");
+  while (tokens.length > 1 && HONORIFICS.has(word(tokens[0]))) tokens.shift();
+  const suffixes = [];
+  while (tokens.length > 2 && SUFFIXES.has(word(tokens.at(-1)))) suffixes.unshift(tokens.pop());
+  if (tokens.length === 1) return { first: tokens[0], last: suffixes.join(" ") };
+
+  let lastStart = tokens.length - 1;
+  const particle = tokens.findIndex((t, i) => i > 0 && i < tokens.length - 1 && PARTICLES.has(t));
+  if (particle > 0) lastStart = particle;
+  return {
+    first: tokens.slice(0, lastStart).join(" "),
+    last: [...tokens.slice(lastStart), ...suffixes].join(" "),
+  };
+}
+
+/** The shipping address Stripe collected for a completed Checkout session. */
+export function shippingFromSession(session) {
+  const details = session.shipping_details || session.collected_information?.shipping_details || {};
+  const a = details.address || {};
+  return {
+    name: details.name || session.customer_details?.name || null,
+    line1: a.line1 || null,
+    line2: a.line2 || null,
+    city: a.city || null,
+    state: a.state || null,
+    postal_code: a.postal_code || null,
+    country: a.country || null,
+    phone: session.customer_details?.phone || details.phone || null,
+  };
+}
+
+// Same postcode, allowing for more precision on either side (ZIP vs ZIP+4).
+// A missing postcode matches nothing.
+function samePostcode(a, b) {
+  const x = String(a || "").replace(/[\s-]+/g, "");
+  const y = String(b || "").replace(/[\s-]+/g, "");
+  if (!x || !y) return false;
+  return x.startsWith(y) || y.startsWith(x);
+}
+
+/**
+ * Why a paid order can't be shipped to the address Stripe collected, or null.
+ * Runs the checks Gooten submission would, before the order is recorded, so a
+ * bad address holds the order for a correction instead of failing it later.
+ * Shipping is quoted for the postcode typed before checkout (`quotedPostal`);
+ * Stripe only restricts the country, so another postcode is held as well.
+ */
+export function shippingProblem(shipping, email, quotedPostal) {
+  let shipTo;
+  try {
+    shipTo = toGootenAddress(shipping, email);
+  } catch (e) {
+    if (e.code === "INVALID_ADDRESS" || e.code === "INVALID_COUNTRY") return e.message;
+    throw e;
+  }
+  if (quotedPostal && !samePostcode(shipTo.PostalCode, quotedPostal)) {
+    return shipTo.PostalCode
+      ? `Shipping was paid for postcode ${quotedPostal}, but the address is in ${shipTo.PostalCode}`
+      : `Shipping was paid for postcode ${quotedPostal}, but the address has none`;
+  }
+  return null;
+}
+
+/**
+ * Gooten ShipToAddress for a stored shipping address. Throws INVALID_ADDRESS /
+ * INVALID_COUNTRY when it can't be shipped to as-is, rather than inventing
+ * placeholder values Gooten would reject or misship.
+ */
+export function toGootenAddress(shipping, email) {
+  const name = splitName(shipping?.name);
+  if (!name) throw addressError("Recipient name is missing", "name");
+  // Gooten rejects an empty LastName.
+  if (!name.last) throw addressError("Recipient's first and last name are needed", "name");
+  const phone = String(shipping?.phone ?? "").trim();
+  if (!/\d{5,}/.test(phone.replace(/\D/g, ""))) throw addressError("Recipient phone number is missing", "phone");
+  const address = validateAddress(shipping);
+  return {
+    FirstName: name.first,
+    LastName: name.last,
+    Line1: address.line1,
+    Line2: address.line2 || "",
+    City: address.city,
+    State: address.state || "",
+    CountryCode: address.country,
+    PostalCode: address.postal_code || "",
+    Phone: phone,
+    Email: email,
+  };
+}
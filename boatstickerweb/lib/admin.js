@@ -0,0 +1,353 @@
+// lib/admin.js
+import express from "express";
+import { normalizeCountryCode } from "./countries.js";
+import { serializeOrder, FULFILLMENT_LEASE } from "./orders.js";
+import { UUID_RE } from "./designs.js";
+
+function parsePage(query) {
+  return {
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+  };
+}
+
+export function createAdmin(ctx) {
+  const { pool, q, stripe } = ctx;
+  const { ORDER_NOTIFY_EMAILS } = ctx.config;
+  const router = express.Router();
+
+  // Gooten debug (admins only)
+  router.get("/debug/gooten-variants", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const country = normalizeCountryCode(req.query.country || "US");
+      const product = ctx.getProduct(req.query.product);
+      if (!product) return res.status(404).json({ error: "Unknown product" });
+      const enabled = await ctx.gooten.fetchVariantsForCountry(product, country);
+      res.json({ country, product: product.id, enabledCount: enabled.length, enabled });
+    } catch (e) {
+      res.status(e.code === "INVALID_COUNTRY" ? 400 : 500).json({ error: String(e) });
+    }
+  });
+
+  // What Gooten would charge for one of `product` shipped to `country` (admins only)
+  router.get("/debug/gooten-quote", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const country = normalizeCountryCode(req.query.country || "US");
+      const product = ctx.getProduct(req.query.product);
+      if (!product) return res.status(404).json({ error: "Unknown product" });
+      const options = Object.fromEntries(Object.entries(product.options).map(([k, v]) => [k, req.query[k] || v[0]]));
+      const sku = await ctx.gooten.pickSkuForCountry({ product, options, countryCode: country });
+      const where = { countryCode: country, postalCode: req.query.postal, state: req.query.state, currency: ctx.chargeCurrency(country) };
+      const items = [{ sku, quantity: 1 }];
+      const [estimate, shipping] = await Promise.all([
+        ctx.gooten.estimatePrice({ ...where, items }),
+        ctx.gooten.getShippingOptions({ ...where, items }),
+      ]);
+      res.json({ country, product: product.id, sku, estimate, shipping });
+    } catch (e) {
+      res.status(e.code === "INVALID_COUNTRY" ? 400 : 500).json({ error: String(e) });
+    }
+  });
+
+  // Drop cached Gooten variants after changing the recipe's products in Gooten.
+  // Narrow with { product, country }; an empty body clears everything.
+  router.post("/admin/gooten/invalidate", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const { product: productId, country } = req.body || {};
+      const product = productId ? ctx.getProduct(productId) : null;
+      if (productId && !product?.gootenProductId) return res.status(404).json({ error: "Unknown Gooten product" });
+      const dropped = ctx.gooten.invalidate({
+        gootenProductId: product?.gootenProductId,
+        countryCode: country ? normalizeCountryCode(country) : undefined,
+      });
+      res.json({ ok: true, dropped });
+    } catch (err) {
+      console.error("❌ /admin/gooten/invalidate error:", err);
+      res.status(500).json({ error: "Failed to clear the Gooten cache" });
+    }
+  });
+
+  async function requireAdmin(req, res) {
+    const user = await ctx.getAuthedUser(req);
+    if (!user) { res.status(401).json({ error: "Sign in required" }); return null; }
+    if (user.role !== "admin") { res.status(403).json({ error: "Admins only" }); return null; }
+    return user;
+  }
+
+  async function orderNotificationRecipients() {
+    const configured = ORDER_NOTIFY_EMAILS.split(",").map((e) => e.trim()).filter(Boolean);
+    if (configured.length || !pool) return configured;
+    const { rows } = await q("SELECT email FROM users WHERE role='admin' ORDER BY created_at");
+    return rows.map((r) => r.email);
+  }
+
+  /**
+   * Runs a filtered, paginated admin listing. `filters` is a list of
+   * [sqlFragmentWith$?, value] pairs; entries with an empty value are skipped.
+   */
+  async function adminList({ select, from, filters, orderBy, query }) {
+    const { limit, offset } = parsePage(query);
+    const where = [];
+    const params = [];
+    for (const [fragment, value] of filters) {
+      if (value === undefined || value === null || value === "") continue;
+      params.push(value);
+      where.push(fragment.replace("$?", `$${params.length}`));
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+    const total = await q(`SELECT COUNT(*)::int AS n FROM ${from} ${whereSql}`, params);
+    const { rows } = await q(
+      `SELECT ${select} FROM ${from} ${whereSql} ORDER BY ${orderBy} LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { rows, total: total.rows[0].n, limit, offset };
+  }
+
+  router.get("/admin/users", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const { rows, ...page } = await adminList({
+        select: `u.id, u.email, u.role, u.created_at,
+                 (SELECT row_to_json(s) FROM (
+                    SELECT plan, status, source, current_period_end
+                    FROM subscriptions WHERE user_id=u.id ORDER BY updated_at DESC LIMIT 1) s) AS subscription,
+                 (SELECT COUNT(*)::int FROM generations g WHERE g.user_id=u.id) AS generations,
+                 (SELECT COUNT(*)::int FROM orders o WHERE o.user_id=u.id) AS orders`,
+        from: "users u",
+        filters: [
+          ["u.email ILIKE '%' || $? || '%'", req.query.q],
+          ["u.role = $?", req.query.role],
+        ],
+        orderBy: "u.created_at DESC",
+        query: req.query,
+      });
+      res.json({ users: rows, ...page });
+    } catch (err) {
+      console.error("❌ /admin/users error:", err);
+      res.status(500).json({ error: "Failed to list users" });
+    }
+  });
+
+  router.get("/admin/subscriptions", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const { rows, ...page } = await adminList({
+        select: "s.*, u.email",
+        from: "subscriptions s JOIN users u ON u.id = s.user_id",
+        filters: [
+          ["s.status = $?", req.query.status],
+          ["s.plan = $?", req.query.plan],
+          ["s.source = $?", req.query.source],
+          ["u.email ILIKE '%' || $? || '%'", req.query.q],
+        ],
+        orderBy: "s.updated_at DESC",
+        query: req.query,
+      });
+      res.json({ subscriptions: rows, ...page });
+    } catch (err) {
+      console.error("❌ /admin/subscriptions error:", err);
+      res.status(500).json({ error: "Failed to list subscriptions" });
+    }
+  });
+
+  router.get("/admin/generations", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const { rows, ...page } = await adminList({
+        select: "g.*, u.email",
+        from: "generations g JOIN users u ON u.id = g.user_id",
+        filters: [
+          ["g.mode = $?", req.query.mode],
+          ["g.user_id::text = $?", req.query.userId],
+          ["u.email ILIKE '%' || $? || '%'", req.query.q],
+          ["g.created_at >= $?::timestamptz", req.query.since],
+        ],
+        orderBy: "g.created_at DESC",
+        query: req.query,
+      });
+      res.json({ generations: rows, ...page });
+    } catch (err) {
+      console.error("❌ /admin/generations error:", err);
+      res.status(500).json({ error: "Failed to list generations" });
+    }
+  });
+
+  router.get("/admin/orders", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const { rows, ...page } = await adminList({
+        select: "o.*",
+        from: "orders o",
+        filters: [
+          ["o.status = $?", req.query.status],
+          ["o.email ILIKE '%' || $? || '%'", req.query.q],
+          ["o.created_at >= $?::timestamptz", req.query.since],
+        ],
+        orderBy: "o.created_at DESC",
+        query: req.query,
+      });
+      res.json({
+        orders: rows.map((o) => ({
+          ...serializeOrder(o),
+          email: o.email,
+          stripeSessionId: o.stripe_session_id,
+          gootenOrderId: o.gooten_order_id,
+          refundedAmount: o.refunded_amount,
+          lastError: o.last_error,
+        })),
+        ...page,
+      });
+    } catch (err) {
+      console.error("❌ /admin/orders error:", err);
+      res.status(500).json({ error: "Failed to list orders" });
+    }
+  });
+
+  router.get("/admin/print-files", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const { rows, ...page } = await adminList({
+        select: "p.*",
+        from: "print_files p",
+        filters: [
+          ["p.status = $?", req.query.status],
+          ["p.product_id = $?", req.query.product],
+        ],
+        orderBy: "p.created_at DESC",
+        query: req.query,
+      });
+      res.json({
+        printFiles: rows.map((p) => ({ ...ctx.serializePrintFile(p), id: p.id, productId: p.product_id, designId: p.design_id, createdAt: p.created_at })),
+        ...page,
+      });
+    } catch (err) {
+      console.error("❌ /admin/print-files error:", err);
+      res.status(500).json({ error: "Failed to list print files" });
+    }
+  });
+
+  // Grant Pro without Stripe (support gestures, partners). Expires after `days`.
+  router.post("/admin/users/:id/comp-pro", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: "User not found" });
+      const days = Math.min(Math.max(parseInt(req.body?.days, 10) || 30, 1), 3650);
+      const u = await q("SELECT id FROM users WHERE id=$1", [req.params.id]);
+      if (!u.rows[0]) return res.status(404).json({ error: "User not found" });
+      const { rows } = await q(
+        `INSERT INTO subscriptions (user_id, plan, status, source, current_period_end)
+         VALUES ($1,'pro','active','comp', now() + make_interval(days => $2))
+         RETURNING *`,
+        [req.params.id, days]
+      );
+      res.status(201).json({ subscription: rows[0] });
+    } catch (err) {
+      console.error("❌ /admin/users/:id/comp-pro error:", err);
+      res.status(500).json({ error: "Failed to comp Pro" });
+    }
+  });
+
+  // Refund through Stripe; the charge.refunded webhook updates the order row.
+  router.post("/admin/orders/:id/refund", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: "Order not found" });
+      const { rows } = await q("SELECT * FROM orders WHERE id=$1", [req.params.id]);
+      const order = rows[0];
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      if (!order.stripe_payment_intent_id) return res.status(409).json({ error: "Order has no Stripe payment to refund" });
+
+      const amount = req.body?.amount !== undefined ? parseInt(req.body.amount, 10) : undefined;
+      if (amount !== undefined && (!Number.isInteger(amount) || amount < 1)) {
+        return res.status(400).json({ error: "amount must be a positive integer (cents)" });
+      }
+      const refund = await stripe.refunds.create({
+        payment_intent: order.stripe_payment_intent_id,
+        ...(amount ? { amount } : {}),
+        metadata: { orderId: order.id },
+      });
+      res.json({ refund: { id: refund.id, status: refund.status, amount: refund.amount } });
+    } catch (err) {
+      console.error("❌ /admin/orders/:id/refund error:", err);
+      res.status(err?.type === "StripeInvalidRequestError" ? 400 : 500).json({ error: err.message });
+    }
+  });
+
+  // Correct the address of an order held for one (or failed on it) and submit it.
+  // Body fields (name, line1, …, phone) replace the ones Stripe collected; an
+  // empty body ships to the collected address as-is (e.g. after a postcode mismatch).
+  router.post("/admin/orders/:id/address", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      if (!UUID_RE.test(req.params.id)) return res.status(404).json({ error: "Order not found" });
+      let result;
+      try { result = await ctx.correctShippingAddress(req.params.id, req.body || {}); }
+      catch (e) {
+        if (e.code === "INVALID_ADDRESS" || e.code === "INVALID_COUNTRY") return res.status(400).json({ error: e.message, field: e.meta?.field || null });
+        throw e;
+      }
+      if (!result) return res.status(409).json({ error: "Order is not waiting for an address" });
+      res.status(result.ok ? 200 : 502).json(result);
+    } catch (err) {
+      console.error("❌ /admin/orders/:id/address error:", err);
+      res.status(500).json({ error: "Failed to update the shipping address" });
+    }
+  });
+
+  // Orders that failed and are out of retries, whose retries are still pending,
+  // or that are waiting for a shipping address.
+  router.get("/admin/fulfillment/stuck", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      const { rows } = await q(
+        `SELECT o.*,
+                (SELECT json_agg(a ORDER BY a.created_at)
+                   FROM fulfillment_attempts a WHERE a.order_id = o.id) AS attempts
+         FROM orders o
+         WHERE o.status IN ('paid','failed','needs_address')
+         ORDER BY o.next_attempt_at NULLS FIRST, o.created_at
+         LIMIT 200`
+      );
+      res.json({
+        orders: rows.map((o) => ({
+          ...serializeOrder(o),
+          email: o.email,
+          stripeSessionId: o.stripe_session_id,
+          fulfillmentAttempts: o.fulfillment_attempts,
+          nextAttemptAt: o.next_attempt_at,
+          exhausted: o.status === "failed" && !o.next_attempt_at,
+          lastError: o.last_error,
+          attempts: o.attempts || [],
+        })),
+      });
+    } catch (err) {
+      console.error("❌ /admin/fulfillment/stuck error:", err);
+      res.status(500).json({ error: "Failed to list stuck orders" });
+    }
+  });
+
+  // Re-drive one order now. Safe to repeat: Gooten dedupes on SourceId.
+  router.post("/admin/fulfillment/:orderId/retry", async (req, res) => {
+    try {
+      if (!(await requireAdmin(req, res))) return;
+      if (!UUID_RE.test(req.params.orderId)) return res.status(404).json({ error: "Order not found" });
+      const { rows } = await q(
+        `UPDATE orders SET next_attempt_at = now() + interval '${FULFILLMENT_LEASE}'
+         WHERE id=$1 AND status IN ('paid','failed')
+         RETURNING *`,
+        [req.params.orderId]
+      );
+      if (!rows[0]) return res.status(409).json({ error: "Order is not awaiting fulfillment" });
+      const result = await ctx.fulfillOrder(rows[0]);
+      res.status(result.ok ? 200 : 502).json(result);
+    } catch (err) {
+      console.error("❌ /admin/fulfillment/:orderId/retry error:", err);
+      res.status(500).json({ error: "Failed to retry fulfillment" });
+    }
+  });
+
+  return { router, orderNotificationRecipients };
+}
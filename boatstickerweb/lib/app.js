@@ -0,0 +1,119 @@
+// lib/app.js
+// Builds the Express app from its collaborators. Anything not passed in is
+// created from `config`, so server.js only supplies the config while tests
+// swap in a throwaway database, fake Stripe/Gooten endpoints or a mailer they
+// can read back.
+import path from "path";
+import express from "express";
+import multer from "multer";
+import Stripe from "stripe";
+import cookieParser from "cookie-parser";
+import { createDb } from "./db.js";
+import { createStorage } from "./storage.js";
+import { createMailer } from "./mailer.js";
+import { createImageProvider } from "./providers.js";
+import { createGootenClient } from "./gooten.js";
+import { loadCatalog, createCatalog } from "./catalog.js";
+import { createShipping } from "./shipping.js";
+import { loadStyles, createStyles } from "./styles.js";
+import { createAuth } from "./auth.js";
+import { createQuota } from "./quota.js";
+import { createJobs } from "./jobs.js";
+import { createGeneration } from "./generation.js";
+import { createDesigns } from "./designs.js";
+import { createStickers } from "./stickers.js";
+import { createOverlays } from "./overlays.js";
+import { createPrintFiles } from "./print-files.js";
+import { createMockups } from "./mockups.js";
+import { createPro } from "./pro.js";
+import { createCredits } from "./credits.js";
+import { createCheckout } from "./checkout.js";
+import { createCart } from "./cart.js";
+import { createOrders } from "./orders.js";
+import { createAdmin } from "./admin.js";
+import { createStripeWebhooks } from "./stripe-webhooks.js";
+
+// Mount order matters only where paths overlap; it follows the old server.js layout.
+const MODULES = [
+  createAuth,
+  createCatalog,
+  createShipping,
+  createStyles,
+  createQuota,
+  createJobs,
+  createGeneration,
+  createDesigns,
+  createStickers,
+  createOverlays,
+  createPrintFiles,
+  createMockups,
+  createPro,
+  createCredits,
+  createCheckout,
+  createCart,
+  createOrders,
+  createAdmin,
+  createStripeWebhooks,
+];
+
+/**
+ * Returns { app, ctx }. `ctx` holds the dependencies plus every service the
+ * modules export (getPlan, fulfillOrder, pollActiveJobs, ...); background
+ * workers and tests call those directly.
+ */
+export async function createApp({ config, ...deps }) {
+  const db = deps.pool !== undefined ? { pool: deps.pool, q: deps.q } : createDb(config.DATABASE_URL);
+  const storage = deps.storage || createStorage(config);
+  const ctx = {
+    config,
+    pool: db.pool,
+    q: db.q || ((text, params) => db.pool.query(text, params)),
+    storage,
+    stripe: deps.stripe || new Stripe(config.STRIPE_SECRET_KEY),
+    mailer: deps.mailer || createMailer(config),
+    imageProvider: deps.imageProvider || createImageProvider(config, { storage }),
+    gooten: deps.gooten || createGootenClient({
+      recipeId: config.GOOTEN_RECIPE_ID,
+      apiUrl: config.GOOTEN_API_URL,
+      cacheTtlMs: config.GOOTEN_VARIANTS_TTL,
+    }),
+    catalog: deps.catalog || await loadCatalog(config.CATALOG_PATH || path.join(process.cwd(), "catalog.json")),
+    styles: deps.styles || await loadStyles(config.STYLES_PATH || path.join(process.cwd(), "styles.json")),
+    upload: multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: 12 * 1024 * 1024 },
+    }),
+  };
+
+  const app = express();
+  app.set("trust proxy", 1);
+
+  // Static
+  app.use("/images", express.static(path.join(process.cwd(), "src/public/images"), { maxAge: "7d" }));
+  app.use(express.static("public"));
+  app.use(cookieParser(config.URL_SIGNING_SECRET));
+  // IMPORTANT: keep /webhook raw; everything else JSON
+  app.use((req, res, next) => {
+    if (req.originalUrl === "/webhook" || req.originalUrl === "/webhooks/replicate") return next();
+    return express.json({ limit: "2mb" })(req, res, next);
+  });
+
+  // Health
+  app.get("/healthz", async (_req, res) => {
+    try {
+      if (!ctx.pool) return res.status(200).send("ok (no-db)");
+      await ctx.q("select 1");
+      res.status(200).send("ok");
+    } catch (e) {
+      res.status(500).send("db not ready");
+    }
+  });
+
+  for (const create of MODULES) {
+    const { router, ...services } = create(ctx);
+    Object.assign(ctx, services);
+    app.use(router);
+  }
+
+  return { app, ctx };
+}
@@ -0,0 +1,160 @@
+// lib/auth.js
+import express from "express";
+import crypto from "crypto";
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+export function newToken() {
+  try { return crypto.randomBytes(32).toString("base64url"); }
+  catch { return crypto.randomBytes(32).toString("hex"); }
+}
+
+export function createAuth(ctx) {
+  const { pool, q, mailer } = ctx;
+  const { SESSION_COOKIE_NAME, isProd, APP_ORIGIN, SMTP_USER, ADMIN_EMAIL_SET } = ctx.config;
+  const router = express.Router();
+
+  async function getAuthedUser(req) {
+    if (!pool) return null;
+    const sid = req.signedCookies?.[SESSION_COOKIE_NAME] || req.cookies?.[SESSION_COOKIE_NAME];
+    if (!sid) return null;
+    const now = new Date();
+    const { rows } = await q(
+      `SELECT u.id, u.email, u.role
+       FROM sessions s
+       JOIN users u ON u.id = s.user_id
+       WHERE s.id = $1 AND s.expires_at > $2
+       LIMIT 1`,
+      [sid, now]
+    );
+    return rows[0] || null;
+  }
+  function cookieOptions(days = 90) {
+    return {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: isProd,
+      path: "/",
+      maxAge: days * 24 * 60 * 60 * 1000,
+      signed: true,
+    };
+  }
+  async function createSession(res, userId) {
+    const expiresAt = new Date(Date.now() + 90 * 24 * 60 * 60 * 1000);
+    const { rows } = await q(
+      "INSERT INTO sessions (user_id, expires_at) VALUES ($1,$2) RETURNING id",
+      [userId, expiresAt]
+    );
+    const sid = rows[0].id;
+    res.cookie(SESSION_COOKIE_NAME, sid, cookieOptions(90));
+    return sid;
+  }
+
+  router.post("/auth/send-link", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const emailRaw = (req.body?.email || "").trim().toLowerCase();
+      if (!emailRaw || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(emailRaw)) {
+        return res.status(400).json({ error: "Valid email required" });
+      }
+      if (!APP_ORIGIN) return res.status(500).json({ error: "APP_ORIGIN not configured" });
+
+      await q("INSERT INTO users (email) VALUES ($1) ON CONFLICT (email) DO NOTHING", [emailRaw]);
+      if (ADMIN_EMAIL_SET.has(emailRaw)) await q("UPDATE users SET role='admin' WHERE email=$1", [emailRaw]);
+      const u = await q("SELECT id FROM users WHERE email=$1", [emailRaw]);
+      const userId = u.rows[0].id;
+
+      const token = newToken();
+      const tokenHash = hashToken(token);
+      const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
+
+      await q(
+        "INSERT INTO login_tokens (user_id, token_hash, expires_at) VALUES ($1,$2,$3)",
+        [userId, tokenHash, expiresAt]
+      );
+
+      const verifyUrl = `${APP_ORIGIN.replace(/\/+$/,'')}/auth/verify?token=${encodeURIComponent(token)}`;
+
+      const html = `
+        <div style="font-family:Arial,sans-serif;color:#222">
+          <h2>Sign in to Boat2Merch</h2>
+          <p>Click the secure link below to sign in. This link expires in 15 minutes.</p>
+          <p><a href="${verifyUrl}" style="background:#ff9800;color:#121212;padding:10px 14px;border-radius:8px;text-decoration:none;display:inline-block">Sign in</a></p>
+          <p style="color:#666">If the button doesn't work, paste this URL into your browser:</p>
+          <p style="word-break:break-all;color:#555">${verifyUrl}</p>
+        </div>
+      `;
+      await mailer.sendMail({
+        from: SMTP_USER ? `"boat2merch" <${SMTP_USER}>` : "boat2merch@example.local",
+        to: emailRaw,
+        subject: "Your sign-in link",
+        html,
+      });
+
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ /auth/send-link error:", err);
+      res.status(500).json({ error: "Unable to send link" });
+    }
+  });
+
+  router.get("/auth/verify", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).send("Database not configured");
+      const token = (req.query?.token || "").toString();
+      if (!token) return res.status(400).send("Missing token");
+
+      const tokenHash = hashToken(token);
+      const now = new Date();
+      const { rows } = await q(
+        `SELECT lt.id, lt.user_id
+         FROM login_tokens lt
+         WHERE lt.token_hash = $1
+           AND lt.used = false
+           AND lt.expires_at > $2
+         LIMIT 1`,
+        [tokenHash, now]
+      );
+      if (!rows.length) return res.status(400).send("Invalid or expired link");
+
+      const { user_id, id: tokenId } = rows[0];
+      await q("UPDATE login_tokens SET used=true WHERE id=$1", [tokenId]);
+      await createSession(res, user_id);
+      await ctx.mergeAnonymousCart(req, res, user_id).catch((e) => console.error("⚠️ cart merge failed:", e));
+
+      const target = `${(APP_ORIGIN || "").replace(/\/+$/,'')}/index.html?login=ok`;
+      res.redirect(target);
+    } catch (err) {
+      console.error("❌ /auth/verify error:", err);
+      res.status(500).send("Auth failed");
+    }
+  });
+
+  router.get("/auth/session", async (req, res) => {
+    try {
+      const user = await getAuthedUser(req);
+      if (!user) return res.json({ user: null });
+      return res.json({ user: { email: user.email } });
+    } catch (err) {
+      console.error("❌ /auth/session error:", err);
+      res.status(500).json({ user: null });
+    }
+  });
+
+  router.post("/auth/signout", async (req, res) => {
+    try {
+      if (pool) {
+        const sid = req.signedCookies?.[SESSION_COOKIE_NAME] || req.cookies?.[SESSION_COOKIE_NAME];
+        if (sid) await q("DELETE FROM sessions WHERE id=$1", [sid]).catch(() => {});
+      }
+      res.clearCookie(SESSION_COOKIE_NAME, cookieOptions(0));
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ /auth/signout error:", err);
+      res.status(500).json({ ok: false });
+    }
+  });
+
+  return { router, getAuthedUser, cookieOptions };
+}
@@ -0,0 +1,273 @@
+// lib/cart.js
+import express from "express";
+import { UUID_RE } from "./designs.js";
+import { lookupCountry } from "./countries.js";
+import { MAX_ORDER_ITEMS, MAX_ITEM_QUANTITY, parseQuantity, sendCheckoutError } from "./checkout.js";
+
+function sendCartError(res, e) {
+  if (e.code === "INVALID_PRODUCT") return res.status(400).json({ error: e.message });
+  throw e;
+}
+
+export function createCart(ctx) {
+  const { q, catalog: CATALOG, pool, stripe } = ctx;
+  const { CART_COOKIE_NAME, APP_ORIGIN } = ctx.config;
+  const router = express.Router();
+
+  function readCartCookie(req) {
+    const id = req.signedCookies?.[CART_COOKIE_NAME] || req.cookies?.[CART_COOKIE_NAME];
+    return id && UUID_RE.test(id) ? id : null;
+  }
+
+  async function findOpenCart(req, user) {
+    if (user) {
+      const { rows } = await q("SELECT * FROM carts WHERE user_id=$1 AND status='open' LIMIT 1", [user.id]);
+      return rows[0] || null;
+    }
+    const cookieId = readCartCookie(req);
+    if (!cookieId) return null;
+    const { rows } = await q(
+      "SELECT * FROM carts WHERE id=$1 AND user_id IS NULL AND status='open'",
+      [cookieId]
+    );
+    return rows[0] || null;
+  }
+
+  async function getOrCreateCart(req, res, user) {
+    const existing = await findOpenCart(req, user);
+    if (existing) return existing;
+    if (user) {
+      const { rows } = await q(
+        `INSERT INTO carts (user_id) VALUES ($1)
+         ON CONFLICT (user_id) WHERE user_id IS NOT NULL AND status = 'open'
+         DO UPDATE SET updated_at=now()
+         RETURNING *`,
+        [user.id]
+      );
+      return rows[0];
+    }
+    const { rows } = await q("INSERT INTO carts (status) VALUES ('open') RETURNING *");
+    res.cookie(CART_COOKIE_NAME, rows[0].id, ctx.cookieOptions(30));
+    return rows[0];
+  }
+
+  // Called after magic-link sign-in: fold the anonymous cart into the user's.
+  async function mergeAnonymousCart(req, res, userId) {
+    const anonId = readCartCookie(req);
+    if (!anonId) return;
+    res.clearCookie(CART_COOKIE_NAME, ctx.cookieOptions(0));
+
+    const anon = await q("SELECT id FROM carts WHERE id=$1 AND user_id IS NULL AND status='open'", [anonId]);
+    if (!anon.rows[0]) return;
+
+    const mine = await q("SELECT id FROM carts WHERE user_id=$1 AND status='open' LIMIT 1", [userId]);
+    if (!mine.rows[0]) {
+      await q("UPDATE carts SET user_id=$1, updated_at=now() WHERE id=$2", [userId, anonId]);
+      return;
+    }
+    await q("UPDATE cart_items SET cart_id=$1 WHERE cart_id=$2", [mine.rows[0].id, anonId]);
+    await q("UPDATE carts SET updated_at=now() WHERE id=$1", [mine.rows[0].id]);
+    await q("DELETE FROM carts WHERE id=$1", [anonId]);
+  }
+
+  // Carts are shown in the currency checkout will charge for ?country= (base currency without one).
+  function cartCurrency(req) {
+    const country = req.query.country ? lookupCountry(req.query.country) : null;
+    return country ? ctx.chargeCurrency(country.code) : CATALOG.currency;
+  }
+
+  async function loadCart(cart, currency = CATALOG.currency) {
+    if (!cart) return { id: null, items: [], subtotal: 0, currency };
+    const { rows } = await q("SELECT * FROM cart_items WHERE cart_id=$1 ORDER BY created_at, id", [cart.id]);
+    const items = rows.map((r) => {
+      const product = ctx.getProduct(r.product_id);
+      const unitAmount = product ? ctx.productPrice(product, currency) : 0;
+      return {
+        id: String(r.id),
+        productId: r.product_id,
+        productName: product?.name || r.product_id,
+        available: !!product,
+        options: r.options || {},
+        quantity: r.quantity,
+        unitAmount,
+        lineTotal: unitAmount * r.quantity,
+        designId: r.design_id,
+        imageUrl: r.design_id ? `/designs/${r.design_id}/image` : r.image_url,
+      };
+    });
+    return {
+      id: cart.id,
+      items,
+      subtotal: items.reduce((sum, it) => sum + it.lineTotal, 0),
+      currency,
+    };
+  }
+
+  router.get("/cart", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const user = await ctx.getAuthedUser(req);
+      res.json({ cart: await loadCart(await findOpenCart(req, user), cartCurrency(req)) });
+    } catch (err) {
+      console.error("❌ GET /cart error:", err);
+      res.status(500).json({ error: "Failed to load cart" });
+    }
+  });
+
+  router.post("/cart/items", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const user = await ctx.getAuthedUser(req);
+      const { productId, options, quantity, designId, imageUrl } = req.body || {};
+
+      let item;
+      try { [item] = await ctx.prepareOrderItems([{ productId, options, quantity, designId, imageUrl }], user); }
+      catch (e) { return sendCartError(res, e); }
+
+      const cart = await getOrCreateCart(req, res, user);
+      const { rows: count } = await q("SELECT COUNT(*)::int AS n FROM cart_items WHERE cart_id=$1", [cart.id]);
+
+      // Same design + product + options just bumps the quantity.
+      const { rows: same } = await q(
+        `SELECT id, quantity FROM cart_items
+         WHERE cart_id=$1 AND product_id=$2 AND options=$3::jsonb
+           AND ${designId ? "design_id=$4" : "design_id IS NULL AND image_url=$4"}
+         LIMIT 1`,
+        [cart.id, item.productId, JSON.stringify(item.options), designId || item.imageUrl]
+      );
+      if (same[0]) {
+        const quantity = Math.min(same[0].quantity + item.quantity, MAX_ITEM_QUANTITY);
+        await q("UPDATE cart_items SET quantity=$1 WHERE id=$2", [quantity, same[0].id]);
+      } else {
+        if (count[0].n >= MAX_ORDER_ITEMS) return res.status(400).json({ error: `At most ${MAX_ORDER_ITEMS} items per cart` });
+        await q(
+          `INSERT INTO cart_items (cart_id, product_id, options, design_id, image_url, quantity)
+           VALUES ($1,$2,$3,$4,$5,$6)`,
+          [cart.id, item.productId, JSON.stringify(item.options), designId || null, designId ? null : item.imageUrl, item.quantity]
+        );
+      }
+      await q("UPDATE carts SET updated_at=now() WHERE id=$1", [cart.id]);
+      res.status(201).json({ cart: await loadCart(cart, cartCurrency(req)) });
+    } catch (err) {
+      console.error("❌ POST /cart/items error:", err);
+      res.status(500).json({ error: "Failed to add to cart" });
+    }
+  });
+
+  router.patch("/cart/items/:itemId", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const user = await ctx.getAuthedUser(req);
+      const cart = await findOpenCart(req, user);
+      if (!cart) return res.status(404).json({ error: "Cart not found" });
+
+      let quantity;
+      try { quantity = parseQuantity(req.body?.quantity); }
+      catch (e) { return sendCartError(res, e); }
+
+      const { rowCount } = await q(
+        "UPDATE cart_items SET quantity=$1 WHERE id=$2 AND cart_id=$3",
+        [quantity, parseInt(req.params.itemId, 10) || 0, cart.id]
+      );
+      if (!rowCount) return res.status(404).json({ error: "Item not found" });
+      res.json({ cart: await loadCart(cart, cartCurrency(req)) });
+    } catch (err) {
+      console.error("❌ PATCH /cart/items error:", err);
+      res.status(500).json({ error: "Failed to update cart" });
+    }
+  });
+
+  router.delete("/cart/items/:itemId", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const user = await ctx.getAuthedUser(req);
+      const cart = await findOpenCart(req, user);
+      if (!cart) return res.status(404).json({ error: "Cart not found" });
+      await q("DELETE FROM cart_items WHERE id=$1 AND cart_id=$2", [parseInt(req.params.itemId, 10) || 0, cart.id]);
+      res.json({ cart: await loadCart(cart, cartCurrency(req)) });
+    } catch (err) {
+      console.error("❌ DELETE /cart/items error:", err);
+      res.status(500).json({ error: "Failed to update cart" });
+    }
+  });
+
+  // One Stripe session with a line item per cart row.
+  router.post("/cart/checkout", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const { email, shipTo } = req.body || {};
+      if (!email || !shipTo) return res.status(400).json({ error: "Missing required fields" });
+
+      const user = await ctx.getAuthedUser(req);
+      const cart = await findOpenCart(req, user);
+      const { rows } = cart
+        ? await q("SELECT * FROM cart_items WHERE cart_id=$1 ORDER BY created_at, id", [cart.id])
+        : { rows: [] };
+      if (!rows.length) return res.status(400).json({ error: "Your cart is empty" });
+
+      let checkout;
+      try {
+        checkout = await ctx.prepareCheckout(rows.map((r) => ({
+          productId: r.product_id,
+          options: r.options,
+          quantity: r.quantity,
+          designId: r.design_id,
+          imageUrl: r.image_url,
+        })), shipTo, user);
+      } catch (e) { return sendCheckoutError(res, e); }
+      const { currency, items, sessionParams, metadata } = checkout;
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ["card"],
+        line_items: ctx.toStripeLineItems(items, currency),
+        mode: "payment",
+        customer_email: email,
+        ...sessionParams,
+        ...(user ? { client_reference_id: user.id } : {}),
+        metadata: {
+          cartId: cart.id,
+          ...metadata,
+        },
+        success_url: `${(APP_ORIGIN || "").replace(/\/+$/,'')}/thank-you.html`,
+        cancel_url: `${(APP_ORIGIN || "").replace(/\/+$/,'')}/cart.html`,
+      });
+
+      await q(
+        `INSERT INTO checkout_sessions (stripe_session_id, cart_id, user_id, items)
+         VALUES ($1,$2,$3,$4)`,
+        [session.id, cart.id, user?.id || null, JSON.stringify(items)]
+      );
+
+      res.json({ url: session.url });
+    } catch (err) {
+      console.error("❌ /cart/checkout error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Cart checkouts are fulfilled from their stored snapshot; buy-now sessions
+  // carry their single item in metadata.
+  async function loadCheckoutItems(session) {
+    if (pool && session.metadata?.cartId) {
+      const { rows } = await q("SELECT items FROM checkout_sessions WHERE stripe_session_id=$1", [session.id]);
+      if (rows[0]) return rows[0].items;
+      console.warn(`⚠️ No checkout snapshot for cart session ${session.id}`);
+      return [];
+    }
+
+    const md = session.metadata || {};
+    let imageUrl = md.imageUrl || "";
+    if (pool && md.designId && UUID_RE.test(md.designId)) {
+      const d = await q("SELECT * FROM designs WHERE id=$1", [md.designId]).catch(() => null);
+      if (d?.rows[0]) imageUrl = ctx.designPublicUrl(d.rows[0]);
+    }
+    const product = ctx.getProduct(md.productId);
+    const options = (() => {
+      try { return JSON.parse(md.productOptions || "{}"); }
+      catch { return {}; }
+    })();
+    return [{ productId: product?.id || md.productId, name: product?.name, options, quantity: 1, imageUrl }];
+  }
+
+  return { router, mergeAnonymousCart, loadCheckoutItems };
+}
@@ -0,0 +1,118 @@
+// lib/catalog.js
+import express from "express";
+import fs from "fs/promises";
+import { normalizeCountryCode, localCurrency } from "./countries.js";
+
+// Stripe zero-decimal currencies; catalog and Gooten amounts are always in hundredths.
+const ZERO_DECIMAL = new Set(["bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf"]);
+
+// Products live in catalog.json. Gooten ids/SKUs can be overridden per product
+// from the environment: GOOTEN_PRODUCT_ID_<ID> and GOOTEN_SKU_<ID> (e.g. GOOTEN_PRODUCT_ID_TSHIRT).
+// `currencies` maps each extra currency we charge in to a multiplier of the base
+// price; a product's `prices` can pin an exact amount per currency instead.
+export async function loadCatalog(file, env = process.env) {
+  const raw = JSON.parse(await fs.readFile(file, "utf8"));
+  const currency = (raw.currency || "usd").toLowerCase();
+  const currencies = { [currency]: 1 };
+  for (const [code, rate] of Object.entries(raw.currencies || {})) {
+    const c = code.toLowerCase();
+    if (!/^[a-z]{3}$/.test(c) || ZERO_DECIMAL.has(c) || !(rate > 0)) throw new Error(`Invalid catalog currency "${code}": ${rate}`);
+    if (c !== currency) currencies[c] = rate;
+  }
+  const envKey = (id) => id.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+  const products = (raw.products || []).map((p) => {
+    if (!p.id || !p.name || !Number.isInteger(p.price)) throw new Error(`Invalid catalog product: ${JSON.stringify(p).slice(0, 120)}`);
+    const prices = Object.fromEntries(Object.entries(p.prices || {}).map(([c, amount]) => [c.toLowerCase(), amount]));
+    for (const [c, amount] of Object.entries(prices)) {
+      if (!currencies[c] || !Number.isInteger(amount)) throw new Error(`Invalid ${c} price for catalog product "${p.id}"`);
+    }
+    if (p.mockup && !(p.mockup.template && p.mockup.area?.width && p.mockup.area?.height)) {
+      throw new Error(`Invalid mockup for catalog product "${p.id}"`);
+    }
+    return {
+      ...p,
+      prices,
+      options: p.options || {},
+      variantRules: p.variantRules || [],
+      gootenProductId: env[`GOOTEN_PRODUCT_ID_${envKey(p.id)}`] || p.gootenProductId || null,
+      preferredSku: (env[`GOOTEN_SKU_${envKey(p.id)}`] || "").trim() || null,
+    };
+  });
+  const defaultProductId = raw.defaultProductId || products[0]?.id;
+  // Legacy single-sticker SKU override.
+  const def = products.find((p) => p.id === defaultProductId);
+  if (def && !def.preferredSku && env.GOOTEN_STICKER_SKU) def.preferredSku = env.GOOTEN_STICKER_SKU.trim() || null;
+  return { currency, currencies, defaultProductId, products };
+}
+
+export function productError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_PRODUCT";
+  return err;
+}
+
+// Validates buyer-chosen options (size/color/...) against the product definition.
+export function resolveProductOptions(product, options = {}) {
+  const resolved = {};
+  for (const [name, allowed] of Object.entries(product.options)) {
+    const value = options?.[name];
+    if (!value) throw productError(`${product.name}: "${name}" is required`);
+    if (!allowed.includes(value)) throw productError(`${product.name}: unsupported ${name} "${value}"`);
+    resolved[name] = value;
+  }
+  return resolved;
+}
+
+const MAX_SOURCEID_LEN = 50;
+export const safeSourceId = (id) => (id ? String(id).slice(0, MAX_SOURCEID_LEN) : undefined);
+
+export function createCatalog(ctx) {
+  const { catalog: CATALOG } = ctx;
+  const router = express.Router();
+
+  function getProduct(productId) {
+    return CATALOG.products.find((p) => p.id === (productId || CATALOG.defaultProductId)) || null;
+  }
+
+  // Buyers are charged in their local currency when the catalog prices it, else in the base one.
+  function chargeCurrency(countryCode) {
+    const local = localCurrency(countryCode);
+    return local && CATALOG.currencies[local] ? local : CATALOG.currency;
+  }
+
+  function productPrice(product, currency = CATALOG.currency) {
+    if (Number.isInteger(product.prices?.[currency])) return product.prices[currency];
+    const rate = CATALOG.currencies[currency];
+    if (!rate) throw new Error(`Catalog has no ${currency} prices`);
+    return Math.round(product.price * rate);
+  }
+
+  function serializeProduct(p, currency) {
+    return {
+      id: p.id,
+      name: p.name,
+      category: p.category,
+      description: p.description || "",
+      price: productPrice(p, currency),
+      currency,
+      options: p.options,
+      printArea: p.printArea || null,
+      mockup: !!p.mockup,
+    };
+  }
+
+  // ?country=GB prices everything the way that buyer would be charged.
+  router.get("/products", (req, res) => {
+    let currency = CATALOG.currency;
+    if (req.query.country) {
+      try { currency = chargeCurrency(normalizeCountryCode(req.query.country)); }
+      catch (e) { return res.status(400).json({ error: e.message }); }
+    }
+    res.json({
+      defaultProductId: CATALOG.defaultProductId,
+      products: CATALOG.products.map((p) => serializeProduct(p, currency)),
+    });
+  });
+
+  return { router, getProduct, chargeCurrency, productPrice };
+}
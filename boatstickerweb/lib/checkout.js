@@ -0,0 +1,157 @@
+// lib/checkout.js
+import express from "express";
+import { productError, resolveProductOptions } from "./catalog.js";
+import { validateDestination } from "./countries.js";
+import { assessArtwork } from "./print-files.js";
+
+export const MAX_ORDER_ITEMS = 50;
+export const MAX_ITEM_QUANTITY = 100;
+
+const BUYER_ERRORS = new Set(["INVALID_PRODUCT", "INVALID_ADDRESS", "INVALID_COUNTRY"]);
+
+// Problems with what the buyer asked for become 4xx with a message they can act on.
+export function sendCheckoutError(res, err) {
+  if (BUYER_ERRORS.has(err.code)) return res.status(400).json({ error: err.message, field: err.meta?.field });
+  if (err.code === "SHIPPING_UNAVAILABLE") return res.status(err.status).json({ error: err.message });
+  throw err;
+}
+
+export function parseQuantity(value) {
+  const n = value === undefined ? 1 : Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_ITEM_QUANTITY) {
+    throw productError(`Quantity must be between 1 and ${MAX_ITEM_QUANTITY}`);
+  }
+  return n;
+}
+
+export function createCheckout(ctx) {
+  const { storage, catalog: CATALOG, stripe } = ctx;
+  const { APP_ORIGIN } = ctx.config;
+  const router = express.Router();
+
+  /**
+   * Resolves requested items ({ productId, options, quantity, designId | imageUrl })
+   * into priced, fulfillable snapshots. Stored designs are resolved to signed URLs,
+   * must belong to `user` and must pass the print check for the product.
+   * Unit amounts are in `currency`.
+   */
+  async function prepareOrderItems(rawItems, user, currency = CATALOG.currency) {
+    if (!rawItems?.length) throw productError("No items to order");
+    if (rawItems.length > MAX_ORDER_ITEMS) throw productError(`At most ${MAX_ORDER_ITEMS} items per order`);
+
+    const prepared = [];
+    for (const it of rawItems) {
+      const product = ctx.getProduct(it.productId);
+      if (!product) throw productError(`Unknown product "${it.productId}"`);
+      const options = resolveProductOptions(product, it.options);
+      const quantity = parseQuantity(it.quantity);
+
+      let imageUrl = it.imageUrl || null;
+      if (it.designId) {
+        const design = user ? await ctx.getDesignForUser(it.designId, user.id) : null;
+        if (!design) throw productError("Design not found");
+        const obj = await storage.get(design.storage_key);
+        if (obj) {
+          const { issues } = await assessArtwork(obj.body, product);
+          const blocking = issues.find((x) => x.level === "error");
+          if (blocking) throw productError(`${product.name}: ${blocking.message}`);
+        }
+        imageUrl = ctx.designPublicUrl(design);
+      }
+      if (!imageUrl) throw productError("Each item needs a design");
+
+      const optionLabel = Object.values(options).join(" / ");
+      prepared.push({
+        productId: product.id,
+        name: optionLabel ? `${product.name} (${optionLabel})` : product.name,
+        options,
+        quantity,
+        unitAmount: ctx.productPrice(product, currency),
+        designId: it.designId || null,
+        imageUrl,
+      });
+    }
+    return prepared;
+  }
+
+  function toStripeLineItems(items, currency = CATALOG.currency) {
+    return items.map((it) => ({
+      price_data: {
+        currency,
+        product_data: { name: it.name, images: [it.imageUrl] },
+        unit_amount: it.unitAmount,
+      },
+      quantity: it.quantity,
+    }));
+  }
+
+  /**
+   * Validates where the order is going ({ country, postal_code }), then prices
+   * `rawItems` and shipping in that country's currency. Stripe collects the
+   * full address, name and phone on the payment page, restricted to that
+   * country; `metadata` records the quoted postcode so the webhook can hold an
+   * order shipped somewhere else.
+   */
+  async function prepareCheckout(rawItems, shipTo, user) {
+    const destination = validateDestination(shipTo);
+    ctx.assertShipsTo(destination.country);
+    const currency = ctx.chargeCurrency(destination.country);
+    const items = await prepareOrderItems(rawItems, user, currency);
+    const shipping = await ctx.shippingSessionParams(items, destination, currency);
+    return {
+      destination,
+      currency,
+      items,
+      sessionParams: { ...shipping, phone_number_collection: { enabled: true } },
+      metadata: destination.postal_code ? { shipPostal: destination.postal_code } : {},
+    };
+  }
+
+  // Stripe: One-time "buy now" checkout for a single item
+  router.post("/create-checkout-session", async (req, res) => {
+    try {
+      const { email, shipTo, designId, productId, options, imageUrl } = req.body;
+
+      // Prefer a stored design over a (possibly expiring) external URL.
+      let user = null;
+      if (designId) {
+        user = await ctx.getAuthedUser(req);
+        if (!user) return res.status(401).json({ error: "Sign in to order a saved design" });
+      }
+
+      if (!email || !(imageUrl || designId) || !shipTo) {
+        return res.status(400).json({ error: "Missing required fields" });
+      }
+      if (!user) user = await ctx.getAuthedUser(req).catch(() => null);
+
+      let checkout;
+      try { checkout = await prepareCheckout([{ designId, imageUrl, productId, options, quantity: 1 }], shipTo, user); }
+      catch (e) { return sendCheckoutError(res, e); }
+      const { currency, items: [item], sessionParams, metadata } = checkout;
+
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ["card"],
+        line_items: toStripeLineItems([item], currency),
+        mode: "payment",
+        customer_email: email,
+        ...sessionParams,
+        ...(user ? { client_reference_id: user.id } : {}),
+        metadata: {
+          imageUrl: item.imageUrl,
+          ...(designId ? { designId } : {}),
+          productId: item.productId,
+          productOptions: JSON.stringify(item.options),
+          ...metadata,
+        },
+        success_url: `${(APP_ORIGIN || "").replace(/\/+$/,'')}/thank-you.html`,
+        cancel_url: `${(APP_ORIGIN || "").replace(/\/+$/,'')}/buy.html`,
+      });
+      res.json({ url: session.url });
+    } catch (err) {
+      console.error("❌ /create-checkout-session error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return { router, prepareOrderItems, prepareCheckout, toStripeLineItems };
+}
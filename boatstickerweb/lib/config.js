@@ -0,0 +1,197 @@
+// lib/config.js
+// Every environment variable the app reads, with its default. createApp()
+// takes the resulting object, so tests can build one without touching
+// process.env.
+import crypto from "crypto";
+import { normalizeCountryCode } from "./countries.js";
+
+export function loadConfig(env = process.env) {
+  const {
+    DATABASE_URL,
+    MIGRATE_ON_BOOT = "true", // "false" when migrations run as a separate deploy step (npm run migrate)
+
+    // App + sessions
+    APP_ORIGIN,
+    SESSION_COOKIE_NAME = "sid",
+    SESSION_SECRET = "",
+    CART_COOKIE_NAME = "cart_id",
+    DEVICE_COOKIE_NAME = "device_id",
+
+    // Image gen: "replicate" (default), "openai" (direct Images API) or "local"
+    // (deterministic sharp filter — no network or keys; for dev and tests)
+    IMAGE_PROVIDER = "replicate",
+    REPLICATE_API_TOKEN,
+    REPLICATE_API_URL = "https://api.replicate.com/v1", // *_API_URL: overridable for local fakes in tests
+    REPLICATE_MODEL_VERSION = "bf62744a8f9b8c5775d510ebfa7aaf11866d35afd31952f3f053218df8470e1e",
+    OPENAI_API_KEY,
+    OPENAI_IMAGE_MODEL = "gpt-image-1",
+    OPENAI_API_URL = "https://api.openai.com/v1",
+    REPLICATE_WEBHOOK_SECRET, // "whsec_…"; enables Replicate completion webhooks
+    JOB_POLL_INTERVAL_MS = "3000", // background poller for generation jobs; 0 disables it
+    JOB_TIMEOUT_MINUTES = "15",
+    STYLES_PATH, // style presets JSON (defaults to ./styles.json)
+    // Sticker post-processing: background removal + white die-cut contour
+    STICKER_POSTPROCESS = "true",
+    STICKER_BORDER_PCT = "3",      // contour width, % of the longest side; 0 = no contour
+    STICKER_BG_TOLERANCE = "32",   // max per-channel distance from the background colour
+
+    // Stripe
+    STRIPE_SECRET_KEY,
+    STRIPE_WEBHOOK_SECRET,
+    STRIPE_PRICE_PRO_MONTHLY, // <-- UPDATED: use this env var name
+    STRIPE_PRICE_PRO_ANNUAL,  // optional yearly price for the same Pro product
+    PRO_PAST_DUE_GRACE_DAYS = "7", // keep Pro this long past period end while Stripe retries a card
+
+    // Email (optional; logs-only fallback if missing)
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_USER,
+    SMTP_PASS,
+
+    // Gooten
+    GOOTEN_RECIPE_ID,
+    GOOTEN_PARTNER_BILLING_KEY,
+    GOOTEN_TEST_MODE,
+    GOOTEN_STICKER_SKU,
+    GOOTEN_API_URL = "https://api.print.io/api/v/5/source/api",
+    GOOTEN_VARIANTS_TTL_MS = "21600000", // 6h; how long enabled variants per product/country are reused
+    SHIP_COUNTRIES = "", // comma-separated ISO codes/names we ship to; empty = every country Stripe can ship to
+    CATALOG_PATH, // product catalog JSON (defaults to ./catalog.json)
+
+    // Design storage: "local" (default) or "s3" (any S3-compatible endpoint)
+    STORAGE_DRIVER = "local",
+    STORAGE_LOCAL_DIR = "data/designs",
+    S3_BUCKET,
+    S3_REGION = "us-east-1",
+    S3_ENDPOINT,
+    S3_ACCESS_KEY_ID,
+    S3_SECRET_ACCESS_KEY,
+    S3_PUBLIC_BASE_URL, // optional: serve objects straight from a CDN/bucket URL
+    S3_FORCE_PATH_STYLE,
+
+    // Orders: how often to pull Gooten status for open orders
+    ORDER_SYNC_INTERVAL_MS = "900000", // 15 min; 0 disables the background sync
+    FULFILLMENT_RETRY_INTERVAL_MS = "60000", // retry worker tick; 0 disables it
+    FULFILLMENT_MAX_ATTEMPTS = "8",
+
+    // Comma-separated emails promoted to the admin role on sign-in/boot
+    ADMIN_EMAILS = "",
+    // Comma-separated recipients for new-order emails (defaults to all admins)
+    ORDER_NOTIFY_EMAILS = "",
+
+    // === NEW: free plan throttling
+    FREE_DAILY_LIMIT = "1",   // default: 3 per 24h
+    // Generation quotas per window; 0 = unlimited
+    ANON_DAILY_LIMIT = "1",    // per anonymous device cookie
+    ANON_IP_DAILY_LIMIT = "3", // per IP bucket, shared by every anonymous device behind it
+    PRO_DAILY_LIMIT = "0",
+    QUOTA_WINDOW_HOURS = "24",
+  } = env;
+
+  const FREE_LIMIT = Math.max(parseInt(FREE_DAILY_LIMIT, 10) || 3, 1);
+  const QUOTA_WINDOW_H = Math.max(parseInt(QUOTA_WINDOW_HOURS, 10) || 24, 1);
+  const PLAN_LIMITS = {
+    anonymous: Math.max(parseInt(ANON_DAILY_LIMIT, 10) || 0, 0),
+    free: FREE_LIMIT,
+    pro: Math.max(parseInt(PRO_DAILY_LIMIT, 10) || 0, 0),
+  };
+  const PAST_DUE_GRACE_MS = Math.max(parseInt(PRO_PAST_DUE_GRACE_DAYS, 10) || 0, 0) * 24 * 60 * 60 * 1000;
+  const ANON_IP_LIMIT = Math.max(parseInt(ANON_IP_DAILY_LIMIT, 10) || 0, 0);
+  const ORDER_SYNC_MS = Math.max(parseInt(ORDER_SYNC_INTERVAL_MS, 10) || 0, 0);
+  const FULFILLMENT_RETRY_MS = Math.max(parseInt(FULFILLMENT_RETRY_INTERVAL_MS, 10) || 0, 0);
+  const FULFILLMENT_MAX = Math.max(parseInt(FULFILLMENT_MAX_ATTEMPTS, 10) || 8, 1);
+  // Unknown entries fail the boot rather than silently shrinking the list.
+  const SHIP_COUNTRY_CODES = SHIP_COUNTRIES.split(",").map((c) => c.trim()).filter(Boolean).map(normalizeCountryCode);
+  const GOOTEN_VARIANTS_TTL = Math.max(parseInt(GOOTEN_VARIANTS_TTL_MS, 10) || 0, 0);
+  const JOB_POLL_MS = Math.max(parseInt(JOB_POLL_INTERVAL_MS, 10) || 0, 0);
+  const JOB_TIMEOUT_MIN = Math.max(parseInt(JOB_TIMEOUT_MINUTES, 10) || 15, 1);
+  const STICKER_CLEANUP = String(STICKER_POSTPROCESS).toLowerCase() !== "false";
+  const STICKER_BORDER = Math.min(Math.max(parseFloat(STICKER_BORDER_PCT) || 0, 0), 15) / 100;
+  const STICKER_TOLERANCE = Math.min(Math.max(parseInt(STICKER_BG_TOLERANCE, 10) || 32, 1), 128);
+  const ADMIN_EMAIL_SET = new Set(ADMIN_EMAILS.split(",").map((e) => e.trim().toLowerCase()).filter(Boolean));
+  const isProd = env.NODE_ENV === "production";
+
+  // Signs cookies, and design image links handed to Stripe/Gooten (they can't send our session cookie).
+  // Gooten fetches artwork after the order is placed, so in production the links
+  // must outlive a restart: no secret fails the boot instead of making one up.
+  if (isProd && !SESSION_SECRET) throw new Error("SESSION_SECRET is required in production (it signs design and print links)");
+  const URL_SIGNING_SECRET = SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+
+  return {
+    DATABASE_URL,
+    MIGRATE_ON_BOOT,
+    APP_ORIGIN,
+    SESSION_COOKIE_NAME,
+    SESSION_SECRET,
+    CART_COOKIE_NAME,
+    DEVICE_COOKIE_NAME,
+    IMAGE_PROVIDER,
+    REPLICATE_API_TOKEN,
+    REPLICATE_API_URL,
+    REPLICATE_MODEL_VERSION,
+    OPENAI_API_KEY,
+    OPENAI_IMAGE_MODEL,
+    OPENAI_API_URL,
+    REPLICATE_WEBHOOK_SECRET,
+    JOB_POLL_INTERVAL_MS,
+    JOB_TIMEOUT_MINUTES,
+    STYLES_PATH,
+    STICKER_POSTPROCESS,
+    STICKER_BORDER_PCT,
+    STICKER_BG_TOLERANCE,
+    STRIPE_SECRET_KEY,
+    STRIPE_WEBHOOK_SECRET,
+    STRIPE_PRICE_PRO_MONTHLY,
+    STRIPE_PRICE_PRO_ANNUAL,
+    PRO_PAST_DUE_GRACE_DAYS,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_USER,
+    SMTP_PASS,
+    GOOTEN_RECIPE_ID,
+    GOOTEN_PARTNER_BILLING_KEY,
+    GOOTEN_TEST_MODE,
+    GOOTEN_STICKER_SKU,
+    GOOTEN_API_URL,
+    GOOTEN_VARIANTS_TTL_MS,
+    SHIP_COUNTRIES,
+    CATALOG_PATH,
+    STORAGE_DRIVER,
+    STORAGE_LOCAL_DIR,
+    S3_BUCKET,
+    S3_REGION,
+    S3_ENDPOINT,
+    S3_ACCESS_KEY_ID,
+    S3_SECRET_ACCESS_KEY,
+    S3_PUBLIC_BASE_URL,
+    S3_FORCE_PATH_STYLE,
+    ORDER_SYNC_INTERVAL_MS,
+    FULFILLMENT_RETRY_INTERVAL_MS,
+    FULFILLMENT_MAX_ATTEMPTS,
+    ADMIN_EMAILS,
+    ORDER_NOTIFY_EMAILS,
+    FREE_DAILY_LIMIT,
+    ANON_DAILY_LIMIT,
+    ANON_IP_DAILY_LIMIT,
+    PRO_DAILY_LIMIT,
+    QUOTA_WINDOW_HOURS,
+    FREE_LIMIT,
+    QUOTA_WINDOW_H,
+    PLAN_LIMITS,
+    PAST_DUE_GRACE_MS,
+    ANON_IP_LIMIT,
+    ORDER_SYNC_MS,
+    FULFILLMENT_RETRY_MS,
+    FULFILLMENT_MAX,
+    GOOTEN_VARIANTS_TTL,
+    SHIP_COUNTRY_CODES,
+    JOB_POLL_MS,
+    JOB_TIMEOUT_MIN,
+    STICKER_CLEANUP,
+    STICKER_BORDER,
+    STICKER_TOLERANCE,
+    ADMIN_EMAIL_SET,
+    isProd,
+    URL_SIGNING_SECRET,
+  };
+}
@@ -0,0 +1,501 @@
+// lib/countries.js
+// ISO 3166-1 countries, name/alias lookup and per-country address rules.
+
+// alpha-2, alpha-3, short English name
+const ISO_3166 = `
+AD AND Andorra
+AE ARE United Arab Emirates
+AF AFG Afghanistan
+AG ATG Antigua and Barbuda
+AI AIA Anguilla
+AL ALB Albania
+AM ARM Armenia
+AO AGO Angola
+AQ ATA Antarctica
+AR ARG Argentina
+AS ASM American Samoa
+AT AUT Austria
+AU AUS Australia
+AW ABW Aruba
+AX ALA Åland Islands
+AZ AZE Azerbaijan
+BA BIH Bosnia and Herzegovina
+BB BRB Barbados
+BD BGD Bangladesh
+BE BEL Belgium
+BF BFA Burkina Faso
+BG BGR Bulgaria
+BH BHR Bahrain
+BI BDI Burundi
+BJ BEN Benin
+BL BLM Saint Barthélemy
+BM BMU Bermuda
+BN BRN Brunei
+BO BOL Bolivia
+BQ BES Caribbean Netherlands
+BR BRA Brazil
+BS BHS Bahamas
+BT BTN Bhutan
+BV BVT Bouvet Island
+BW BWA Botswana
+BY BLR Belarus
+BZ BLZ Belize
+CA CAN Canada
+CC CCK Cocos (Keeling) Islands
+CD COD Congo (DRC)
+CF CAF Central African Republic
+CG COG Congo
+CH CHE Switzerland
+CI CIV Côte d'Ivoire
+CK COK Cook Islands
+CL CHL Chile
+CM CMR Cameroon
+CN CHN China
+CO COL Colombia
+CR CRI Costa Rica
+CU CUB Cuba
+CV CPV Cape Verde
+CW CUW Curaçao
+CX CXR Christmas Island
+CY CYP Cyprus
+CZ CZE Czechia
+DE DEU Germany
+DJ DJI Djibouti
+DK DNK Denmark
+DM DMA Dominica
+DO DOM Dominican Republic
+DZ DZA Algeria
+EC ECU Ecuador
+EE EST Estonia
+EG EGY Egypt
+EH ESH Western Sahara
+ER ERI Eritrea
+ES ESP Spain
+ET ETH Ethiopia
+FI FIN Finland
+FJ FJI Fiji
+FK FLK Falkland Islands
+FM FSM Micronesia
+FO FRO Faroe Islands
+FR FRA France
+GA GAB Gabon
+GB GBR United Kingdom
+GD GRD Grenada
+GE GEO Georgia
+GF GUF French Guiana
+GG GGY Guernsey
+GH GHA Ghana
+GI GIB Gibraltar
+GL GRL Greenland
+GM GMB Gambia
+GN GIN Guinea
+GP GLP Guadeloupe
+GQ GNQ Equatorial Guinea
+GR GRC Greece
+GS SGS South Georgia and the South Sandwich Islands
+GT GTM Guatemala
+GU GUM Guam
+GW GNB Guinea-Bissau
+GY GUY Guyana
+HK HKG Hong Kong
+HM HMD Heard Island and McDonald Islands
+HN HND Honduras
+HR HRV Croatia
+HT HTI Haiti
+HU HUN Hungary
+ID IDN Indonesia
+IE IRL Ireland
+IL ISR Israel
+IM IMN Isle of Man
+IN IND India
+IO IOT British Indian Ocean Territory
+IQ IRQ Iraq
+IR IRN Iran
+IS ISL Iceland
+IT ITA Italy
+JE JEY Jersey
+JM JAM Jamaica
+JO JOR Jordan
+JP JPN Japan
+KE KEN Kenya
+KG KGZ Kyrgyzstan
+KH KHM Cambodia
+KI KIR Kiribati
+KM COM Comoros
+KN KNA Saint Kitts and Nevis
+KP PRK North Korea
+KR KOR South Korea
+KW KWT Kuwait
+KY CYM Cayman Islands
+KZ KAZ Kazakhstan
+LA LAO Laos
+LB LBN Lebanon
+LC LCA Saint Lucia
+LI LIE Liechtenstein
+LK LKA Sri Lanka
+LR LBR Liberia
+LS LSO Lesotho
+LT LTU Lithuania
+LU LUX Luxembourg
+LV LVA Latvia
+LY LBY Libya
+MA MAR Morocco
+MC MCO Monaco
+MD MDA Moldova
+ME MNE Montenegro
+MF MAF Saint Martin
+MG MDG Madagascar
+MH MHL Marshall Islands
+MK MKD North Macedonia
+ML MLI Mali
+MM MMR Myanmar
+MN MNG Mongolia
+MO MAC Macao
+MP MNP Northern Mariana Islands
+MQ MTQ Martinique
+MR MRT Mauritania
+MS MSR Montserrat
+MT MLT Malta
+MU MUS Mauritius
+MV MDV Maldives
+MW MWI Malawi
+MX MEX Mexico
+MY MYS Malaysia
+MZ MOZ Mozambique
+NA NAM Namibia
+NC NCL New Caledonia
+NE NER Niger
+NF NFK Norfolk Island
+NG NGA Nigeria
+NI NIC Nicaragua
+NL NLD Netherlands
+NO NOR Norway
+NP NPL Nepal
+NR NRU Nauru
+NU NIU Niue
+NZ NZL New Zealand
+OM OMN Oman
+PA PAN Panama
+PE PER Peru
+PF PYF French Polynesia
+PG PNG Papua New Guinea
+PH PHL Philippines
+PK PAK Pakistan
+PL POL Poland
+PM SPM Saint Pierre and Miquelon
+PN PCN Pitcairn Islands
+PR PRI Puerto Rico
+PS PSE Palestine
+PT PRT Portugal
+PW PLW Palau
+PY PRY Paraguay
+QA QAT Qatar
+RE REU Réunion
+RO ROU Romania
+RS SRB Serbia
+RU RUS Russia
+RW RWA Rwanda
+SA SAU Saudi Arabia
+SB SLB Solomon Islands
+SC SYC Seychelles
+SD SDN Sudan
+SE SWE Sweden
+SG SGP Singapore
+SH SHN Saint Helena
+SI SVN Slovenia
+SJ SJM Svalbard and Jan Mayen
+SK SVK Slovakia
+SL SLE Sierra Leone
+SM SMR San Marino
+SN SEN Senegal
+SO SOM Somalia
+SR SUR Suriname
+SS SSD South Sudan
+ST STP São Tomé and Príncipe
+SV SLV El Salvador
+SX SXM Sint Maarten
+SY SYR Syria
+SZ SWZ Eswatini
+TC TCA Turks and Caicos Islands
+TD TCD Chad
+TF ATF French Southern Territories
+TG TGO Togo
+TH THA Thailand
+TJ TJK Tajikistan
+TK TKL Tokelau
+TL TLS Timor-Leste
+TM TKM Turkmenistan
+TN TUN Tunisia
+TO TON Tonga
+TR TUR Türkiye
+TT TTO Trinidad and Tobago
+TV TUV Tuvalu
+TW TWN Taiwan
+TZ TZA Tanzania
+UA UKR Ukraine
+UG UGA Uganda
+UM UMI U.S. Outlying Islands
+US USA United States
+UY URY Uruguay
+UZ UZB Uzbekistan
+VA VAT Vatican City
+VC VCT Saint Vincent and the Grenadines
+VE VEN Venezuela
+VG VGB British Virgin Islands
+VI VIR U.S. Virgin Islands
+VN VNM Vietnam
+VU VUT Vanuatu
+WF WLF Wallis and Futuna
+WS WSM Samoa
+YE YEM Yemen
+YT MYT Mayotte
+ZA ZAF South Africa
+ZM ZMB Zambia
+ZW ZWE Zimbabwe
+`;
+
+// Other names people type, keyed by alpha-2.
+const ALIASES = {
+  US: ["United States of America", "USA", "America", "U.S.", "U.S.A."],
+  GB: ["UK", "U.K.", "Great Britain", "Britain", "England", "Scotland", "Wales", "Northern Ireland"],
+  NL: ["Holland", "The Netherlands"],
+  DE: ["Deutschland"],
+  ES: ["España", "Espana"],
+  IE: ["Eire", "Republic of Ireland"],
+  CZ: ["Czech Republic"],
+  KR: ["Korea", "Republic of Korea"],
+  KP: ["Democratic People's Republic of Korea"],
+  RU: ["Russian Federation"],
+  TR: ["Turkey", "Turkiye"],
+  CI: ["Ivory Coast", "Cote d'Ivoire"],
+  CD: ["Democratic Republic of the Congo", "DR Congo", "DRC"],
+  CG: ["Republic of the Congo"],
+  MM: ["Burma"],
+  MK: ["Macedonia"],
+  SZ: ["Swaziland"],
+  CV: ["Cabo Verde"],
+  TL: ["East Timor"],
+  VA: ["Holy See", "Vatican"],
+  VN: ["Viet Nam"],
+  LA: ["Lao People's Democratic Republic"],
+  SY: ["Syrian Arab Republic"],
+  IR: ["Islamic Republic of Iran"],
+  BO: ["Plurinational State of Bolivia"],
+  VE: ["Bolivarian Republic of Venezuela"],
+  TZ: ["United Republic of Tanzania"],
+  MD: ["Republic of Moldova"],
+  FM: ["Federated States of Micronesia"],
+  AE: ["UAE", "Emirates"],
+  NZ: ["Aotearoa"],
+  SX: ["Sint Maarten (Dutch part)"],
+  MF: ["Saint Martin (French part)"],
+  BQ: ["Bonaire, Sint Eustatius and Saba", "Bonaire"],
+  VG: ["Virgin Islands (British)"],
+  VI: ["Virgin Islands (U.S.)", "US Virgin Islands"],
+  FK: ["Falkland Islands (Malvinas)", "Falklands"],
+  PS: ["State of Palestine"],
+  TW: ["Taiwan, Province of China"],
+  HK: ["Hong Kong SAR"],
+  MO: ["Macau", "Macao SAR"],
+};
+
+// Countries Stripe Checkout can't collect a shipping address for.
+const STRIPE_UNSUPPORTED = new Set(["AS", "CX", "CC", "CU", "HM", "IR", "KP", "MH", "FM", "NF", "MP", "PW", "SD", "SY", "UM", "VI"]);
+
+// Upper case, no accents/punctuation, single spaces, no leading "THE".
+const lookupKey = (s) => String(s)
+  .normalize("NFD").replace(/\p{M}/gu, "")
+  .toUpperCase()
+  .replace(/[.,'’()]/g, "")
+  .replace(/[\s-]+/g, " ")
+  .trim()
+  .replace(/^THE /, "");
+
+export const COUNTRIES = ISO_3166.trim().split("\n").map((line) => {
+  const [code, alpha3, ...name] = line.split(" ");
+  return { code, alpha3, name: name.join(" "), stripeShipping: !STRIPE_UNSUPPORTED.has(code) };
+});
+const BY_CODE = new Map(COUNTRIES.map((c) => [c.code, c]));
+const BY_KEY = new Map();
+for (const c of COUNTRIES) {
+  BY_KEY.set(c.alpha3, c);
+  BY_KEY.set(lookupKey(c.name), c);
+  for (const alias of ALIASES[c.code] || []) BY_KEY.set(lookupKey(alias), c);
+}
+
+export function countryError(message, input) {
+  const err = new Error(message);
+  err.code = "INVALID_COUNTRY";
+  err.meta = { input };
+  return err;
+}
+
+/** Alpha-2, alpha-3, English name or common alias -> country entry (or null). */
+export function lookupCountry(input) {
+  if (input == null) return null;
+  const key = lookupKey(input);
+  return (key.length === 2 && BY_CODE.get(key)) || BY_KEY.get(key) || null;
+}
+
+/** Like lookupCountry but returns the alpha-2 code and throws INVALID_COUNTRY when unrecognized. */
+export function normalizeCountryCode(input) {
+  if (input == null || !String(input).trim()) throw countryError("Country is required", input);
+  const country = lookupCountry(input);
+  if (!country) throw countryError(`Unrecognized country "${String(input).slice(0, 60)}"`, input);
+  return country.code;
+}
+
+// ---- Currency ----
+
+const EUROZONE = ["AT", "BE", "CY", "DE", "EE", "ES", "FI", "FR", "GR", "HR", "IE", "IT", "LT", "LU", "LV", "MC", "MT", "NL", "PT", "SI", "SK", "SM", "VA", "AD", "ME"];
+const COUNTRY_CURRENCY = {
+  US: "usd", PR: "usd", GU: "usd", CA: "cad", GB: "gbp", IM: "gbp", JE: "gbp", GG: "gbp",
+  AU: "aud", NZ: "nzd", CH: "chf", LI: "chf", SE: "sek", NO: "nok", DK: "dkk", PL: "pln", CZ: "czk",
+  ...Object.fromEntries(EUROZONE.map((c) => [c, "eur"])),
+};
+
+/** The currency a country is normally charged in (lower case), or null if we don't know it. */
+export const localCurrency = (countryCode) => COUNTRY_CURRENCY[countryCode] || null;
+
+// ---- Address rules ----
+
+const US_STATES = {
+  AL: "Alabama", AK: "Alaska", AZ: "Arizona", AR: "Arkansas", CA: "California", CO: "Colorado",
+  CT: "Connecticut", DE: "Delaware", DC: "District of Columbia", FL: "Florida", GA: "Georgia",
+  HI: "Hawaii", ID: "Idaho", IL: "Illinois", IN: "Indiana", IA: "Iowa", KS: "Kansas", KY: "Kentucky",
+  LA: "Louisiana", ME: "Maine", MD: "Maryland", MA: "Massachusetts", MI: "Michigan", MN: "Minnesota",
+  MS: "Mississippi", MO: "Missouri", MT: "Montana", NE: "Nebraska", NV: "Nevada", NH: "New Hampshire",
+  NJ: "New Jersey", NM: "New Mexico", NY: "New York", NC: "North Carolina", ND: "North Dakota",
+  OH: "Ohio", OK: "Oklahoma", OR: "Oregon", PA: "Pennsylvania", RI: "Rhode Island",
+  SC: "South Carolina", SD: "South Dakota", TN: "Tennessee", TX: "Texas", UT: "Utah", VT: "Vermont",
+  VA: "Virginia", WA: "Washington", WV: "West Virginia", WI: "Wisconsin", WY: "Wyoming",
+  AA: "Armed Forces Americas", AE: "Armed Forces Europe", AP: "Armed Forces Pacific",
+};
+const CA_PROVINCES = {
+  AB: "Alberta", BC: "British Columbia", MB: "Manitoba", NB: "New Brunswick",
+  NL: "Newfoundland and Labrador", NS: "Nova Scotia", NT: "Northwest Territories", NU: "Nunavut",
+  ON: "Ontario", PE: "Prince Edward Island", QC: "Quebec", SK: "Saskatchewan", YT: "Yukon",
+};
+const AU_STATES = {
+  ACT: "Australian Capital Territory", NSW: "New South Wales", NT: "Northern Territory",
+  QLD: "Queensland", SA: "South Australia", TAS: "Tasmania", VIC: "Victoria", WA: "Western Australia",
+};
+
+// Postal codes are compared with spaces/hyphens removed, then re-formatted:
+// split(n, sep) puts `sep` before the last n characters.
+const split = (n, sep) => (c) => `${c.slice(0, -n)}${sep}${c.slice(-n)}`;
+const digits = (n) => ({ postal: new RegExp(`^\\d{${n}}$`) });
+
+const ADDRESS_RULES = {
+  US: { postal: /^\d{5}(-\d{4})?$/, format: (c) => (c.length === 9 ? split(4, "-")(c) : c), postalLabel: "ZIP code", states: US_STATES },
+  CA: { postal: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] \d[ABCEGHJ-NPRSTV-Z]\d$/, format: split(3, " "), states: CA_PROVINCES },
+  AU: { ...digits(4), states: AU_STATES },
+  GB: { postal: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/, format: split(3, " "), postalLabel: "Postcode" },
+  IM: { postal: /^IM\d{1,2} \d[A-Z]{2}$/, format: split(3, " "), postalLabel: "Postcode" },
+  JE: { postal: /^JE\d \d[A-Z]{2}$/, format: split(3, " "), postalLabel: "Postcode" },
+  GG: { postal: /^GY\d{1,2} \d[A-Z]{2}$/, format: split(3, " "), postalLabel: "Postcode" },
+  IE: { postal: /^[AC-FHKNPRTV-Y]\d[\dW] [0-9AC-FHKNPRTV-Y]{4}$/, format: split(4, " "), postalOptional: true, postalLabel: "Eircode" },
+  NL: { postal: /^\d{4} [A-Z]{2}$/, format: split(2, " ") },
+  SE: { postal: /^\d{3} \d{2}$/, format: split(2, " ") },
+  CZ: { postal: /^\d{3} \d{2}$/, format: split(2, " ") },
+  SK: { postal: /^\d{3} \d{2}$/, format: split(2, " ") },
+  GR: { postal: /^\d{3} \d{2}$/, format: split(2, " ") },
+  PT: { postal: /^\d{4}-\d{3}$/, format: split(3, "-") },
+  PL: { postal: /^\d{2}-\d{3}$/, format: split(3, "-") },
+  JP: { postal: /^\d{3}-\d{4}$/, format: split(4, "-"), stateRequired: true },
+  BR: { postal: /^\d{5}-\d{3}$/, format: split(3, "-"), stateRequired: true },
+  MX: { ...digits(5), stateRequired: true },
+  IN: { ...digits(6), stateRequired: true },
+  NZ: digits(4), AT: digits(4), BE: digits(4), CH: digits(4), LI: digits(4), DK: digits(4), NO: digits(4),
+  HU: digits(4), LU: digits(4), SI: digits(4), ZA: digits(4), CY: digits(4), PH: digits(4),
+  DE: digits(5), FR: digits(5), MC: digits(5), IT: digits(5), SM: digits(5), VA: digits(5), ES: digits(5),
+  FI: digits(5), EE: digits(5), HR: digits(5), LT: { ...digits(5), format: (c) => c.replace(/^LT/, "") }, MT: { postal: /^[A-Z]{3} \d{4}$/, format: split(4, " ") },
+  SG: digits(6), IS: digits(3), IL: digits(7),
+};
+// No postal codes in use; anything typed is dropped.
+const NO_POSTAL = new Set([
+  "AE", "AG", "AO", "AW", "BF", "BI", "BJ", "BS", "BW", "BZ", "CD", "CF", "CG", "CI", "CK", "CM", "DJ", "DM", "ER",
+  "FJ", "GD", "GH", "GM", "GQ", "GY", "HK", "KI", "KM", "KN", "LC", "ML", "MO", "MR", "MW", "NR", "NU", "QA", "RW",
+  "SB", "SC", "SL", "SR", "ST", "TG", "TK", "TL", "TO", "TV", "UG", "VU", "YE", "ZW",
+]);
+
+export function addressError(message, field) {
+  const err = new Error(message);
+  err.code = "INVALID_ADDRESS";
+  err.meta = { field };
+  return err;
+}
+
+/** What an address form needs to know about a country. */
+export function addressRules(countryCode) {
+  const rule = ADDRESS_RULES[countryCode] || {};
+  return {
+    postal: NO_POSTAL.has(countryCode) ? "none" : rule.postal && !rule.postalOptional ? "required" : "optional",
+    postalLabel: rule.postalLabel || "Postal code",
+    stateRequired: !!(rule.states || rule.stateRequired),
+    states: rule.states || null,
+  };
+}
+
+const clean = (v, max = 200) => String(v ?? "").replace(/\s+/g, " ").trim().slice(0, max);
+
+// Formatted postal code, "" where the country has none; throws INVALID_ADDRESS.
+function normalizePostalCode(country, raw) {
+  const rule = ADDRESS_RULES[country] || {};
+  const { postal: need, postalLabel } = addressRules(country);
+  const postal = clean(raw, 20).toUpperCase();
+  if (need === "none") return "";
+  if (!postal) {
+    if (need === "required") throw addressError(`${postalLabel} is required`, "postal_code");
+    return "";
+  }
+  if (!rule.postal) return postal;
+  const compact = postal.replace(/[\s-]+/g, "");
+  const formatted = rule.format ? rule.format(compact) : compact;
+  if (!rule.postal.test(formatted)) throw addressError(`Invalid ${postalLabel.toLowerCase()} "${postal}"`, "postal_code");
+  return formatted;
+}
+
+/**
+ * Where an order is going, as far as pricing it needs: { country, postal_code }.
+ * Checked before payment; the full address is collected by Stripe.
+ */
+export function validateDestination(input) {
+  const country = normalizeCountryCode(input?.country);
+  return { country, postal_code: normalizePostalCode(country, input?.postal_code ?? input?.zip) || undefined };
+}
+
+/**
+ * Validates a buyer address against its country's rules and returns it in
+ * canonical form: { line1, line2, city, state, postal_code, country } with an
+ * alpha-2 country, state codes where we know them and formatted postal codes.
+ * Throws INVALID_COUNTRY / INVALID_ADDRESS (err.meta.field) otherwise.
+ */
+export function validateAddress(address) {
+  const country = normalizeCountryCode(address?.country);
+  const rule = ADDRESS_RULES[country] || {};
+  const line1 = clean(address?.line1);
+  const city = clean(address?.city, 100);
+  if (!line1) throw addressError("Street address is required", "line1");
+  if (!city) throw addressError("City is required", "city");
+
+  let state = clean(address?.state, 100);
+  if (rule.states) {
+    const key = lookupKey(state);
+    const code = rule.states[key] ? key : Object.keys(rule.states).find((k) => lookupKey(rule.states[k]) === key);
+    if (!code) throw addressError(state ? `Unknown state/province "${state}" for ${BY_CODE.get(country).name}` : "State/province is required", "state");
+    state = code;
+  } else if (rule.stateRequired && !state) {
+    throw addressError("State/province is required", "state");
+  }
+
+  const postal = normalizePostalCode(country, address?.postal_code ?? address?.zip);
+  return {
+    line1,
+    line2: clean(address?.line2) || undefined,
+    city,
+    state: state || undefined,
+    postal_code: postal || undefined,
+    country,
+  };
+}
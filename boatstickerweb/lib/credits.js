@@ -0,0 +1,129 @@
+// lib/credits.js
+import express from "express";
+
+const CREDIT_PACKS = [
+  { id: "credits-1", credits: 1, price: 199, name: "1 color design credit" },
+  { id: "credits-5", credits: 5, price: 799, name: "5 color design credits" },
+  { id: "credits-15", credits: 15, price: 1999, name: "15 color design credits" },
+];
+
+export function createCredits(ctx) {
+  const { q, pool, catalog: CATALOG, stripe } = ctx;
+  const { APP_ORIGIN } = ctx.config;
+  const router = express.Router();
+
+  async function creditBalance(userId, query = q) {
+    const { rows } = await query(
+      "SELECT COALESCE(SUM(delta), 0)::int AS balance FROM credits WHERE user_id=$1",
+      [userId]
+    );
+    return rows[0].balance;
+  }
+
+  // Returns the spend row id (used for refunds). Locked per user so two
+  // parallel uploads can't both spend the last credit.
+  async function spendCredit(userId) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`credits:${userId}`]);
+      const balance = await creditBalance(userId, (text, params) => client.query(text, params));
+      if (balance < 1) {
+        const err = new Error("No credits left");
+        err.code = "NO_CREDITS";
+        throw err;
+      }
+      const { rows } = await client.query(
+        "INSERT INTO credits (user_id, delta, reason) VALUES ($1,-1,'spend') RETURNING id",
+        [userId]
+      );
+      await client.query("COMMIT");
+      return rows[0].id;
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // refund_of is unique, so a spend can only be reversed once.
+  async function refundCredit(creditId) {
+    if (!creditId) return;
+    await q(
+      `INSERT INTO credits (user_id, delta, reason, job_id, refund_of)
+       SELECT user_id, 1, 'refund', job_id, id FROM credits WHERE id=$1 AND reason='spend'
+       ON CONFLICT (refund_of) DO NOTHING`,
+      [creditId]
+    );
+  }
+
+  async function refundJobCredit(jobId) {
+    const { rows } = await q("SELECT id FROM credits WHERE job_id=$1 AND reason='spend'", [jobId]);
+    for (const row of rows) await refundCredit(row.id);
+  }
+
+  async function grantPurchasedCredits(session) {
+    const pack = CREDIT_PACKS.find((p) => p.id === session.metadata?.packId);
+    const userId = session.client_reference_id || session.metadata?.userId;
+    if (!pack || !userId) throw new Error(`Credit session ${session.id} missing pack or user`);
+    const { rowCount } = await q(
+      `INSERT INTO credits (user_id, delta, reason, pack_id, stripe_session_id)
+       VALUES ($1,$2,'purchase',$3,$4)
+       ON CONFLICT (stripe_session_id) DO NOTHING`,
+      [userId, pack.credits, pack.id, session.id]
+    );
+    if (rowCount) console.log(`🪙 Granted ${pack.credits} credits to ${userId}`);
+  }
+
+  router.get("/credits/packs", (_req, res) => {
+    res.json({
+      currency: CATALOG.currency,
+      packs: CREDIT_PACKS.map(({ id, credits, price, name }) => ({ id, credits, price, name })),
+    });
+  });
+
+  router.get("/me/credits", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.json({ balance: 0 });
+      res.json({ balance: await creditBalance(user.id) });
+    } catch (err) {
+      console.error("❌ /me/credits error:", err);
+      res.status(500).json({ error: "Failed to load credits" });
+    }
+  });
+
+  router.post("/credits/checkout", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in to buy credits" });
+      const pack = CREDIT_PACKS.find((p) => p.id === req.body?.packId);
+      if (!pack) return res.status(400).json({ error: "Unknown credit pack" });
+
+      const origin = (APP_ORIGIN || "").replace(/\/+$/, "");
+      const session = await stripe.checkout.sessions.create({
+        mode: "payment",
+        line_items: [{
+          price_data: {
+            currency: CATALOG.currency,
+            product_data: { name: pack.name },
+            unit_amount: pack.price,
+          },
+          quantity: 1,
+        }],
+        customer_email: user.email,
+        client_reference_id: user.id,
+        metadata: { kind: "credits", packId: pack.id, userId: user.id },
+        success_url: `${origin}/pricing.html?credits=ok`,
+        cancel_url: `${origin}/pricing.html`,
+      });
+      res.json({ url: session.url });
+    } catch (err) {
+      console.error("❌ /credits/checkout error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return { router, creditBalance, spendCredit, refundCredit, refundJobCredit, grantPurchasedCredits };
+}
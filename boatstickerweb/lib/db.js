@@ -0,0 +1,16 @@
+// lib/db.js
+import pkg from "pg";
+const { Pool } = pkg;
+
+// Without a database URL `pool` is null and every query throws; routes check
+// `pool` first and degrade (anonymous-only, no history) instead.
+export function createDb(databaseUrl) {
+  if (!databaseUrl) {
+    return { pool: null, q: async () => { throw new Error("Database is not configured"); } };
+  }
+  const pool = new Pool({
+    connectionString: databaseUrl,
+    ssl: { rejectUnauthorized: false },
+  });
+  return { pool, q: (text, params) => pool.query(text, params) };
+}
@@ -0,0 +1,231 @@
+// lib/designs.js
+import express from "express";
+import fetch from "node-fetch";
+import crypto from "crypto";
+import sharp from "sharp";
+import { VECTOR_MAX_COLORS, traceDesign, vectorKey, vectorPrefix } from "./vectors.js";
+
+const MAX_DESIGN_BYTES = 25 * 1024 * 1024;
+export const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FORMAT_CONTENT_TYPES = { png: "image/png", jpeg: "image/jpeg", webp: "image/webp" };
+
+export function serializeDesign(d) {
+  return {
+    id: d.id,
+    mode: d.mode,
+    width: d.width,
+    height: d.height,
+    byteSize: d.byte_size,
+    parentId: d.parent_id || null,
+    layers: d.layers || null,
+    createdAt: d.created_at,
+    imageUrl: `/designs/${d.id}/image`,
+  };
+}
+
+export async function downloadImage(url, capBytes = MAX_DESIGN_BYTES) {
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`Design download failed: ${resp.status}`);
+  const declared = parseInt(resp.headers.get("content-length") || "0", 10);
+  if (declared > capBytes) throw new Error(`Design download exceeded ${capBytes} bytes`);
+  const buffer = Buffer.from(await resp.arrayBuffer());
+  if (buffer.byteLength > capBytes) throw new Error(`Design download exceeded ${capBytes} bytes`);
+  return buffer;
+}
+
+export function createDesigns(ctx) {
+  const { storage, q, pool } = ctx;
+  const { URL_SIGNING_SECRET, APP_ORIGIN } = ctx.config;
+  const router = express.Router();
+
+  function signDesignId(id) {
+    return crypto.createHmac("sha256", URL_SIGNING_SECRET).update(`design:${id}`).digest("base64url");
+  }
+  function verifyDesignSig(id, sig) {
+    if (!sig) return false;
+    const a = Buffer.from(String(sig));
+    const b = Buffer.from(signDesignId(id));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  // Absolute URL third parties (Stripe, Gooten) can fetch without a session.
+  function designPublicUrl(design) {
+    const direct = storage.publicUrl(design.storage_key);
+    if (direct) return direct;
+    return `${(APP_ORIGIN || "").replace(/\/+$/,'')}/designs/${design.id}/image?sig=${signDesignId(design.id)}`;
+  }
+
+  async function getDesignForUser(designId, userId) {
+    if (!UUID_RE.test(String(designId))) return null;
+    const { rows } = await q("SELECT * FROM designs WHERE id=$1 AND user_id=$2", [designId, userId]);
+    return rows[0] || null;
+  }
+
+  // `buffer` skips the download when the image is already in hand (in-process providers).
+  async function persistDesign({ userId, mode, externalId, sourceUrl, buffer: provided }) {
+    const existing = await q(
+      "SELECT * FROM designs WHERE user_id=$1 AND external_id=$2",
+      [userId, externalId]
+    );
+    if (existing.rows[0]) return existing.rows[0];
+
+    const buffer = provided || await downloadImage(sourceUrl);
+    const meta = await sharp(buffer).metadata();
+    const format = FORMAT_CONTENT_TYPES[meta.format] ? meta.format : "png";
+    const contentType = FORMAT_CONTENT_TYPES[format];
+    // Deterministic key: concurrent polls for the same prediction write the same object.
+    const key = `designs/${userId}/${externalId}.${format === "jpeg" ? "jpg" : format}`;
+    await storage.put(key, buffer, contentType);
+
+    const { rows } = await q(
+      `INSERT INTO designs (user_id, mode, external_id, storage_key, content_type, byte_size, width, height, source_url)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       ON CONFLICT (user_id, external_id) DO NOTHING
+       RETURNING *`,
+      [userId, mode, externalId, key, contentType, buffer.byteLength, meta.width || null, meta.height || null, sourceUrl]
+    );
+    if (rows[0]) return rows[0];
+    const again = await q("SELECT * FROM designs WHERE user_id=$1 AND external_id=$2", [userId, externalId]);
+    return again.rows[0];
+  }
+
+  router.get("/designs", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 24, 1), 100);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+      const { rows } = await q(
+        // Once a favorite is picked, the batch's other candidates drop out of the
+        // library (they stay reachable through /generations/:id).
+        `SELECT d.* FROM designs d
+         WHERE d.user_id=$1
+           AND NOT EXISTS (
+             SELECT 1 FROM jobs j
+             JOIN generation_batches b ON b.id = j.batch_id
+             WHERE j.design_id = d.id
+               AND b.selected_job_id IS NOT NULL
+               AND b.selected_job_id <> j.id
+           )
+         ORDER BY d.created_at DESC
+         LIMIT $2 OFFSET $3`,
+        [user.id, limit, offset]
+      );
+      res.json({ designs: rows.map(serializeDesign), limit, offset });
+    } catch (err) {
+      console.error("❌ /designs error:", err);
+      res.status(500).json({ error: "Failed to list designs" });
+    }
+  });
+
+  // Registered before /designs/:id, which would otherwise swallow the ".svg" suffix.
+  router.get("/designs/:id.svg", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      if ((await ctx.getPlan(user.id)) !== "pro") {
+        return res.status(403).json({ error: "Vector downloads are a Pro feature", upgrade: true });
+      }
+      const design = await getDesignForUser(req.params.id, user.id);
+      if (!design) return res.status(404).json({ error: "Design not found" });
+
+      let colors = null;
+      if (req.query.colors) {
+        colors = parseInt(req.query.colors, 10);
+        if (!(colors >= 2 && colors <= VECTOR_MAX_COLORS)) {
+          return res.status(400).json({ error: `colors must be 2-${VECTOR_MAX_COLORS}` });
+        }
+      }
+
+      const key = vectorKey(design.id, colors);
+      let svg = (await storage.get(key))?.body;
+      if (!svg) {
+        const obj = await storage.get(design.storage_key);
+        if (!obj) return res.status(404).json({ error: "Design file missing" });
+        svg = Buffer.from(await traceDesign(obj.body, { colors }));
+        await storage.put(key, svg, "image/svg+xml");
+      }
+      res.set("Content-Type", "image/svg+xml");
+      res.set("Cache-Control", "private, max-age=86400");
+      if (req.query.download) res.set("Content-Disposition", `attachment; filename="boat-design-${design.id}.svg"`);
+      res.send(svg);
+    } catch (err) {
+      console.error("❌ /designs/:id.svg error:", err);
+      res.status(500).json({ error: "Failed to export vector" });
+    }
+  });
+
+  router.get("/designs/:id", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const design = await getDesignForUser(req.params.id, user.id);
+      if (!design) return res.status(404).json({ error: "Design not found" });
+      res.json({ design: serializeDesign(design) });
+    } catch (err) {
+      console.error("❌ /designs/:id error:", err);
+      res.status(500).json({ error: "Failed to load design" });
+    }
+  });
+
+  // Owner (session) or holder of a signed link (Stripe/Gooten) may fetch the file.
+  router.get("/designs/:id/image", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const designId = req.params.id;
+      if (!UUID_RE.test(designId)) return res.status(404).json({ error: "Design not found" });
+
+      let design = null;
+      if (verifyDesignSig(designId, req.query.sig)) {
+        const { rows } = await q("SELECT * FROM designs WHERE id=$1", [designId]);
+        design = rows[0] || null;
+      } else {
+        const user = await ctx.getAuthedUser(req);
+        if (!user) return res.status(401).json({ error: "Sign in required" });
+        design = await getDesignForUser(designId, user.id);
+      }
+      if (!design) return res.status(404).json({ error: "Design not found" });
+      const obj = await storage.get(design.storage_key);
+      if (!obj) return res.status(404).json({ error: "Design file missing" });
+      res.set("Content-Type", design.content_type || obj.contentType);
+      res.set("Cache-Control", "private, max-age=86400");
+      res.send(obj.body);
+    } catch (err) {
+      console.error("❌ /designs/:id/image error:", err);
+      res.status(500).json({ error: "Failed to load design image" });
+    }
+  });
+
+  router.delete("/designs/:id", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const design = await getDesignForUser(req.params.id, user.id);
+      if (!design) return res.status(404).json({ error: "Design not found" });
+
+      // Gooten may still fetch the artwork for an order that hasn't shipped.
+      const open = await q(
+        `SELECT 1 FROM orders WHERE status IN ('paid','failed','needs_address','submitted','in_production') AND items @> $1::jsonb LIMIT 1`,
+        [JSON.stringify([{ designId: design.id }])]
+      );
+      if (open.rows.length) return res.status(409).json({ error: "This design is part of an order that hasn't shipped yet" });
+
+      // Print files first: they are found through print_file_designs, which the delete clears.
+      await ctx.removePrintFiles(design.id).catch((e) => console.error("⚠️ print file remove failed:", e));
+      await q("DELETE FROM designs WHERE id=$1 AND user_id=$2", [design.id, user.id]);
+      // The file and everything else derived from it: vector exports (every colour count) and mockups.
+      const removals = await Promise.allSettled([
+        storage.remove(design.storage_key),
+        storage.removePrefix(vectorPrefix(design.id)),
+        ctx.removeMockups(design.id),
+      ]);
+      removals.filter((r) => r.status === "rejected").forEach((r) => console.error("⚠️ storage remove failed:", r.reason));
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ DELETE /designs/:id error:", err);
+      res.status(500).json({ error: "Failed to delete design" });
+    }
+  });
+
+  return { router, verifyDesignSig, designPublicUrl, getDesignForUser, persistDesign };
+}
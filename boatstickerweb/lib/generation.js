@@ -0,0 +1,370 @@
+// lib/generation.js
+import express from "express";
+import sharp from "sharp";
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+import { optionsError, padToOrientation } from "./styles.js";
+import { TERMINAL_JOB_STATUSES, serializeJob } from "./jobs.js";
+import { sendProviderError } from "./providers.js";
+import { UUID_RE } from "./designs.js";
+
+// Pro uploads can ask for several candidates; each variation is its own
+// provider job and its own quota charge.
+const MAX_VARIATIONS = 4;
+
+function parseVariations(value) {
+  if (value == null || value === "") return 1;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_VARIATIONS) {
+    throw optionsError(`variations must be between 1 and ${MAX_VARIATIONS}`);
+  }
+  return n;
+}
+
+function batchInputKey(userId, batchId) {
+  return `inputs/${userId}/${batchId}.png`;
+}
+
+function serializeBatch(b, jobs) {
+  const { prompt, ...options } = b.options || {};
+  return {
+    id: b.id,
+    mode: b.mode,
+    options,
+    selectedJobId: b.selected_job_id || null,
+    done: jobs.every((j) => TERMINAL_JOB_STATUSES.has(j.status)),
+    jobs: jobs.map(serializeJob),
+    createdAt: b.created_at,
+  };
+}
+
+export function createGeneration(ctx) {
+  const { storage, pool, imageProvider, upload, styles: STYLES, q } = ctx;
+  const router = express.Router();
+
+  // In-process provider outputs (openai/local); ids are unguessable UUIDs.
+  router.get("/generated/:id.png", async (req, res) => {
+    try {
+      if (!/^[a-z]+-[0-9a-f-]{36}$/.test(req.params.id)) return res.status(404).end();
+      const stored = await storage.get(`generated/${req.params.id}.png`);
+      if (!stored) return res.status(404).end();
+      res.set("Content-Type", "image/png");
+      res.set("Cache-Control", "private, max-age=86400");
+      res.send(stored.body);
+    } catch (err) {
+      console.error("❌ /generated error:", err);
+      res.status(500).end();
+    }
+  });
+
+  /**
+   * Starts one provider job per variation from the same input. Each job takes
+   * one usage charge off `charges` (a spent credit rides on the first), so the
+   * caller's catch only refunds what was never handed to a job. A variation the
+   * provider refuses is refunded on the spot; this throws only if none started.
+   */
+  async function startVariations(charges, { count, image, prompt, mode, orientation, userId, batchId = null, firstVariant = 0 }) {
+    const started = [];
+    let providerErr = null;
+    for (let i = 0; i < count; i++) {
+      const usageId = charges.usageIds.shift() || null;
+      const creditId = charges.creditId;
+      charges.creditId = null;
+      try {
+        const pred = await imageProvider.createJob({
+          image,
+          prompt,
+          background: mode === "sticker" ? "transparent" : "opaque",
+          orientation,
+          mode,
+          webhookUrl: ctx.replicateWebhookUrl(),
+        });
+        const job = pool
+          ? await ctx.createGenerationJob({ userId, mode, externalId: pred.id, usageId, creditId, batchId, variant: firstVariant + i })
+          : null;
+        started.push({ pred, job });
+      } catch (e) {
+        if (e?.code !== "PROVIDER_ERROR") {
+          if (usageId) charges.usageIds.unshift(usageId);
+          charges.creditId = creditId;
+          throw e;
+        }
+        await ctx.refundUsage(usageId);
+        await ctx.refundCredit(creditId);
+        providerErr = e;
+      }
+    }
+    if (!started.length) throw providerErr;
+    return started;
+  }
+
+  router.post("/generate-image", upload.single("boatImage"), async (req, res) => {
+    const t0 = Date.now();
+    // Charges not yet owned by a job; refunded below if anything fails.
+    const charges = { usageIds: [], creditId: null };
+    try {
+      const user = await ctx.getAuthedUser(req);
+
+      if (!req.file) return res.status(400).json({ error: "No file uploaded (field name must be 'boatImage')." });
+      if (imageProvider.missingConfig) {
+        return res.status(500).json({ error: imageProvider.missingConfig });
+      }
+
+      const mode = (req.body?.mode || "sticker").toLowerCase() === "image" ? "image" : "sticker";
+      const isSticker = mode === "sticker";
+
+      const plan = await ctx.getPlan(user?.id);
+      const wantsCredit = ["1", "true", "on"].includes(String(req.body?.useCredit || "").toLowerCase());
+
+      // Style/inputs are checked before anything is charged.
+      let options, variations;
+      try {
+        options = ctx.parseGenerationOptions(req.body, { mode, access: plan === "pro" || wantsCredit ? "pro" : "free" });
+        variations = parseVariations(req.body?.variations);
+        if (variations > 1 && plan !== "pro") {
+          throw optionsError("Generating several variations is a Pro feature.", "STYLE_LOCKED");
+        }
+      } catch (optErr) {
+        if (optErr?.code === "STYLE_LOCKED") return res.status(403).json({ error: optErr.message, upgrade: true });
+        if (optErr?.code === "INVALID_OPTIONS") return res.status(400).json({ error: optErr.message });
+        throw optErr;
+      }
+
+      // Free users can spend a purchased credit on one Pro-quality generation;
+      // paid generations don't count against the free quota.
+      if (wantsCredit && plan !== "pro") {
+        if (!user) return res.status(401).json({ error: "Sign in to use credits" });
+        try { charges.creditId = await ctx.spendCredit(user.id); }
+        catch (creditErr) {
+          if (creditErr?.code === "NO_CREDITS") return res.status(402).json({ error: creditErr.message, balance: 0 });
+          throw creditErr;
+        }
+      }
+
+      if (!charges.creditId) {
+        try { charges.usageIds = await ctx.reserveQuota(req, res, user, plan, variations); }
+        catch (limitErr) {
+          if (limitErr?.code === "QUOTA_EXCEEDED") {
+            return res.status(429).json({ error: limitErr.message, ...limitErr.meta });
+          }
+          throw limitErr;
+        }
+      }
+
+      const prompt = ctx.buildPrompt(options, mode);
+      const padColor = isSticker
+        ? { r: 0, g: 0, b: 0, alpha: 0 }
+        : STYLES.backgrounds[options.background]?.hex || "#ffffff";
+
+      // Resized first: metadata() only describes the input, and the padding
+      // has to be worked out from the actual (rotated, downscaled) size.
+      const { data: resized, info } = await sharp(req.file.buffer).rotate()
+        .resize({ width: 1280, height: 1280, fit: "inside", withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const base = Math.max(info.width, info.height);
+      const pad = Math.round(base * 0.12);
+
+      const framed = padToOrientation(info.width + 2 * pad, info.height + 2 * pad, options.orientation);
+      const img = sharp(resized, { raw: { width: info.width, height: info.height, channels: info.channels } }).extend({
+        top: pad + framed.y, bottom: pad + framed.y, left: pad + framed.x, right: pad + framed.x,
+        background: padColor
+      });
+
+      const pngBuffer = await img.png({ compressionLevel: 9 }).toBuffer();
+      req.file.buffer = null;
+
+      const kb = Math.round(pngBuffer.byteLength / 1024);
+      console.log(`[generate-image] plan=${plan}${charges.creditId ? "+credit" : ""} mode=${mode} style=${options.style.id} variations=${variations} input ~${kb}KB`);
+
+      // Signed-in uploads keep their preprocessed input so they can be
+      // regenerated later without another upload.
+      const batch = pool && user
+        ? await createGenerationBatch({ userId: user.id, mode, options, input: pngBuffer })
+        : null;
+
+      let started;
+      try {
+        started = await startVariations(charges, {
+          count: variations,
+          image: pngBuffer,
+          prompt,
+          mode,
+          orientation: options.orientation,
+          userId: user?.id,
+          batchId: batch?.id,
+        });
+      } catch (e) {
+        if (e?.code === "PROVIDER_ERROR") return sendProviderError(res, e);
+        throw e;
+      }
+
+      console.log(`[generate-image] ${imageProvider.name} created ${started.map((s) => s.pred.id).join(", ")} in ${Date.now() - t0}ms`);
+      const jobs = started.map((s) => s.job).filter(Boolean).map(serializeJob);
+      res.json({
+        job: jobs[0] || null,
+        jobs,
+        batch: batch ? { id: batch.id } : null,
+        prediction: { id: started[0].pred.id },
+      });
+    } catch (error) {
+      console.error("❌ Image generation error:", error);
+      await ctx.refundUsage(charges.usageIds).catch(() => {});
+      await ctx.refundCredit(charges.creditId).catch(() => {});
+      res.status(500).json({ error: error?.message || "Failed to generate image" });
+    }
+  });
+
+  // Images list (examples page)
+  router.get("/images/list", async (req, res) => {
+    try {
+      const dir = path.join(process.cwd(), "src/public/images");
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+
+      const allow = new Set([".png", ".jpg", ".jpeg", ".webp", ".gif", ".avif"]);
+      const files = entries
+        .filter(d => d.isFile())
+        .map(d => d.name)
+        .filter(name => allow.has(path.extname(name).toLowerCase()))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(name => `/images/${name}`);
+
+      res.json(files);
+    } catch (err) {
+      console.error("IMAGE LIST ERROR:", err);
+      res.status(500).json({ error: "Failed to list images" });
+    }
+  });
+
+  async function createGenerationBatch({ userId, mode, options, input }) {
+    const id = crypto.randomUUID();
+    const key = batchInputKey(userId, id);
+    await storage.put(key, input, "image/png");
+    const stored = {
+      style: options.style.id,
+      boatName: options.boatName,
+      background: options.background,
+      orientation: options.orientation,
+      prompt: ctx.buildPrompt(options, mode),
+    };
+    const { rows } = await q(
+      `INSERT INTO generation_batches (id, user_id, mode, options, input_key)
+       VALUES ($1,$2,$3,$4,$5)
+       RETURNING *`,
+      [id, userId, mode, JSON.stringify(stored), key]
+    );
+    return rows[0];
+  }
+
+  async function getBatchForUser(id, userId) {
+    if (!UUID_RE.test(String(id))) return null;
+    const { rows } = await q("SELECT * FROM generation_batches WHERE id=$1 AND user_id=$2", [id, userId]);
+    return rows[0] || null;
+  }
+
+  async function batchJobs(batchId) {
+    const { rows } = await q("SELECT * FROM jobs WHERE batch_id=$1 ORDER BY variant", [batchId]);
+    return rows;
+  }
+
+  router.get("/generations/:id", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const batch = await getBatchForUser(req.params.id, user.id);
+      if (!batch) return res.status(404).json({ error: "Generation not found" });
+      res.json({ batch: serializeBatch(batch, await batchJobs(batch.id)) });
+    } catch (err) {
+      console.error("❌ /generations/:id error:", err);
+      res.status(500).json({ error: "Failed to load generation" });
+    }
+  });
+
+  // Runs the stored input through the provider again. Charged per variation
+  // like a fresh upload; the style is re-checked in case the plan lapsed.
+  router.post("/generations/:id/regenerate", async (req, res) => {
+    const charges = { usageIds: [], creditId: null };
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      if (imageProvider.missingConfig) return res.status(500).json({ error: imageProvider.missingConfig });
+      const batch = await getBatchForUser(req.params.id, user.id);
+      if (!batch) return res.status(404).json({ error: "Generation not found" });
+
+      const plan = await ctx.getPlan(user.id);
+      let variations;
+      try {
+        variations = parseVariations(req.body?.variations);
+        const style = STYLES.styles.find((s) => s.id === batch.options.style);
+        if ((style?.plan === "pro" || variations > 1) && plan !== "pro") {
+          return res.status(403).json({ error: "Regenerating this design is a Pro feature.", upgrade: true });
+        }
+      } catch (optErr) {
+        if (optErr?.code === "INVALID_OPTIONS") return res.status(400).json({ error: optErr.message });
+        throw optErr;
+      }
+
+      const input = (await storage.get(batch.input_key))?.body;
+      if (!input) return res.status(410).json({ error: "The original upload is no longer available" });
+
+      try { charges.usageIds = await ctx.reserveQuota(req, res, user, plan, variations); }
+      catch (limitErr) {
+        if (limitErr?.code === "QUOTA_EXCEEDED") return res.status(429).json({ error: limitErr.message, ...limitErr.meta });
+        throw limitErr;
+      }
+
+      const existing = await batchJobs(batch.id);
+      let started;
+      try {
+        started = await startVariations(charges, {
+          count: variations,
+          image: input,
+          prompt: batch.options.prompt,
+          mode: batch.mode,
+          orientation: batch.options.orientation,
+          userId: user.id,
+          batchId: batch.id,
+          firstVariant: existing.length ? Math.max(...existing.map((j) => j.variant)) + 1 : 0,
+        });
+      } catch (e) {
+        if (e?.code === "PROVIDER_ERROR") return sendProviderError(res, e);
+        throw e;
+      }
+
+      console.log(`🔁 regenerated batch ${batch.id}: ${started.map((s) => s.pred.id).join(", ")}`);
+      res.json({ batch: serializeBatch(batch, await batchJobs(batch.id)), jobs: started.map((s) => serializeJob(s.job)) });
+    } catch (err) {
+      console.error("❌ /generations/:id/regenerate error:", err);
+      await ctx.refundUsage(charges.usageIds).catch(() => {});
+      res.status(500).json({ error: "Failed to regenerate" });
+    }
+  });
+
+  router.post("/generations/:id/select", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const batch = await getBatchForUser(req.params.id, user.id);
+      if (!batch) return res.status(404).json({ error: "Generation not found" });
+
+      const jobs = await batchJobs(batch.id);
+      const job = jobs.find((j) => j.id === req.body?.jobId);
+      if (!job) return res.status(400).json({ error: "jobId must be one of this generation's variations" });
+      if (job.status !== "succeeded" || !job.design_id) {
+        return res.status(409).json({ error: "Only a finished variation can be kept" });
+      }
+      const { rows } = await q(
+        "UPDATE generation_batches SET selected_job_id=$2 WHERE id=$1 RETURNING *",
+        [batch.id, job.id]
+      );
+      res.json({ batch: serializeBatch(rows[0], jobs), design: serializeJob(job).design });
+    } catch (err) {
+      console.error("❌ /generations/:id/select error:", err);
+      res.status(500).json({ error: "Failed to select variation" });
+    }
+  });
+
+  return { router };
+}
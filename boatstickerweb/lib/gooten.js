@@ -0,0 +1,314 @@
+// lib/gooten.js
+// Gooten (print.io) source API: product variants, shipping/price quotes, order
+// submission and lookup.
+import fetch from "node-fetch";
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_VARIANT_PAGES = 50;
+const DEFAULT_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Gooten failures throw with err.code = "GOOTEN_ERROR" and err.status/err.details.
+export function gootenError(message, status = 502, details) {
+  const err = new Error(message);
+  err.code = "GOOTEN_ERROR";
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+// The product (or the chosen options) isn't sold in a country.
+function unavailableError(message, product, countryCode) {
+  const err = new Error(message);
+  err.code = "VARIANT_UNAVAILABLE";
+  err.meta = { productId: product.id, countryCode };
+  return err;
+}
+
+// Gooten amounts are decimals in the requested currency; we work in minor units.
+const toMinorUnits = (price) => Math.round(Number(price) * 100);
+
+async function readCapped(resp, what, capBytes = MAX_BODY_BYTES) {
+  const reader = resp.body.getReader ? resp.body.getReader() : null;
+  if (!reader) {
+    const txt = await resp.text();
+    if (txt.length > capBytes) throw gootenError(`Gooten ${what} body exceeded ${capBytes} bytes`);
+    return txt;
+  }
+  let received = 0;
+  const chunks = [];
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > capBytes) {
+      try { reader.cancel(); } catch {}
+      throw gootenError(`Gooten ${what} body exceeded ${capBytes} bytes`);
+    }
+    chunks.push(value);
+  }
+  const merged = new Uint8Array(received);
+  let offset = 0;
+  for (const c of chunks) { merged.set(c, offset); offset += c.byteLength; }
+  return new TextDecoder("utf-8").decode(merged);
+}
+
+/**
+ * Fetches and parses one Gooten JSON response. Non-2xx statuses and 200s that
+ * carry HadError/Errors both throw, with the message Gooten gave.
+ */
+async function requestJson(what, url, init) {
+  const resp = await fetch(url, init);
+  const text = await readCapped(resp, what);
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; }
+  catch (e) {
+    if (resp.ok) throw gootenError(`Gooten ${what}: invalid JSON (${text.length} bytes): ${e.message}`);
+  }
+  if (!resp.ok) throw gootenError(`Gooten ${what} failed: ${resp.status} ${text.slice(0, 500)}`, resp.status >= 500 ? 502 : resp.status, data);
+  if (!data || typeof data !== "object") throw gootenError(`Gooten ${what}: empty response`);
+  if (data.HadError) {
+    const errors = (data.Errors || []).map((e) => e?.ErrorMessage || e?.Message || JSON.stringify(e)).join("; ");
+    throw gootenError(`Gooten ${what} failed: ${errors || "unknown error"}`, 502, data.Errors);
+  }
+  return data;
+}
+
+function createTtlCache(ttlMs, now) {
+  const entries = new Map();
+  return {
+    get(key) {
+      const hit = entries.get(key);
+      if (!hit) return undefined;
+      if (hit.expiresAt <= now()) { entries.delete(key); return undefined; }
+      return hit.value;
+    },
+    set(key, value) { entries.set(key, { value, expiresAt: now() + ttlMs }); },
+    delete: (key) => entries.delete(key),
+    keys: () => [...entries.keys()],
+    clear: () => entries.clear(),
+  };
+}
+
+function isEnabledIn(variant, countryCode) {
+  const enabledCountries = variant.IsEnabledIn || variant.EnabledIn || variant.AvailableIn || [];
+  const flag = variant.IsEnabled === true || variant[`IsEnabledIn${countryCode}`] === true;
+  return flag || (Array.isArray(enabledCountries) && enabledCountries.includes(countryCode));
+}
+
+// Tries each rule (a list of terms that must all appear in SKU/name) in order.
+// "{size}"-style terms are filled from the buyer's options. Products without
+// options fall back to the first enabled variant, like the original sticker flow.
+function pickPreferredVariant(enabled, product, options = {}) {
+  for (const rule of product.variantRules) {
+    const terms = rule.map((t) => t.replace(/\{(\w+)\}/g, (_, k) => options[k] ?? ""));
+    const hit = enabled.find((v) => {
+      const hay = `${v.sku} ${v.name}`;
+      return terms.every((t) => hay.includes(t));
+    });
+    if (hit) return hit.sku;
+  }
+  if (Object.keys(product.options).length) return undefined;
+  return enabled[0]?.sku;
+}
+
+/**
+ * Client for one recipe. Enabled variants are cached per product and country
+ * for `cacheTtlMs`; invalidate() drops them early (e.g. after editing the
+ * recipe's product setup in Gooten).
+ */
+export function createGootenClient({
+  recipeId,
+  apiUrl = "https://api.print.io/api/v/5/source/api",
+  cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+  pageSize = DEFAULT_PAGE_SIZE,
+  now = Date.now,
+}) {
+  const api = apiUrl.replace(/\/+$/, "");
+  const variantsCache = createTtlCache(cacheTtlMs, now);
+
+  function requireRecipe() {
+    if (!recipeId) throw gootenError("GOOTEN_RECIPE_ID missing.", 500);
+  }
+  const withRecipe = (path) => `${api}${path}${path.includes("?") ? "&" : "?"}recipeid=${encodeURIComponent(recipeId)}`;
+
+  async function loadVariants(gootenProductId, countryCode) {
+    const variants = [];
+    let skipped = 0;
+    for (let page = 1; ; page++) {
+      if (page > MAX_VARIANT_PAGES) {
+        throw gootenError(`Gooten productvariants: more than ${MAX_VARIANT_PAGES} pages for product ${gootenProductId}`);
+      }
+      const data = await requestJson("productvariants", withRecipe(
+        `/productvariants/?productid=${encodeURIComponent(gootenProductId)}` +
+        `&countrycode=${encodeURIComponent(countryCode)}` +
+        `&page=${page}&pagesize=${pageSize}`
+      ));
+      const list = data.ProductVariants;
+      if (!Array.isArray(list)) {
+        throw gootenError("Gooten productvariants: response has no ProductVariants list", 502, Object.keys(data));
+      }
+      for (const v of list) {
+        if (!v || typeof v.Sku !== "string" || !v.Sku) { skipped++; continue; }
+        if (!isEnabledIn(v, countryCode)) continue;
+        variants.push({ sku: v.Sku, name: typeof v.Name === "string" ? v.Name : "" });
+      }
+      if (list.length < pageSize) break;
+    }
+    if (skipped) console.warn(`[Gooten] Skipped ${skipped} variant(s) without a SKU for product ${gootenProductId} (${countryCode})`);
+    return variants;
+  }
+
+  async function fetchVariantsForCountry(product, countryCode) {
+    if (!product?.gootenProductId) throw gootenError(`Gooten product id missing for "${product?.id}".`, 500);
+    requireRecipe();
+
+    const key = countryCode.toUpperCase();
+    const cacheKey = `${product.gootenProductId}:${key}`;
+    const cached = variantsCache.get(cacheKey);
+    if (cached) return cached;
+
+    // Cache the promise so concurrent checkouts share one set of page fetches.
+    const pending = loadVariants(product.gootenProductId, key);
+    variantsCache.set(cacheKey, pending);
+    try {
+      return await pending;
+    } catch (e) {
+      if (variantsCache.get(cacheKey) === pending) variantsCache.delete(cacheKey);
+      throw e;
+    }
+  }
+
+  /** Drops cached variants: all of them, one product's, or one product in one country. */
+  function invalidate({ gootenProductId, countryCode } = {}) {
+    let dropped = 0;
+    for (const key of variantsCache.keys()) {
+      const [pid, cc] = key.split(":");
+      if (gootenProductId && pid !== String(gootenProductId)) continue;
+      if (countryCode && cc !== countryCode.toUpperCase()) continue;
+      variantsCache.delete(key);
+      dropped++;
+    }
+    return dropped;
+  }
+
+  async function pickSkuForCountry({ product, options, countryCode }) {
+    const enabled = await fetchVariantsForCountry(product, countryCode);
+    if (!enabled.length) throw unavailableError(`No enabled variants for ${product.id} in ${countryCode}.`, product, countryCode);
+    if (product.preferredSku) {
+      const ok = enabled.some((v) => v.sku === product.preferredSku);
+      if (ok) return product.preferredSku;
+      console.warn(`[Gooten] Env SKU "${product.preferredSku}" not enabled for ${countryCode}. Falling back.`);
+    }
+    const chosen = pickPreferredVariant(enabled, product, options);
+    if (!chosen) {
+      throw unavailableError(`Could not pick a SKU for ${product.id} (${JSON.stringify(options)}) in ${countryCode}.`, product, countryCode);
+    }
+    console.log(`[Gooten] Selected SKU for ${product.id} in ${countryCode}: ${chosen}`);
+    return chosen;
+  }
+
+  /**
+   * Shipping methods for a set of SKUs to one destination, cheapest first:
+   * [{ method, name, amount, currency, days }]. Gooten may split the items
+   * into several shipments; a method is offered only if every shipment
+   * supports it, at the summed price.
+   */
+  async function getShippingOptions({ countryCode, postalCode, state, currency, items }) {
+    requireRecipe();
+    if (!items?.length) throw gootenError("Shipping quote needs at least one item.", 500);
+    const cur = currency.toUpperCase();
+    const data = await requestJson("shippingprices", withRecipe("/shippingprices/"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        ShipToCountry: countryCode,
+        ShipToPostalCode: postalCode || undefined,
+        ShipToState: state || undefined,
+        CurrencyCode: cur,
+        LanguageCode: "en",
+        Items: items.map((it) => ({ SKU: it.sku, Quantity: it.quantity })),
+      }),
+    });
+    if (!Array.isArray(data.Result) || !data.Result.length) {
+      throw gootenError("Gooten shippingprices: response has no Result list", 502, Object.keys(data));
+    }
+
+    let methods = null;
+    for (const group of data.Result) {
+      if (!Array.isArray(group?.ShipOptions)) throw gootenError("Gooten shippingprices: shipment without ShipOptions");
+      const here = new Map();
+      for (const o of group.ShipOptions) {
+        const method = String(o?.MethodType || "").toLowerCase();
+        const amount = toMinorUnits(o?.Price?.Price);
+        if (!method || !Number.isFinite(amount) || amount < 0) throw gootenError("Gooten shippingprices: malformed ship option", 502, o);
+        if ((o.Price.CurrencyCode || cur).toUpperCase() !== cur) {
+          throw gootenError(`Gooten shippingprices: quoted in ${o.Price.CurrencyCode}, expected ${cur}`);
+        }
+        const days = Number(o.EstBusinessDaysTilDelivery) || null;
+        const prev = here.get(method);
+        if (!prev || amount < prev.amount) here.set(method, { method, name: o.Name || method, amount, days });
+      }
+      if (!methods) { methods = here; continue; }
+      for (const [method, m] of methods) {
+        const other = here.get(method);
+        if (!other) { methods.delete(method); continue; }
+        m.amount += other.amount;
+        m.days = m.days && other.days ? Math.max(m.days, other.days) : m.days || other.days;
+      }
+    }
+    return [...methods.values()]
+      .map((m) => ({ ...m, currency: cur.toLowerCase() }))
+      .sort((a, b) => a.amount - b.amount);
+  }
+
+  /**
+   * Gooten's full price for an order before placing it: { items, shipping,
+   * total, currency } in minor units. Items are [{ sku, quantity }] and ship
+   * with `shipType` (the method we submit orders with).
+   */
+  async function estimatePrice({ countryCode, postalCode, state, currency, items, shipType = "standard" }) {
+    requireRecipe();
+    const cur = currency.toUpperCase();
+    const data = await requestJson("priceestimate", withRecipe("/priceestimate/"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        ShipToAddress: { CountryCode: countryCode, PostalCode: postalCode || undefined, State: state || undefined },
+        Items: items.map((it) => ({ SKU: it.sku, Quantity: it.quantity, ShipType: shipType })),
+        Payment: { CurrencyCode: cur },
+      }),
+    });
+    const parts = {};
+    for (const [field, key] of [["Items", "items"], ["Shipping", "shipping"], ["Total", "total"]]) {
+      const amount = toMinorUnits(data[field]?.Price);
+      if (!Number.isFinite(amount)) throw gootenError(`Gooten priceestimate: missing ${field} price`, 502, Object.keys(data));
+      parts[key] = amount;
+    }
+    return { ...parts, currency: cur.toLowerCase() };
+  }
+
+  async function submitOrder(body) {
+    requireRecipe();
+    return requestJson("order", withRecipe("/orders/"), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  }
+
+  async function fetchOrder(gootenOrderId) {
+    requireRecipe();
+    return requestJson("order lookup", withRecipe(`/orders/?id=${encodeURIComponent(gootenOrderId)}`));
+  }
+
+  return {
+    fetchVariantsForCountry,
+    pickSkuForCountry,
+    getShippingOptions,
+    estimatePrice,
+    submitOrder,
+    fetchOrder,
+    invalidate,
+  };
+}
@@ -0,0 +1,6 @@
+// lib/html.js
+
+// Escapes text for HTML/XML content and attribute values (emails, SVG overlays).
+export function escapeXml(s) {
+  return String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[c]));
+}
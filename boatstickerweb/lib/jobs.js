@@ -0,0 +1,330 @@
+// lib/jobs.js
+import express from "express";
+import { EventEmitter } from "events";
+import crypto from "crypto";
+import { UUID_RE, downloadImage } from "./designs.js";
+import { sendProviderError } from "./providers.js";
+
+const ACTIVE_JOB_STATUSES = ["starting", "processing"];
+export const TERMINAL_JOB_STATUSES = new Set(["succeeded", "failed", "canceled"]);
+
+export function serializeJob(j) {
+  return {
+    id: j.id,
+    status: j.status,
+    mode: j.mode,
+    batchId: j.batch_id || null,
+    variant: j.variant ?? 0,
+    output: j.output_url ? [j.output_url] : [],
+    design: j.design_id ? { id: j.design_id, imageUrl: `/designs/${j.design_id}/image` } : null,
+    error: j.error || null,
+    createdAt: j.created_at,
+    completedAt: j.completed_at || null,
+  };
+}
+
+export function createJobs(ctx) {
+  const { imageProvider, q, pool } = ctx;
+  const { APP_ORIGIN, REPLICATE_WEBHOOK_SECRET, STICKER_CLEANUP, JOB_TIMEOUT_MIN } = ctx.config;
+  const router = express.Router();
+
+  const jobEvents = new EventEmitter();
+  jobEvents.setMaxListeners(0);
+
+  function replicateWebhookUrl() {
+    if (imageProvider.name !== "replicate" || !REPLICATE_WEBHOOK_SECRET || !APP_ORIGIN) return undefined;
+    return `${APP_ORIGIN}/webhooks/replicate`;
+  }
+
+  async function createGenerationJob({ userId, mode, externalId, usageId, creditId, batchId = null, variant = 0 }) {
+    const { rows } = await q(
+      `INSERT INTO jobs (user_id, provider, external_id, mode, batch_id, variant)
+       VALUES ($1,$2,$3,$4,$5,$6)
+       RETURNING *`,
+      [userId || null, imageProvider.name, externalId, mode, batchId, variant]
+    );
+    if (usageId) await q("UPDATE usage_events SET job_id=$2 WHERE id=$1", [usageId, rows[0].id]);
+    if (creditId) await q("UPDATE credits SET job_id=$2 WHERE id=$1", [creditId, rows[0].id]);
+    return rows[0];
+  }
+
+  async function loadJob(id) {
+    if (!UUID_RE.test(String(id))) return null;
+    const { rows } = await q("SELECT * FROM jobs WHERE id=$1", [id]);
+    return rows[0] || null;
+  }
+
+  // Jobs started while signed in are private to that user; anonymous jobs are
+  // reachable by anyone holding the (unguessable) id.
+  async function getJobForRequest(req, id) {
+    const job = await loadJob(id);
+    if (!job) return null;
+    if (job.user_id) {
+      const user = await ctx.getAuthedUser(req);
+      if (user?.id !== job.user_id) return null;
+    }
+    return job;
+  }
+
+  // Logs the generation in the user's history and keeps our own copy of the output
+  // (stickers go through dieCutSticker first).
+  async function recordJobSuccess(job) {
+    await q(
+      `INSERT INTO generations (user_id, mode, external_id)
+       VALUES ($1,$2,$3)
+       ON CONFLICT (user_id, external_id) DO NOTHING`,
+      [job.user_id, job.mode, job.external_id]
+    );
+    try {
+      let buffer = job.provider === imageProvider.name && imageProvider.readOutput
+        ? await imageProvider.readOutput(job.external_id)
+        : null;
+      if (job.mode === "sticker" && STICKER_CLEANUP) {
+        buffer = await ctx.dieCutSticker(buffer || await downloadImage(job.output_url));
+      }
+      const design = await ctx.persistDesign({
+        userId: job.user_id,
+        mode: job.mode,
+        externalId: job.external_id,
+        sourceUrl: job.output_url,
+        buffer,
+      });
+      const { rows } = await q("UPDATE jobs SET design_id=$2 WHERE id=$1 RETURNING *", [job.id, design.id]);
+      return rows[0];
+    } catch (e) {
+      console.error("❌ failed to persist design:", e);
+      return job;
+    }
+  }
+
+  /**
+   * Moves a job to the provider-reported status. The webhook, the poller and
+   * cancel can race; only the first terminal transition wins and does the
+   * quota/design bookkeeping.
+   */
+  async function applyJobStatus(job, { status, output, error }) {
+    if (TERMINAL_JOB_STATUSES.has(job.status)) return job;
+    const outputUrl = output?.[0] || null;
+    if (status === "succeeded" && !outputUrl) {
+      status = "failed";
+      error = "Provider returned no output";
+    }
+
+    if (!TERMINAL_JOB_STATUSES.has(status)) {
+      if (status === job.status || !ACTIVE_JOB_STATUSES.includes(status)) return job;
+      const { rows } = await q(
+        "UPDATE jobs SET status=$2, updated_at=now() WHERE id=$1 AND status = ANY($3) RETURNING *",
+        [job.id, status, ACTIVE_JOB_STATUSES]
+      );
+      if (rows[0]) jobEvents.emit(job.id, rows[0]);
+      return rows[0] || job;
+    }
+    const { rows } = await q(
+      `UPDATE jobs
+       SET status=$2, output_url=$3, error=$4, completed_at=now(), updated_at=now()
+       WHERE id=$1 AND status = ANY($5)
+       RETURNING *`,
+      [job.id, status, outputUrl, error ? String(error).slice(0, 1000) : null, ACTIVE_JOB_STATUSES]
+    );
+    let done = rows[0];
+    if (!done) return (await loadJob(job.id)) || job;
+    if (done.status === "succeeded" && done.user_id) done = await recordJobSuccess(done);
+    if (done.status !== "succeeded") {
+      await ctx.refundJobUsage(done.id);
+      await ctx.refundJobCredit(done.id);
+    }
+    console.log(`🎨 job ${done.id} ${done.status}`);
+    jobEvents.emit(done.id, done);
+    return done;
+  }
+
+  async function pollActiveJobs() {
+    const stale = await q(
+      `SELECT * FROM jobs
+       WHERE status = ANY($1) AND created_at < now() - $2::interval`,
+      [ACTIVE_JOB_STATUSES, `${JOB_TIMEOUT_MIN} minutes`]
+    );
+    for (const job of stale.rows) {
+      await applyJobStatus(job, { status: "failed", error: "Generation timed out" });
+    }
+
+    // With webhooks on, polling is only a safety net for missed deliveries.
+    const quietFor = replicateWebhookUrl() ? "30 seconds" : "2 seconds";
+    const { rows } = await q(
+      `SELECT * FROM jobs
+       WHERE provider=$1 AND status = ANY($2) AND updated_at < now() - $3::interval
+       ORDER BY updated_at
+       LIMIT 25`,
+      [imageProvider.name, ACTIVE_JOB_STATUSES, quietFor]
+    );
+    for (const job of rows) {
+      try {
+        await applyJobStatus(job, await imageProvider.getStatus(job.external_id));
+      } catch (e) {
+        // An in-process job unknown here may belong to another instance; the
+        // timeout above fails it if nobody finishes it.
+        if (e?.status === 404 && imageProvider.sharedJobs) {
+          await applyJobStatus(job, { status: "failed", error: "Generation not found at provider" });
+        } else {
+          console.warn(`⚠️ job ${job.id} poll failed:`, e?.message || e);
+        }
+      }
+    }
+  }
+
+  router.get("/jobs/:id", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const job = await getJobForRequest(req, req.params.id);
+      if (!job) return res.status(404).json({ error: "Job not found" });
+      res.json({ job: serializeJob(job) });
+    } catch (err) {
+      console.error("❌ /jobs/:id error:", err);
+      res.status(500).json({ error: "Failed to load job" });
+    }
+  });
+
+  // Server-Sent Events: one "status" event per change, closed once the job finishes.
+  router.get("/jobs/:id/events", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const job = await getJobForRequest(req, req.params.id);
+      if (!job) return res.status(404).json({ error: "Job not found" });
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+
+      let lastStatus = null;
+      let closed = false;
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(refresh);
+        jobEvents.off(job.id, send);
+        res.end();
+      };
+      function send(j) {
+        if (closed || j.status === lastStatus) return;
+        lastStatus = j.status;
+        res.write(`event: status\ndata: ${JSON.stringify(serializeJob(j))}\n\n`);
+        if (TERMINAL_JOB_STATUSES.has(j.status)) close();
+      }
+      // Another instance may complete the job, so re-read it now and then;
+      // the comment line doubles as a keep-alive for proxies.
+      const refresh = setInterval(async () => {
+        const fresh = await loadJob(job.id).catch(() => null);
+        if (closed) return;
+        if (fresh && fresh.status !== lastStatus) send(fresh);
+        else res.write(": ping\n\n");
+      }, 5000);
+
+      jobEvents.on(job.id, send);
+      req.on("close", close);
+      send(job);
+    } catch (err) {
+      console.error("❌ /jobs/:id/events error:", err);
+      if (!res.headersSent) res.status(500).json({ error: "Failed to stream job" });
+      else res.end();
+    }
+  });
+
+  router.post("/jobs/:id/cancel", async (req, res) => {
+    try {
+      if (!pool) return res.status(500).json({ error: "Database not configured" });
+      const job = await getJobForRequest(req, req.params.id);
+      if (!job) return res.status(404).json({ error: "Job not found" });
+      if (TERMINAL_JOB_STATUSES.has(job.status)) return res.status(409).json({ error: `Job already ${job.status}` });
+      if (job.provider === imageProvider.name) {
+        try {
+          await imageProvider.cancel(job.external_id);
+        } catch (e) {
+          if (e?.code !== "PROVIDER_ERROR") throw e;
+          console.warn(`⚠️ provider cancel for job ${job.id} failed:`, e.message);
+        }
+      }
+      const updated = await applyJobStatus(job, { status: "canceled" });
+      res.json({ job: serializeJob(updated) });
+    } catch (err) {
+      console.error("❌ /jobs/:id/cancel error:", err);
+      res.status(500).json({ error: "Failed to cancel job" });
+    }
+  });
+
+  // Replicate signs webhooks Standard-Webhooks style: HMAC-SHA256 over
+  // "<webhook-id>.<webhook-timestamp>.<body>" keyed with the base64 secret.
+  function verifyReplicateWebhook(req) {
+    const id = req.get("webhook-id");
+    const timestamp = req.get("webhook-timestamp");
+    const signatures = req.get("webhook-signature");
+    if (!id || !timestamp || !signatures) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 5 * 60) return false;
+
+    const key = Buffer.from(REPLICATE_WEBHOOK_SECRET.replace(/^whsec_/, ""), "base64");
+    const expected = Buffer.from(
+      crypto.createHmac("sha256", key).update(`${id}.${timestamp}.${req.body.toString("utf8")}`).digest("base64")
+    );
+    return signatures.split(" ").some((entry) => {
+      const sig = Buffer.from(entry.split(",")[1] || "");
+      return sig.length === expected.length && crypto.timingSafeEqual(sig, expected);
+    });
+  }
+
+  router.post("/webhooks/replicate", express.raw({ type: "application/json" }), async (req, res) => {
+    try {
+      if (!REPLICATE_WEBHOOK_SECRET || !pool) return res.status(404).end();
+      if (!verifyReplicateWebhook(req)) return res.status(400).json({ error: "Invalid signature" });
+
+      const prediction = JSON.parse(req.body.toString("utf8"));
+      const { rows } = await q(
+        "SELECT * FROM jobs WHERE provider='replicate' AND external_id=$1",
+        [String(prediction?.id || "")]
+      );
+      // Can arrive before /generate-image has inserted the row; the poller picks it up.
+      if (!rows[0]) return res.json({ received: true, unknown: true });
+
+      await applyJobStatus(rows[0], {
+        status: prediction.status,
+        output: prediction.output == null ? [] : [].concat(prediction.output),
+        error: prediction.error,
+      });
+      res.json({ received: true });
+    } catch (err) {
+      console.error("❌ /webhooks/replicate error:", err);
+      res.status(500).json({ error: "Webhook handling failed" });
+    }
+  });
+
+  // Legacy polling endpoint (pre-jobs clients). Reads the job row instead of
+  // proxying to the provider; without a database it still asks the provider.
+  router.get("/prediction-status/:id", async (req, res) => {
+    try {
+      const predictionId = req.params.id;
+      if (!pool) {
+        try {
+          return res.json(await imageProvider.getStatus(predictionId));
+        } catch (e) {
+          if (e?.code === "PROVIDER_ERROR") return sendProviderError(res, e);
+          throw e;
+        }
+      }
+      const { rows } = await q(
+        "SELECT id FROM jobs WHERE provider=$1 AND external_id=$2",
+        [imageProvider.name, predictionId]
+      );
+      const job = rows[0] && await getJobForRequest(req, rows[0].id);
+      if (!job) return res.status(404).json({ error: "Prediction not found" });
+      const { status, output, error, design } = serializeJob(job);
+      res.json({ id: predictionId, status, output, error, design });
+    } catch (error) {
+      console.error("❌ Prediction status error:", error);
+      res.status(500).json({ error: error?.message || "Failed to get prediction status" });
+    }
+  });
+
+  return { router, replicateWebhookUrl, createGenerationJob, pollActiveJobs };
+}
@@ -0,0 +1,17 @@
+// lib/mailer.js
+import nodemailer from "nodemailer";
+
+// Real SMTP when configured, otherwise a JSON transport that prints messages to the logs.
+export function createMailer({ SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS }) {
+  if (SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS) {
+    console.log("✉️ Using real SMTP transport");
+    return nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: parseInt(SMTP_PORT, 10),
+      secure: SMTP_PORT === "465",
+      auth: { user: SMTP_USER, pass: SMTP_PASS },
+    });
+  }
+  console.log("✉️ SMTP envs missing — using JSON transport (emails printed to logs)");
+  return nodemailer.createTransport({ jsonTransport: true });
+}
@@ -0,0 +1,110 @@
+// lib/mockups.js
+import express from "express";
+import path from "path";
+import sharp from "sharp";
+import fs from "fs/promises";
+import { trimArtwork } from "./print-files.js";
+import { UUID_RE } from "./designs.js";
+
+// Product previews for buy.html: the design composited onto an SVG template
+// from mockups/ using the product's catalog `mockup` placement. Renders are
+// cached in storage; bump the version after changing templates or placement.
+const MOCKUP_VERSION = 1;
+const MOCKUP_DIR = path.join(process.cwd(), "mockups");
+const mockupTemplates = new Map();
+const mockupPrefix = (designId) => `mockups/${designId}/`;
+
+// Rasterised template, cached per file + garment colour ({{color}} in the SVG).
+function loadMockupTemplate(file, fill) {
+  const cacheKey = `${file}:${fill || ""}`;
+  if (!mockupTemplates.has(cacheKey)) {
+    const png = fs.readFile(path.join(MOCKUP_DIR, file), "utf8")
+      .then((svg) => sharp(Buffer.from(svg.replaceAll("{{color}}", fill || "#ffffff"))).png().toBuffer())
+      .catch((e) => { mockupTemplates.delete(cacheKey); throw e; });
+    mockupTemplates.set(cacheKey, png);
+  }
+  return mockupTemplates.get(cacheKey);
+}
+
+// Requested colour if the mockup knows it, else the first one listed.
+function mockupColor(product, requested) {
+  const colors = product.mockup.colors || {};
+  const names = Object.keys(colors);
+  if (!names.length) return { name: null, fill: null };
+  const name = names.includes(requested) ? requested : names[0];
+  return { name, fill: colors[name] };
+}
+
+async function renderMockup(designBuffer, product, fill) {
+  const { template, overlay, area, rotate = 0, shadow = false } = product.mockup;
+  const base = await loadMockupTemplate(template, fill);
+
+  let art = await sharp((await trimArtwork(designBuffer)).buffer)
+    .ensureAlpha()
+    .resize(area.width, area.height, { fit: "inside" })
+    .png()
+    .toBuffer();
+  if (rotate) art = await sharp(art).rotate(rotate, { background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer();
+  const { width, height } = await sharp(art).metadata();
+  const left = Math.round(area.left + (area.width - width) / 2);
+  const top = Math.round(area.top + (area.height - height) / 2);
+
+  const layers = [];
+  if (shadow) {
+    // Soft drop shadow from the artwork's own alpha (two passes: see dieCutSticker).
+    const silhouette = await sharp(art).linear([0, 0, 0, 0.35], [0, 0, 0, 0]).png().toBuffer();
+    layers.push({ input: await sharp(silhouette).blur(5).png().toBuffer(), left: left + 5, top: top + 7 });
+  }
+  layers.push({ input: art, left, top });
+  if (overlay) layers.push({ input: await loadMockupTemplate(overlay), blend: "multiply" });
+
+  return sharp(base).composite(layers).png({ compressionLevel: 9 }).toBuffer();
+}
+
+export function createMockups(ctx) {
+  const { q, storage, catalog: CATALOG } = ctx;
+  const router = express.Router();
+
+  // Owner (session) or signed link, like /designs/:id/image.
+  router.get("/mockups/:designId/:productId.png", async (req, res) => {
+    try {
+      const { designId, productId } = req.params;
+      const product = CATALOG.products.find((p) => p.id === productId);
+      if (!product?.mockup) return res.status(404).json({ error: "No mockup for this product" });
+      if (!UUID_RE.test(designId)) return res.status(404).json({ error: "Design not found" });
+
+      let design = null;
+      if (ctx.verifyDesignSig(designId, req.query.sig)) {
+        const { rows } = await q("SELECT * FROM designs WHERE id=$1", [designId]);
+        design = rows[0] || null;
+      } else {
+        const user = await ctx.getAuthedUser(req);
+        if (!user) return res.status(401).json({ error: "Sign in required" });
+        design = await ctx.getDesignForUser(designId, user.id);
+      }
+      if (!design) return res.status(404).json({ error: "Design not found" });
+
+      const color = mockupColor(product, req.query.color);
+      const slug = color.name ? `-${color.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")}` : "";
+      const key = `${mockupPrefix(design.id)}${product.id}${slug}-v${MOCKUP_VERSION}.png`;
+      let png = (await storage.get(key))?.body;
+      if (!png) {
+        const obj = await storage.get(design.storage_key);
+        if (!obj) return res.status(404).json({ error: "Design file missing" });
+        png = await renderMockup(obj.body, product, color.fill);
+        await storage.put(key, png, "image/png");
+      }
+      res.set("Content-Type", "image/png");
+      res.set("Cache-Control", "private, max-age=86400");
+      res.send(png);
+    } catch (err) {
+      console.error("❌ /mockups/:designId/:productId.png error:", err);
+      res.status(500).json({ error: "Failed to render mockup" });
+    }
+  });
+
+  // Every cached render of a design (all products and colours).
+  const removeMockups = (designId) => storage.removePrefix(mockupPrefix(designId));
+
+  return { router, removeMockups };
+}
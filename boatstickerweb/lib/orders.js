@@ -0,0 +1,375 @@
+// lib/orders.js
+import express from "express";
+import { safeSourceId } from "./catalog.js";
+import { SHIPPING_FIELDS, toGootenAddress } from "./addresses.js";
+import { printError } from "./print-files.js";
+import { UUID_RE } from "./designs.js";
+
+const ORDER_STATUS_LABELS = {
+  paid: "Payment received",
+  submitted: "Sent to production",
+  in_production: "In production",
+  shipped: "Shipped",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+  failed: "Needs attention",
+  refunded: "Refunded",
+  needs_address: "Waiting for a shipping address",
+};
+const ORDER_STATUS_RANK = { submitted: 0, in_production: 1, shipped: 2, delivered: 3 };
+const ORDER_STALE_MS = 10 * 60 * 1000;
+
+/* ---------- Fulfillment (Gooten submission with durable retries) ---------- */
+export const FULFILLMENT_LEASE = "5 minutes";
+// Retrying can't fix these; they wait for an admin.
+const PERMANENT_FULFILLMENT_ERRORS = new Set(["PRINT_REJECTED", "INVALID_COUNTRY", "INVALID_ADDRESS"]);
+
+function fulfillmentBackoffMs(attempt) {
+  return Math.min(60 * 1000 * 2 ** (attempt - 1), 6 * 60 * 60 * 1000); // 1m, 2m, 4m… capped at 6h
+}
+
+// IsPartnerSourceIdUnique makes Gooten reject a re-submit of an order it already has,
+// which means an earlier attempt actually went through.
+function isDuplicateSourceIdError(err) {
+  const msg = String(err?.message || "");
+  return /SourceId/i.test(msg) && /(unique|already|exist|duplicate)/i.test(msg);
+}
+
+function mapGootenStatus(raw) {
+  const s = String(raw || "").toLowerCase();
+  if (!s) return null;
+  if (s.includes("cancel")) return "cancelled";
+  if (s.includes("deliver")) return "delivered";
+  if (s.includes("ship")) return "shipped";
+  if (s.includes("production") || s.includes("print") || s.includes("process")) return "in_production";
+  return "submitted";
+}
+
+export function serializeOrder(o) {
+  return {
+    id: o.id,
+    status: o.status,
+    statusLabel: ORDER_STATUS_LABELS[o.status] || o.status,
+    items: (o.items || []).map((it) => ({
+      productId: it.productId,
+      name: it.name || it.productId,
+      options: it.options || {},
+      quantity: it.quantity,
+      unitAmount: it.unitAmount ?? null,
+      imageUrl: it.imageUrl,
+    })),
+    currency: o.currency,
+    amountSubtotal: o.amount_subtotal,
+    amountShipping: o.amount_shipping,
+    amountTotal: o.amount_total,
+    shippingName: o.shipping_name,
+    shippingAddress: o.shipping_address,
+    tracking: o.tracking || [],
+    createdAt: o.created_at,
+    updatedAt: o.updated_at,
+  };
+}
+
+export function createOrders(ctx) {
+  const { pool, q, catalog: CATALOG } = ctx;
+  const { GOOTEN_RECIPE_ID, GOOTEN_PARTNER_BILLING_KEY, GOOTEN_TEST_MODE, FULFILLMENT_MAX } = ctx.config;
+  const router = express.Router();
+
+  // Gooten order helper
+  // items: [{ imageUrl, designId?, productId, options, quantity }] — all shipped as one
+  // Gooten order. Each item's artwork goes through preparePrintFile first.
+  async function submitGootenOrder({ items, email, shipping, sourceId }) {
+    if (!GOOTEN_RECIPE_ID || !GOOTEN_PARTNER_BILLING_KEY) {
+      throw new Error("Missing Gooten recipe/billing env vars.");
+    }
+
+    const shipTo = toGootenAddress(shipping, email);
+    const countryCode = shipTo.CountryCode;
+
+    if (!items?.length) throw new Error("Gooten order has no items.");
+    const safeId = safeSourceId(sourceId);
+
+    const orderItems = [];
+    for (const [i, item] of items.entries()) {
+      const product = ctx.getProduct(item.productId);
+      if (!product) throw new Error(`Unknown product "${item.productId}".`);
+      const sku = await ctx.gooten.pickSkuForCountry({ product, options: item.options || {}, countryCode });
+      const print = await ctx.preparePrintFile(item);
+      if (print.status === "rejected") {
+        const reasons = print.issues.filter((x) => x.level === "error").map((x) => x.message).join("; ");
+        throw printError(`Item ${i + 1} (${product.name}) is not printable: ${reasons}`);
+      }
+      orderItems.push({
+        Quantity: item.quantity || 1,
+        SKU: sku,
+        ShipType: "standard",
+        Images: [{ Url: print.url }],
+        SourceId: items.length === 1 ? safeId : safeSourceId(`${i + 1}-${sourceId}`),
+      });
+    }
+
+    const body = {
+      ShipToAddress: shipTo,
+      BillingAddress: shipTo,
+      Items: orderItems,
+      Payment: { PartnerBillingKey: GOOTEN_PARTNER_BILLING_KEY },
+      IsInTestMode: String(GOOTEN_TEST_MODE).toLowerCase() === "true",
+      SourceId: safeId,
+      IsPartnerSourceIdUnique: true,
+    };
+
+    return ctx.gooten.submitOrder(body);
+  }
+
+  // `shipping` is the address model from lib/addresses.js; the name is stored in its own column.
+  // With an `addressProblem` the order is held as 'needs_address' rather than queued.
+  async function recordOrder({ session, items, email, shipping, addressProblem = null }) {
+    if (!pool) return null;
+    let userId = UUID_RE.test(session.client_reference_id || "") ? session.client_reference_id : null;
+    if (!userId && email) {
+      const u = await q("SELECT id FROM users WHERE email=$1", [String(email).toLowerCase()]);
+      userId = u.rows[0]?.id || null;
+    }
+    const { rows } = await q(
+      `INSERT INTO orders (stripe_session_id, user_id, email, items, shipping_name, shipping_address,
+                           currency, amount_subtotal, amount_shipping, amount_total, stripe_payment_intent_id,
+                           status, last_error, next_attempt_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,
+               CASE WHEN $12::text IS NULL THEN 'paid' ELSE 'needs_address' END, $12,
+               CASE WHEN $12::text IS NULL THEN now() END)
+       ON CONFLICT (stripe_session_id) DO NOTHING
+       RETURNING *`,
+      [
+        session.id, userId, email, JSON.stringify(items), shipping.name, JSON.stringify({ ...shipping, name: undefined }),
+        session.currency || CATALOG.currency,
+        session.amount_subtotal ?? null,
+        session.total_details?.amount_shipping ?? null,
+        session.amount_total ?? null,
+        typeof session.payment_intent === "string" ? session.payment_intent : session.payment_intent?.id || null,
+        addressProblem,
+      ]
+    );
+    if (rows[0]) return { ...rows[0], inserted: true };
+    // Redelivery: hand back the existing order so the caller can see how far it got.
+    const existing = await q("UPDATE orders SET updated_at=now() WHERE stripe_session_id=$1 RETURNING *", [session.id]);
+    return { ...existing.rows[0], inserted: false };
+  }
+
+  /**
+   * Submits a recorded order to Gooten once. On failure the order is left in
+   * 'failed' with next_attempt_at set for the retry worker (or NULL once
+   * FULFILLMENT_MAX attempts are used up — those are "stuck" until an admin re-drives).
+   * Unprintable artwork and unshippable addresses are never retried automatically.
+   */
+  async function fulfillOrder(order) {
+    const attempt = (order.fulfillment_attempts || 0) + 1;
+    await q(
+      `UPDATE orders SET fulfillment_attempts=$2, next_attempt_at=now() + interval '${FULFILLMENT_LEASE}', updated_at=now()
+       WHERE id=$1`,
+      [order.id, attempt]
+    );
+    try {
+      const resp = await submitGootenOrder({
+        items: order.items,
+        email: order.email,
+        shipping: { ...order.shipping_address, name: order.shipping_name },
+        sourceId: order.stripe_session_id,
+      });
+      const gootenId = resp?.Id || resp?.OrderId || resp?.id || null;
+      await q(
+        `UPDATE orders SET status='submitted', gooten_order_id=$2, last_error=NULL, next_attempt_at=NULL, updated_at=now()
+         WHERE id=$1`,
+        [order.id, gootenId ? String(gootenId) : null]
+      );
+      await q("INSERT INTO fulfillment_attempts (order_id, attempt, ok) VALUES ($1,$2,true)", [order.id, attempt]);
+      console.log(`✅ Gooten order created for ${order.id} (attempt ${attempt}):`, resp);
+      return { ok: true, gootenOrderId: gootenId };
+    } catch (e) {
+      if (isDuplicateSourceIdError(e)) {
+        console.warn(`⚠️ Gooten already has order ${order.stripe_session_id}; marking submitted.`);
+        await q(
+          `UPDATE orders SET status='submitted', last_error=NULL, next_attempt_at=NULL, updated_at=now()
+           WHERE id=$1`,
+          [order.id]
+        );
+        await q("INSERT INTO fulfillment_attempts (order_id, attempt, ok, error) VALUES ($1,$2,true,$3)", [order.id, attempt, String(e.message).slice(0, 2000)]);
+        return { ok: true, gootenOrderId: null };
+      }
+
+      const error = String(e?.message || e).slice(0, 2000);
+      const retryable = !PERMANENT_FULFILLMENT_ERRORS.has(e?.code);
+      const nextAt = retryable && attempt < FULFILLMENT_MAX ? new Date(Date.now() + fulfillmentBackoffMs(attempt)) : null;
+      console.error(`❌ Gooten order error for ${order.id} (attempt ${attempt}/${FULFILLMENT_MAX}):`, e);
+      await q(
+        "UPDATE orders SET status='failed', last_error=$2, next_attempt_at=$3, updated_at=now() WHERE id=$1",
+        [order.id, error, nextAt]
+      );
+      await q("INSERT INTO fulfillment_attempts (order_id, attempt, ok, error) VALUES ($1,$2,false,$3)", [order.id, attempt, error]);
+      return { ok: false, error, nextAttemptAt: nextAt };
+    }
+  }
+
+  /**
+   * Ships an order held for its address (or failed on it) to a corrected one:
+   * fields in `changes` replace what Stripe collected, then the order is
+   * submitted. Throws INVALID_ADDRESS / INVALID_COUNTRY if it still can't be
+   * shipped; returns null when the order isn't waiting for an address.
+   */
+  async function correctShippingAddress(orderId, changes = {}) {
+    const { rows } = await q("SELECT * FROM orders WHERE id=$1 AND status IN ('needs_address','failed')", [orderId]);
+    if (!rows[0]) return null;
+    const shipping = { ...rows[0].shipping_address, name: rows[0].shipping_name };
+    for (const field of SHIPPING_FIELDS) {
+      if (changes[field] !== undefined) shipping[field] = changes[field] === null ? null : String(changes[field]);
+    }
+    toGootenAddress(shipping, rows[0].email);
+
+    const updated = await q(
+      `UPDATE orders
+       SET shipping_name=$2, shipping_address=$3, status='paid', last_error=NULL,
+           next_attempt_at = now() + interval '${FULFILLMENT_LEASE}', updated_at=now()
+       WHERE id=$1 AND status IN ('needs_address','failed')
+       RETURNING *`,
+      [orderId, shipping.name, JSON.stringify({ ...shipping, name: undefined })]
+    );
+    if (!updated.rows[0]) return null;
+    return fulfillOrder(updated.rows[0]);
+  }
+
+  // Claims due orders with SKIP LOCKED + a lease so several instances never double-submit.
+  async function submitDueFulfillments() {
+    const { rows } = await q(
+      `UPDATE orders SET next_attempt_at = now() + interval '${FULFILLMENT_LEASE}'
+       WHERE id IN (
+         SELECT id FROM orders
+         WHERE status IN ('paid','failed') AND next_attempt_at <= now()
+         ORDER BY next_attempt_at
+         LIMIT 10
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    for (const order of rows) {
+      await fulfillOrder(order).catch((e) => console.error(`⚠️ fulfillment retry crashed for ${order.id}:`, e));
+    }
+  }
+
+  // One pass at a time per process. Called during a pass (a webhook recording a
+  // new order), it runs one more pass afterwards and resolves when that's done.
+  let fulfillmentPass = null;
+  let passRequested = false;
+  function retryDueFulfillments() {
+    if (!pool) return Promise.resolve();
+    if (fulfillmentPass) {
+      passRequested = true;
+      return fulfillmentPass;
+    }
+    fulfillmentPass = (async () => {
+      do {
+        passRequested = false;
+        await submitDueFulfillments();
+      } while (passRequested);
+    })().finally(() => { fulfillmentPass = null; });
+    return fulfillmentPass;
+  }
+
+  // Pulls item-level status + tracking from Gooten. The order is only as far
+  // along as its least-advanced (non-cancelled) item.
+  async function syncOrderStatus(order) {
+    const data = await ctx.gooten.fetchOrder(order.gooten_order_id);
+    const items = Array.isArray(data?.Items) ? data.Items : [];
+
+    const itemStatuses = items.map((it) => mapGootenStatus(it?.Status || it?.StatusName)).filter(Boolean);
+    const live = itemStatuses.filter((st) => st !== "cancelled");
+    let status = mapGootenStatus(data?.Status || data?.StatusName) || order.status;
+    if (itemStatuses.length && !live.length) status = "cancelled";
+    else if (live.length) status = live.reduce((a, b) => (ORDER_STATUS_RANK[a] <= ORDER_STATUS_RANK[b] ? a : b));
+
+    const tracking = [];
+    for (const it of items) {
+      const number = it?.TrackingNumber || it?.Shipment?.TrackingNumber;
+      if (!number || tracking.some((t) => t.number === number)) continue;
+      tracking.push({
+        number,
+        carrier: it?.ShippingCarrier || it?.CarrierName || it?.Shipment?.Carrier || null,
+        url: it?.TrackingUrl || it?.Shipment?.TrackingUrl || null,
+      });
+    }
+    const { rows } = await q(
+      `UPDATE orders
+       SET status=$2, gooten_status=$3, tracking=$4, status_synced_at=now(), updated_at=now()
+       WHERE id=$1
+       RETURNING *`,
+      [order.id, status, data?.Status || data?.StatusName || null, JSON.stringify(tracking)]
+    );
+    return rows[0] || order;
+  }
+
+  async function syncOpenOrders() {
+    if (!pool) return;
+    const { rows } = await q(
+      `SELECT * FROM orders
+       WHERE gooten_order_id IS NOT NULL
+         AND status IN ('submitted','in_production','shipped')
+         AND (status_synced_at IS NULL OR status_synced_at < now() - interval '10 minutes')
+       ORDER BY status_synced_at NULLS FIRST
+       LIMIT 50`
+    );
+    for (const order of rows) {
+      try { await syncOrderStatus(order); }
+      catch (e) { console.error(`⚠️ order sync failed for ${order.id}:`, e.message); }
+    }
+    if (rows.length) console.log(`🔄 Synced ${rows.length} order(s) with Gooten`);
+  }
+
+  // Orders belong to the account that placed them or to the (verified) email they were paid with.
+  async function getOrderForUser(orderId, user) {
+    if (!UUID_RE.test(String(orderId))) return null;
+    const { rows } = await q(
+      "SELECT * FROM orders WHERE id=$1 AND (user_id=$2 OR lower(email)=lower($3))",
+      [orderId, user.id, user.email]
+    );
+    return rows[0] || null;
+  }
+
+  router.get("/orders", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const { rows } = await q(
+        `SELECT * FROM orders
+         WHERE user_id=$1 OR lower(email)=lower($2)
+         ORDER BY created_at DESC
+         LIMIT 100`,
+        [user.id, user.email]
+      );
+      res.json({ orders: rows.map(serializeOrder) });
+    } catch (err) {
+      console.error("❌ /orders error:", err);
+      res.status(500).json({ error: "Failed to list orders" });
+    }
+  });
+
+  router.get("/orders/:id", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      let order = await getOrderForUser(req.params.id, user);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+
+      const stale = !order.status_synced_at || Date.now() - new Date(order.status_synced_at).getTime() > ORDER_STALE_MS;
+      if (order.gooten_order_id && stale && ORDER_STATUS_RANK[order.status] !== undefined && order.status !== "delivered") {
+        order = await syncOrderStatus(order).catch((e) => {
+          console.error(`⚠️ order sync failed for ${order.id}:`, e.message);
+          return order;
+        });
+      }
+      res.json({ order: serializeOrder(order) });
+    } catch (err) {
+      console.error("❌ /orders/:id error:", err);
+      res.status(500).json({ error: "Failed to load order" });
+    }
+  });
+
+  return { router, submitGootenOrder, recordOrder, fulfillOrder, correctShippingAddress, retryDueFulfillments, syncOpenOrders };
+}
@@ -0,0 +1,145 @@
+// lib/overlays.js
+import express from "express";
+import sharp from "sharp";
+import crypto from "crypto";
+import { serializeDesign } from "./designs.js";
+import { escapeXml } from "./html.js";
+
+// Fonts offered by edit.html, with fallbacks for servers that lack them.
+const OVERLAY_FONTS = {
+  "Arial": "Arial, Helvetica, 'Liberation Sans', sans-serif",
+  "Comic Sans MS": "'Comic Sans MS', 'Comic Neue', cursive",
+  "Impact": "Impact, 'Anton', 'Liberation Sans Narrow', sans-serif",
+  "Georgia": "Georgia, 'DejaVu Serif', serif",
+  "Courier New": "'Courier New', 'Liberation Mono', monospace",
+};
+const MAX_OVERLAY_LAYERS = 20;
+const MAX_OVERLAY_TEXT = 200;
+const LINE_HEIGHT = 1.2;
+
+function layerError(message) {
+  const err = new Error(message);
+  err.code = "INVALID_LAYERS";
+  return err;
+}
+
+function relNumber(value, name, min, max) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) throw layerError(`${name} must be a number between ${min} and ${max}`);
+  return n;
+}
+
+/**
+ * Validates the editor's layer document. All geometry is relative to the
+ * design: x/y/width/height as fractions of image width/height, fontSize as a
+ * fraction of image height. Returns a normalized copy safe to store.
+ */
+function parseLayerDocument(doc) {
+  const layers = doc?.layers;
+  if (!Array.isArray(layers)) throw layerError("layers must be an array");
+  if (layers.length > MAX_OVERLAY_LAYERS) throw layerError(`At most ${MAX_OVERLAY_LAYERS} layers allowed`);
+
+  return {
+    layers: layers.map((l, i) => {
+      if (l?.type !== "text") throw layerError(`layers[${i}].type must be "text"`);
+      const text = String(l.text ?? "").replace(/\r\n?/g, "\n");
+      if (!text.trim()) throw layerError(`layers[${i}].text is empty`);
+      if (text.length > MAX_OVERLAY_TEXT) throw layerError(`layers[${i}].text exceeds ${MAX_OVERLAY_TEXT} characters`);
+      const fontFamily = String(l.fontFamily || "Arial");
+      if (!OVERLAY_FONTS[fontFamily]) throw layerError(`layers[${i}].fontFamily "${fontFamily}" is not supported`);
+      const color = String(l.color || "#000000");
+      if (!/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) throw layerError(`layers[${i}].color must be a hex color`);
+      const align = l.align || "left";
+      if (!["left", "center", "right"].includes(align)) throw layerError(`layers[${i}].align must be left, center or right`);
+      return {
+        type: "text",
+        text,
+        fontFamily,
+        fontSize: relNumber(l.fontSize, `layers[${i}].fontSize`, 0.005, 0.5),
+        color,
+        align,
+        x: relNumber(l.x, `layers[${i}].x`, -0.5, 1.5),
+        y: relNumber(l.y, `layers[${i}].y`, -0.5, 1.5),
+        width: relNumber(l.width ?? 0, `layers[${i}].width`, 0, 2),
+        height: relNumber(l.height ?? 0, `layers[${i}].height`, 0, 2),
+      };
+    }),
+  };
+}
+
+function layersToSvg(doc, width, height) {
+  const parts = doc.layers.map((l) => {
+    const size = l.fontSize * height;
+    const left = l.x * width;
+    const boxW = l.width * width;
+    const anchor = { left: "start", center: "middle", right: "end" }[l.align];
+    const ax = l.align === "center" ? left + boxW / 2 : l.align === "right" ? left + boxW : left;
+    const lines = l.text.split("\n").map((line, i) =>
+      `<tspan x="${ax.toFixed(1)}" y="${(l.y * height + size * (0.9 + LINE_HEIGHT * i)).toFixed(1)}">${escapeXml(line) || " "}</tspan>`
+    );
+    return `<text font-family="${escapeXml(OVERLAY_FONTS[l.fontFamily])}" font-size="${size.toFixed(1)}" fill="${l.color}" text-anchor="${anchor}" xml:space="preserve">${lines.join("")}</text>`;
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join("")}</svg>`;
+}
+
+async function renderOverlay(baseBuffer, doc) {
+  const meta = await sharp(baseBuffer).metadata();
+  const width = meta.width, height = meta.height;
+  if (!width || !height) throw new Error("Could not read design dimensions");
+  const svg = Buffer.from(layersToSvg(doc, width, height));
+  return sharp(baseBuffer)
+    .composite([{ input: svg, top: 0, left: 0 }])
+    .withMetadata({ density: 300 })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+export function createOverlays(ctx) {
+  const { q, storage } = ctx;
+  const router = express.Router();
+
+  // Bakes edit.html text boxes into the design and stores the result as a new
+  // design (parent_id -> source) so it can be ordered by id like any other.
+  router.post("/designs/:id/render", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const source = await ctx.getDesignForUser(req.params.id, user.id);
+      if (!source) return res.status(404).json({ error: "Design not found" });
+
+      let doc;
+      try { doc = parseLayerDocument(req.body); }
+      catch (e) {
+        if (e.code === "INVALID_LAYERS") return res.status(400).json({ error: e.message });
+        throw e;
+      }
+
+      const digest = crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex").slice(0, 24);
+      const externalId = `render:${source.id}:${digest}`;
+      const existing = await q("SELECT * FROM designs WHERE user_id=$1 AND external_id=$2", [user.id, externalId]);
+      if (existing.rows[0]) return res.json({ design: serializeDesign(existing.rows[0]) });
+
+      const obj = await storage.get(source.storage_key);
+      if (!obj) return res.status(404).json({ error: "Design file missing" });
+
+      const png = await renderOverlay(obj.body, doc);
+      const meta = await sharp(png).metadata();
+      const key = `designs/${user.id}/renders/${source.id}-${digest}.png`;
+      await storage.put(key, png, "image/png");
+
+      const { rows } = await q(
+        `INSERT INTO designs (user_id, mode, external_id, storage_key, content_type, byte_size, width, height, parent_id, layers)
+         VALUES ($1,$2,$3,$4,'image/png',$5,$6,$7,$8,$9)
+         ON CONFLICT (user_id, external_id) DO UPDATE SET storage_key=EXCLUDED.storage_key
+         RETURNING *`,
+        [user.id, source.mode, externalId, key, png.byteLength, meta.width, meta.height, source.id, JSON.stringify(doc)]
+      );
+      res.status(201).json({ design: serializeDesign(rows[0]) });
+    } catch (err) {
+      console.error("❌ /designs/:id/render error:", err);
+      res.status(500).json({ error: "Failed to render design" });
+    }
+  });
+
+  return { router };
+}
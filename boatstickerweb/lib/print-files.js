@@ -0,0 +1,308 @@
+// lib/print-files.js
+import express from "express";
+import sharp from "sharp";
+import crypto from "crypto";
+import { downloadImage } from "./designs.js";
+
+// Ordered designs are re-rendered to the product's print area (DPI + bleed)
+// and checked before Gooten sees them. Bump the version whenever rendering
+// changes so cached print files are rebuilt.
+const PRINT_PIPELINE_VERSION = 1;
+const PRINT_WARN_UPSCALE = 2;
+const PRINT_MAX_UPSCALE = 4;
+const PRINT_FILE_RE = /^[0-9a-f]{32}\.png$/;
+
+export function printError(message) {
+  const err = new Error(message);
+  err.code = "PRINT_REJECTED";
+  return err;
+}
+
+// Pixel geometry from catalog printArea: width/height are the trim size in px,
+// bleed and safeMargin are in inches.
+export function printSpec(product) {
+  const area = product.printArea;
+  if (!area?.width || !area?.height) throw printError(`${product.name} has no print area configured`);
+  const dpi = area.dpi || 300;
+  const bleed = Math.round((area.bleed || 0) * dpi);
+  const safe = Math.round((area.safeMargin || 0) * dpi);
+  return {
+    dpi,
+    width: area.width + 2 * bleed,
+    height: area.height + 2 * bleed,
+    artWidth: area.width - 2 * safe,
+    artHeight: area.height - 2 * safe,
+    bleed,
+    safe,
+    background: area.background || null,
+    dieCut: !!product.dieCut,
+  };
+}
+
+// Crops transparent margins so the artwork itself is what gets scaled. Opaque
+// images are left alone: their background is part of the design.
+export async function trimArtwork(buffer) {
+  const meta = await sharp(buffer).metadata();
+  const untrimmed = { buffer, width: meta.width, height: meta.height, left: 0, top: 0 };
+  const corner = await sharp(buffer).ensureAlpha().extract({ left: 0, top: 0, width: 1, height: 1 }).raw().toBuffer();
+  if (corner[3] >= 128) return untrimmed;
+  try {
+    const { data, info } = await sharp(buffer).trim().png().toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height, left: -(info.trimOffsetLeft || 0), top: -(info.trimOffsetTop || 0) };
+  } catch {
+    return untrimmed; // nothing left to trim around
+  }
+}
+
+/**
+ * Samples a ≤512px copy: how much of the image border is transparent, how much
+ * is opaque at all, and how much of the artwork's outline is near-white (the
+ * border a die-cut sticker is cut around).
+ */
+async function analyzeArtwork(buffer) {
+  const { data, info } = await sharp(buffer)
+    .ensureAlpha()
+    .resize(512, 512, { fit: "inside", withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width: w, height: h } = info;
+  const alpha = (x, y) => data[(y * w + x) * 4 + 3];
+  const solid = (x, y) => x >= 0 && y >= 0 && x < w && y < h && alpha(x, y) >= 128;
+
+  let border = 0, clearBorder = 0, opaque = 0, outline = 0, whiteOutline = 0;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const onBorder = x === 0 || y === 0 || x === w - 1 || y === h - 1;
+      if (onBorder) { border++; if (alpha(x, y) < 128) clearBorder++; }
+      if (!solid(x, y)) continue;
+      opaque++;
+      if (solid(x - 1, y) && solid(x + 1, y) && solid(x, y - 1) && solid(x, y + 1)) continue;
+      outline++;
+      const i = (y * w + x) * 4;
+      if (data[i] >= 225 && data[i + 1] >= 225 && data[i + 2] >= 225) whiteOutline++;
+    }
+  }
+  return {
+    transparentBorder: border ? clearBorder / border : 0,
+    coverage: opaque / (w * h),
+    whiteOutline: outline ? whiteOutline / outline : 0,
+  };
+}
+
+/**
+ * Checks a design against a product without rendering it. Issues are
+ * { level: "error"|"warning", code, message }; any error rejects the design.
+ */
+export async function assessArtwork(buffer, product) {
+  const spec = printSpec(product);
+  const meta = await sharp(buffer).metadata();
+  const issues = [];
+  const add = (level, code, message) => issues.push({ level, code, message });
+
+  const edges = await analyzeArtwork(buffer);
+  if (edges.coverage === 0) {
+    add("error", "EMPTY_DESIGN", "Design is fully transparent");
+  } else {
+    const art = await trimArtwork(buffer);
+    const scale = Math.min(spec.artWidth / art.width, spec.artHeight / art.height);
+    const needed = `${Math.ceil(art.width * scale / PRINT_MAX_UPSCALE)}×${Math.ceil(art.height * scale / PRINT_MAX_UPSCALE)}`;
+    if (scale > PRINT_MAX_UPSCALE) {
+      add("error", "LOW_RESOLUTION", `Design is ${art.width}×${art.height}px; ${product.name} needs at least ${needed}px at ${spec.dpi} DPI`);
+    } else if (scale > PRINT_WARN_UPSCALE) {
+      add("warning", "UPSCALED", `Design will be upscaled ${scale.toFixed(1)}× and may print soft`);
+    }
+  }
+
+  if (spec.dieCut && edges.coverage > 0) {
+    if (!meta.hasAlpha || edges.transparentBorder < 0.95) {
+      add("warning", "NOT_TRANSPARENT", "Sticker has no transparent background; it will be cut as a rectangle");
+    } else if (edges.whiteOutline < 0.6) {
+      add("warning", "NO_DIE_CUT_BORDER", "Sticker artwork has no white border around it");
+    }
+  }
+
+  const status = issues.some((i) => i.level === "error") ? "rejected" : issues.length ? "flagged" : "ready";
+  return { status, issues, width: meta.width, height: meta.height };
+}
+
+// Fits trimmed artwork inside the safe area, centred on the print canvas.
+// `placement` maps source pixels onto the canvas (used for cut lines too).
+export async function placeArtwork(buffer, spec) {
+  const art = await trimArtwork(buffer);
+  const fitted = await sharp(art.buffer)
+    .resize(spec.artWidth, spec.artHeight, { fit: "inside", kernel: "lanczos3" })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  const placement = {
+    left: Math.round((spec.width - fitted.info.width) / 2),
+    top: Math.round((spec.height - fitted.info.height) / 2),
+    scale: fitted.info.width / art.width,
+    trimLeft: art.left,
+    trimTop: art.top,
+  };
+  return { image: fitted.data, placement };
+}
+
+async function renderPrintFile(buffer, spec) {
+  const { image, placement } = await placeArtwork(buffer, spec);
+  return sharp({
+    create: {
+      width: spec.width,
+      height: spec.height,
+      channels: 4,
+      background: spec.background || { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite([{ input: image, left: placement.left, top: placement.top }])
+    .withMetadata({ density: spec.dpi })
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+export function createPrintFiles(ctx) {
+  const { storage, pool, q } = ctx;
+  const { URL_SIGNING_SECRET, APP_ORIGIN } = ctx.config;
+  const router = express.Router();
+
+  function signPrintKey(key) {
+    return crypto.createHmac("sha256", URL_SIGNING_SECRET).update(`print:${key}`).digest("base64url");
+  }
+  function verifyPrintSig(key, sig) {
+    if (!sig) return false;
+    const a = Buffer.from(String(sig));
+    const b = Buffer.from(signPrintKey(key));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  function printFileUrl(key) {
+    return storage.publicUrl(key) || `${(APP_ORIGIN || "").replace(/\/+$/,'')}/${key}?sig=${signPrintKey(key)}`;
+  }
+
+  function serializePrintFile(row) {
+    return {
+      status: row.status,
+      issues: row.issues || [],
+      key: row.storage_key,
+      url: row.status === "rejected" ? null : printFileUrl(row.storage_key),
+      width: row.width,
+      height: row.height,
+      dpi: row.dpi,
+    };
+  }
+
+  // Stored designs are read from storage; legacy items fall back to their URL.
+  async function loadItemArtwork(item) {
+    if (item.designId && pool) {
+      const { rows } = await q("SELECT storage_key FROM designs WHERE id=$1", [item.designId]);
+      const obj = rows[0] ? await storage.get(rows[0].storage_key) : null;
+      if (obj) return obj.body;
+    }
+    if (!item.imageUrl) throw printError("Item has no artwork");
+    return downloadImage(item.imageUrl);
+  }
+
+  /**
+   * Produces (or reuses) the print file for an order item. Rejected designs are
+   * recorded but never stored; callers must not send them to Gooten.
+   */
+  async function preparePrintFile(item) {
+    const product = ctx.getProduct(item.productId);
+    if (!product) throw new Error(`Unknown product "${item.productId}".`);
+    const spec = printSpec(product);
+    const source = await loadItemArtwork(item);
+    const hash = crypto.createHash("sha256")
+      .update(`${PRINT_PIPELINE_VERSION}:${product.id}:${JSON.stringify(spec)}:`)
+      .update(source)
+      .digest("hex")
+      .slice(0, 32);
+    const key = `print/${product.id}/${hash}.png`;
+
+    // Designs with identical artwork share the file; each one is recorded as a user.
+    const recordUse = () => item.designId
+      ? q("INSERT INTO print_file_designs (storage_key, design_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [key, item.designId])
+      : null;
+    if (pool) {
+      const { rows } = await q("SELECT * FROM print_files WHERE storage_key=$1", [key]);
+      if (rows[0]) {
+        await recordUse();
+        return serializePrintFile(rows[0]);
+      }
+    }
+
+    const { status, issues } = await assessArtwork(source, product);
+    if (status !== "rejected") {
+      const png = await renderPrintFile(source, spec);
+      await storage.put(key, png, "image/png");
+    }
+    const row = { storage_key: key, status, issues, width: spec.width, height: spec.height, dpi: spec.dpi };
+    if (pool) {
+      await q(
+        `INSERT INTO print_files (storage_key, product_id, design_id, width, height, dpi, status, issues)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+         ON CONFLICT (storage_key) DO NOTHING`,
+        [key, product.id, item.designId || null, spec.width, spec.height, spec.dpi, status, JSON.stringify(issues)]
+      );
+      await recordUse();
+    }
+    if (status !== "ready") console.warn(`⚠️ Print file ${key} ${status}:`, issues.map((i) => i.code).join(", "));
+    return serializePrintFile(row);
+  }
+
+  // Signed link Gooten downloads the print file from (local storage only).
+  router.get("/print/:productId/:file", async (req, res) => {
+    try {
+      const { productId, file } = req.params;
+      const key = `print/${productId}/${file}`;
+      if (!ctx.getProduct(productId) || !PRINT_FILE_RE.test(file)) return res.status(404).json({ error: "Print file not found" });
+      if (!verifyPrintSig(key, req.query.sig)) return res.status(403).json({ error: "Invalid signature" });
+      const obj = await storage.get(key);
+      if (!obj) return res.status(404).json({ error: "Print file not found" });
+      res.set("Content-Type", "image/png");
+      res.set("Cache-Control", "private, max-age=86400");
+      res.send(obj.body);
+    } catch (err) {
+      console.error("❌ /print/:productId/:file error:", err);
+      res.status(500).json({ error: "Failed to load print file" });
+    }
+  });
+
+  // Preflight for the owner: would this design print well on `product`?
+  router.get("/designs/:id/print-check", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const design = await ctx.getDesignForUser(req.params.id, user.id);
+      if (!design) return res.status(404).json({ error: "Design not found" });
+      const product = ctx.getProduct(req.query.product);
+      if (!product) return res.status(404).json({ error: "Unknown product" });
+
+      const obj = await storage.get(design.storage_key);
+      if (!obj) return res.status(404).json({ error: "Design file missing" });
+      const { status, issues } = await assessArtwork(obj.body, product);
+      const spec = printSpec(product);
+      res.json({ product: product.id, status, issues, printArea: { width: spec.width, height: spec.height, dpi: spec.dpi } });
+    } catch (err) {
+      console.error("❌ /designs/:id/print-check error:", err);
+      res.status(500).json({ error: "Failed to check design" });
+    }
+  });
+
+  // Print files used by a design that is being deleted: rows and objects, except
+  // those another design with the same artwork still uses.
+  async function removePrintFiles(designId) {
+    if (!pool) return 0;
+    const used = await q("DELETE FROM print_file_designs WHERE design_id=$1 RETURNING storage_key", [designId]);
+    const keys = used.rows.map((r) => r.storage_key);
+    if (!keys.length) return 0;
+    const shared = await q("SELECT DISTINCT storage_key FROM print_file_designs WHERE storage_key = ANY($1)", [keys]);
+    const keep = new Set(shared.rows.map((r) => r.storage_key));
+    const unused = keys.filter((k) => !keep.has(k));
+    if (!unused.length) return 0;
+    const placeholders = unused.map((_, i) => `$${i + 1}`).join(",");
+    const { rows } = await q(`DELETE FROM print_files WHERE storage_key IN (${placeholders}) RETURNING storage_key`, unused);
+    await Promise.all(rows.map((r) => storage.remove(r.storage_key)));
+    return rows.length;
+  }
+
+  return { router, serializePrintFile, preparePrintFile, removePrintFiles };
+}
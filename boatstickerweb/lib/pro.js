@@ -0,0 +1,216 @@
+// lib/pro.js
+import express from "express";
+import { hashToken, newToken } from "./auth.js";
+import { escapeXml } from "./html.js";
+
+export function createPro(ctx) {
+  const { stripe, q, mailer } = ctx;
+  const { STRIPE_PRICE_PRO_MONTHLY, STRIPE_PRICE_PRO_ANNUAL, APP_ORIGIN, SMTP_USER } = ctx.config;
+  const router = express.Router();
+
+  const PRO_PRICES = { month: STRIPE_PRICE_PRO_MONTHLY, year: STRIPE_PRICE_PRO_ANNUAL };
+
+  // Display amounts come from Stripe so the pricing page can't drift from billing.
+  let proPriceCache = { at: 0, prices: null };
+  async function loadProPrices() {
+    if (proPriceCache.prices && Date.now() - proPriceCache.at < 60 * 60 * 1000) return proPriceCache.prices;
+    const prices = [];
+    for (const [interval, id] of Object.entries(PRO_PRICES)) {
+      if (!id) continue;
+      const price = await stripe.prices.retrieve(id);
+      prices.push({ interval, amount: price.unit_amount, currency: price.currency });
+    }
+    proPriceCache = { at: Date.now(), prices };
+    return prices;
+  }
+
+  router.get("/pro/prices", async (_req, res) => {
+    try {
+      res.json({ prices: await loadProPrices() });
+    } catch (err) {
+      console.error("❌ /pro/prices error:", err);
+      res.status(500).json({ error: "Failed to load prices" });
+    }
+  });
+
+  router.post("/pro/checkout", async (req, res) => {
+    try {
+      const interval = req.body?.interval === "year" ? "year" : "month";
+      const PRICE_ID = PRO_PRICES[interval];
+      if (!PRICE_ID) {
+        return res.status(400).json({
+          error: interval === "year" ? "Missing STRIPE_PRICE_PRO_ANNUAL" : "Missing STRIPE_PRICE_PRO_MONTHLY",
+        });
+      }
+
+      // Signed in: tie the subscription to this account, whatever email pays.
+      const user = await ctx.getAuthedUser(req).catch(() => null);
+
+      const session = await stripe.checkout.sessions.create({
+        mode: "subscription",
+        line_items: [{ price: PRICE_ID, quantity: 1 }],
+        allow_promotion_codes: true,
+        ...(user ? {
+          customer_email: user.email,
+          client_reference_id: user.id,
+          metadata: { userId: user.id },
+          subscription_data: { metadata: { userId: user.id } },
+        } : {}),
+        success_url: `${(APP_ORIGIN || "").replace(/\/+$/,"")}/pricing.html?pro=ok`,
+        cancel_url: `${(APP_ORIGIN || "").replace(/\/+$/,"")}/pricing.html`,
+      });
+      res.json({ url: session.url });
+    } catch (err) {
+      console.error("❌ /pro/checkout error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Stripe-hosted billing portal: cancel, switch monthly/annual, update card, invoices.
+  router.post("/pro/portal", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const { rows } = await q(
+        `SELECT stripe_customer_id FROM subscriptions
+         WHERE user_id=$1 AND stripe_customer_id IS NOT NULL
+         ORDER BY updated_at DESC
+         LIMIT 1`,
+        [user.id]
+      );
+      if (!rows[0]) return res.status(404).json({ error: "No billing account found" });
+
+      const portal = await stripe.billingPortal.sessions.create({
+        customer: rows[0].stripe_customer_id,
+        return_url: `${(APP_ORIGIN || "").replace(/\/+$/,"")}/account.html`,
+      });
+      res.json({ url: portal.url });
+    } catch (err) {
+      console.error("❌ /pro/portal error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Account page summary.
+  router.get("/me/subscription", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const plan = await ctx.getPlan(user.id);
+      const { rows } = await q(
+        `SELECT * FROM subscriptions WHERE user_id=$1
+         ORDER BY (status IN ('active','trialing','past_due')) DESC, updated_at DESC
+         LIMIT 1`,
+        [user.id]
+      );
+      const sub = rows[0];
+      res.json({
+        email: user.email,
+        plan,
+        subscription: sub ? {
+          plan: sub.plan,
+          status: sub.status,
+          source: sub.source,
+          interval: sub.billing_interval,
+          // Placeholder epoch from older checkout rows means "not synced yet".
+          currentPeriodEnd: sub.current_period_end && new Date(sub.current_period_end).getTime() > 0
+            ? sub.current_period_end
+            : null,
+          cancelAtPeriodEnd: sub.cancel_at_period_end,
+          manageable: !!sub.stripe_customer_id,
+        } : null,
+        credits: await ctx.creditBalance(user.id),
+      });
+    } catch (err) {
+      console.error("❌ /me/subscription error:", err);
+      res.status(500).json({ error: "Failed to load subscription" });
+    }
+  });
+
+  // Claim a subscription that was paid under another email: we mail a link to
+  // that address, and following it moves the subscription to the requester.
+  router.post("/pro/claim", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      if (!APP_ORIGIN) return res.status(500).json({ error: "APP_ORIGIN not configured" });
+      const email = (req.body?.email || "").trim().toLowerCase();
+      if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+        return res.status(400).json({ error: "Valid email required" });
+      }
+      if (email === user.email.toLowerCase()) {
+        return res.status(400).json({ error: "That's already your account email" });
+      }
+
+      // Same response either way so this can't be used to probe for subscribers.
+      const { rows } = await q(
+        `SELECT s.id FROM subscriptions s JOIN users u ON u.id = s.user_id
+         WHERE lower(u.email)=$1 AND s.source='stripe' AND s.plan='pro' AND s.status <> 'canceled'
+         LIMIT 1`,
+        [email]
+      );
+      if (rows[0]) {
+        const token = newToken();
+        await q(
+          `INSERT INTO subscription_claims (to_user_id, from_email, token_hash, expires_at)
+           VALUES ($1,$2,$3, now() + interval '1 hour')`,
+          [user.id, email, hashToken(token)]
+        );
+        const verifyUrl = `${APP_ORIGIN.replace(/\/+$/,'')}/pro/claim/verify?token=${encodeURIComponent(token)}`;
+        await mailer.sendMail({
+          from: SMTP_USER ? `"boat2merch" <${SMTP_USER}>` : "boat2merch@example.local",
+          to: email,
+          subject: "Move your Boat2Merch Pro subscription",
+          html: `
+            <div style="font-family:Arial,sans-serif;color:#222">
+              <h2>Move your Pro subscription</h2>
+              <p>${escapeXml(user.email)} asked to move the Pro subscription paid with this address to their account.
+                 If that's you, confirm below. This link expires in 1 hour.</p>
+              <p><a href="${verifyUrl}" style="background:#ff9800;color:#121212;padding:10px 14px;border-radius:8px;text-decoration:none;display:inline-block">Move subscription</a></p>
+              <p style="color:#666">If you didn't ask for this, ignore this email.</p>
+            </div>
+          `,
+        });
+      }
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("❌ /pro/claim error:", err);
+      res.status(500).json({ error: "Unable to start claim" });
+    }
+  });
+
+  router.get("/pro/claim/verify", async (req, res) => {
+    try {
+      const token = String(req.query.token || "");
+      if (!token) return res.status(400).send("Missing token");
+      const { rows } = await q(
+        `UPDATE subscription_claims SET used=true
+         WHERE token_hash=$1 AND used=false AND expires_at > now()
+         RETURNING *`,
+        [hashToken(token)]
+      );
+      const claim = rows[0];
+      if (!claim) return res.status(400).send("This link is invalid or has expired.");
+
+      const moved = await q(
+        `UPDATE subscriptions SET user_id=$1, updated_at=now()
+         WHERE source='stripe' AND user_id = (SELECT id FROM users WHERE lower(email)=$2)
+         RETURNING stripe_subscription_id`,
+        [claim.to_user_id, claim.from_email]
+      );
+      // Keep Stripe's copy pointing at the new owner for future webhooks/checkouts.
+      for (const { stripe_subscription_id: subId } of moved.rows) {
+        if (!subId) continue;
+        await stripe.subscriptions.update(subId, { metadata: { userId: claim.to_user_id } })
+          .catch((e) => console.warn(`⚠️ could not update metadata on ${subId}:`, e.message));
+      }
+      console.log(`🔗 Moved ${moved.rowCount} subscription(s) from ${claim.from_email} to ${claim.to_user_id}`);
+      res.redirect("/account.html?claimed=1");
+    } catch (err) {
+      console.error("❌ /pro/claim/verify error:", err);
+      res.status(500).send("Claim failed");
+    }
+  });
+
+  return { router };
+}
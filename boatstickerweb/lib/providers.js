@@ -0,0 +1,303 @@
+// lib/providers.js
+import fetch from "node-fetch";
+import FormData from "form-data";
+import sharp from "sharp";
+import crypto from "crypto";
+
+// Every provider exposes the same shape:
+//   createJob({ image, prompt, background, orientation, mode, webhookUrl }) -> { id }
+//     image: PNG buffer; background: "transparent" | "opaque"; orientation:
+//     "square" | "landscape" | "portrait" | null (null = follow the input);
+//     webhookUrl is only honoured by providers that call back (Replicate)
+//   getStatus(id) -> { id, status, output: [url], error }
+//     status: "starting" | "processing" | "succeeded" | "failed" | "canceled"
+//   cancel(id)
+// plus `missingConfig` (a message, or null when ready), `sharedJobs` (true when
+// every instance can see every job, so an unknown id really is gone) and, for
+// providers that produce the image in-process, readOutput(id) -> Buffer | null.
+// Provider failures throw with err.code = "PROVIDER_ERROR" and err.status/err.details.
+// Aspect ratios / sizes for the gpt-image models behind both remote providers.
+const OUTPUT_ASPECTS = { square: "1:1", landscape: "3:2", portrait: "2:3" };
+const OUTPUT_SIZES = { square: "1024x1024", landscape: "1536x1024", portrait: "1024x1536" };
+
+export function providerError(message, status = 502, details) {
+  const err = new Error(message);
+  err.code = "PROVIDER_ERROR";
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
+export function createReplicateProvider({ token, version, openaiKey, apiUrl = "https://api.replicate.com/v1" }) {
+  const API = `${apiUrl.replace(/\/+$/, "")}/predictions`;
+  const headers = { Authorization: `Token ${token}`, "Content-Type": "application/json" };
+
+  const createPrediction = async (imageRef, { prompt, background, orientation, webhookUrl }) => {
+    const resp = await fetch(API, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        version,
+        ...(webhookUrl ? { webhook: webhookUrl, webhook_events_filter: ["start", "completed"] } : {}),
+        input: {
+          input_images: [imageRef],
+          image: imageRef,
+          prompt,
+          background,
+          ...(OUTPUT_ASPECTS[orientation] ? { aspect_ratio: OUTPUT_ASPECTS[orientation] } : {}),
+          openai_api_key: openaiKey,
+          quality: "auto",
+          input_fidelity: "high",
+          moderation: "auto",
+          number_of_images: 1,
+          output_format: "png",
+          output_compression: 90
+        }
+      })
+    });
+
+    const raw = await resp.text();
+    let payload = null;
+    try { payload = JSON.parse(raw); } catch {}
+
+    if (!resp.ok) {
+      const msg = payload?.error || payload?.detail || raw?.slice(0, 1200) || "Unknown Replicate error";
+      return { ok: false, code: resp.status, payload: msg };
+    }
+    if (!payload?.id) return { ok: false, code: 500, payload: payload || "No prediction id" };
+    return { ok: true, id: payload.id };
+  };
+
+  // Replicate sometimes rejects large data URLs; re-host on tmpfiles and retry with a URL.
+  const uploadToTmpfiles = async (buffer) => {
+    const form = new FormData();
+    form.append("file", buffer, { filename: "upload.png", contentType: "image/png" });
+    const uploadResp = await fetch("https://tmpfiles.org/api/v1/upload", {
+      method: "POST",
+      body: form,
+      headers: form.getHeaders(),
+    });
+    if (!uploadResp.ok) {
+      const txt = await uploadResp.text().catch(() => "");
+      throw providerError(`tmpfiles upload failed: ${uploadResp.status}`, 502, txt.slice(0, 800));
+    }
+    const uploadData = await uploadResp.json().catch(() => null);
+    const rawUrl = uploadData?.data?.url;
+    if (!rawUrl) throw providerError("No URL returned from tmpfiles", 500);
+    return rawUrl.includes("/dl/") ? rawUrl : rawUrl.replace("tmpfiles.org/", "tmpfiles.org/dl/");
+  };
+  return {
+    name: "replicate",
+    sharedJobs: true,
+    missingConfig: !token || !openaiKey
+      ? "Missing API credentials (REPLICATE_API_TOKEN and/or OPENAI_API_KEY)."
+      : null,
+
+    async createJob({ image, prompt, background, orientation, webhookUrl }) {
+      const dataUrl = `data:image/png;base64,${image.toString("base64")}`;
+      let pred = await createPrediction(dataUrl, { prompt, background, orientation, webhookUrl });
+
+      if (!pred.ok) {
+        const errText = String(pred.payload || "");
+        const shouldFallback =
+          pred.code >= 400 &&
+          (errText.includes("data URL") || errText.includes("base64") || errText.includes("Too Large") ||
+           errText.includes("payload") || errText.includes("unsupported") || errText.includes("input_images"));
+        if (shouldFallback) {
+          console.warn("[replicate] data URL rejected, falling back to tmpfiles…");
+          pred = await createPrediction(await uploadToTmpfiles(image), { prompt, background, orientation, webhookUrl });
+        }
+      }
+
+      if (!pred.ok) {
+        console.error("Replicate create error:", pred.code, pred.payload);
+        throw providerError(`Replicate error ${pred.code}`, 502, pred.payload);
+      }
+      return { id: pred.id };
+    },
+
+    async getStatus(id) {
+      const resp = await fetch(`${API}/${encodeURIComponent(id)}`, { headers });
+      const text = await resp.text();
+      let data;
+      try { data = JSON.parse(text); } catch { data = null; }
+      if (!resp.ok) {
+        const status = resp.status === 404 ? 404 : 502;
+        throw providerError(`Replicate status error ${resp.status}`, status, data || text?.slice(0, 800) || "No body");
+      }
+      const output = data?.output == null ? [] : [].concat(data.output);
+      return { id: data.id, status: data.status, output, error: data.error || null };
+    },
+
+    async cancel(id) {
+      const resp = await fetch(`${API}/${encodeURIComponent(id)}/cancel`, { method: "POST", headers });
+      if (!resp.ok) {
+        const txt = await resp.text().catch(() => "");
+        throw providerError(`Replicate cancel error ${resp.status}`, 502, txt.slice(0, 800));
+      }
+    },
+  };
+}
+
+// Shared bookkeeping for providers that produce the image in this process.
+// Results are written to design storage under generated/<id>.png so a finished
+// job survives restarts. In-flight state is kept beside it as generated/<id>.json,
+// so every instance sharing the storage can report on (and cancel) a job; a job
+// whose instance dies stays "processing" until the job timeout fails it.
+export function createInProcessJobs(name, run, storage) {
+  const jobs = new Map();
+  const outputKey = (id) => `generated/${id}.png`;
+  const stateKey = (id) => `generated/${id}.json`;
+  const outputUrl = (id) => `/generated/${id}.png`;
+  const saveState = (id, status, error = null) =>
+    storage.put(stateKey(id), Buffer.from(JSON.stringify({ status, error })), "application/json");
+  const loadState = async (id) => {
+    const stored = await storage.get(stateKey(id));
+    if (!stored) return null;
+    try { return JSON.parse(stored.body.toString("utf8")); } catch { return null; }
+  };
+
+  return {
+    name,
+    missingConfig: null,
+    // Design storage may be local to each instance.
+    sharedJobs: false,
+
+    async createJob(input) {
+      const id = `${name}-${crypto.randomUUID()}`;
+      const controller = new AbortController();
+      const job = { status: "processing", error: null, controller };
+      await saveState(id, job.status);
+      jobs.set(id, job);
+      run(input, controller.signal)
+        .then(async (png) => {
+          // Another instance cancels through the stored state.
+          if ((await loadState(id))?.status === "canceled") job.status = "canceled";
+          if (job.status === "canceled") return;
+          await storage.put(outputKey(id), png, "image/png");
+          job.status = "succeeded";
+          await storage.remove(stateKey(id));
+        })
+        .catch(async (e) => {
+          if (job.status !== "processing") return;
+          console.error(`❌ [${name}] generation ${id} failed:`, e);
+          job.status = "failed";
+          job.error = e?.message || "Generation failed";
+          await saveState(id, job.status, job.error).catch((err) => {
+            console.error(`❌ [${name}] could not record failure of ${id}:`, err);
+          });
+        })
+        .finally(() => {
+          // Keep the terminal state around long enough for pollers to see it.
+          setTimeout(() => jobs.delete(id), 60 * 60 * 1000).unref();
+        });
+      return { id };
+    },
+
+    async getStatus(id) {
+      const job = jobs.get(id) || await loadState(id);
+      if (job && job.status !== "succeeded") {
+        return { id, status: job.status, output: [], error: job.error };
+      }
+      const stored = await storage.get(outputKey(id));
+      if (stored) return { id, status: "succeeded", output: [outputUrl(id)], error: null };
+      if (job) return { id, status: "failed", output: [], error: "Output missing" };
+      throw providerError("Unknown generation", 404);
+    },
+
+    async cancel(id) {
+      const job = jobs.get(id) || await loadState(id);
+      if (!job) throw providerError("Unknown generation", 404);
+      if (job.status !== "processing") return;
+      job.status = "canceled";
+      job.controller?.abort();
+      await saveState(id, job.status);
+    },
+
+    async readOutput(id) {
+      const stored = await storage.get(outputKey(id));
+      return stored?.body || null;
+    },
+  };
+}
+
+export function createOpenAIProvider({ apiKey, model, apiUrl = "https://api.openai.com/v1", storage }) {
+  const provider = createInProcessJobs("openai", async ({ image, prompt, background, orientation }, signal) => {
+    const form = new FormData();
+    form.append("model", model);
+    form.append("image", image, { filename: "boat.png", contentType: "image/png" });
+    form.append("prompt", prompt);
+    form.append("background", background);
+    if (OUTPUT_SIZES[orientation]) form.append("size", OUTPUT_SIZES[orientation]);
+    form.append("input_fidelity", "high");
+    form.append("output_format", "png");
+    form.append("n", "1");
+
+    const resp = await fetch(`${apiUrl.replace(/\/+$/, "")}/images/edits`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${apiKey}`, ...form.getHeaders() },
+      body: form,
+      signal,
+    });
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) {
+      throw providerError(`OpenAI images error ${resp.status}: ${data?.error?.message || "unknown"}`);
+    }
+    const b64 = data?.data?.[0]?.b64_json;
+    if (!b64) throw providerError("OpenAI returned no image");
+    return Buffer.from(b64, "base64");
+  }, storage);
+  provider.missingConfig = apiKey ? null : "Missing API credentials (OPENAI_API_KEY).";
+  return provider;
+}
+
+// No network, no keys: a line drawing (edge filter) for opaque output and a
+// posterized copy that keeps the alpha channel for transparent (sticker) output.
+// Same input always yields the same bytes.
+export function createLocalProvider({ storage }) {
+  return createInProcessJobs("local", async ({ image, background }) => {
+    if (background === "opaque") {
+      // Two passes: within one pipeline sharp runs negate/threshold before convolve.
+      const edges = await sharp(image)
+        .flatten({ background: "#ffffff" })
+        .greyscale()
+        .convolve({ width: 3, height: 3, kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1] })
+        .png()
+        .toBuffer();
+      return sharp(edges).threshold(40).negate({ alpha: false }).png().toBuffer();
+    }
+    const { data, info } = await sharp(image).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const step = 255 / 3; // 4 levels per channel
+    for (let i = 0; i < data.length; i += 4) {
+      for (let c = 0; c < 3; c++) data[i + c] = Math.round(Math.round(data[i + c] / step) * step);
+    }
+    return sharp(data, { raw: { width: info.width, height: info.height, channels: 4 } }).png().toBuffer();
+  }, storage);
+}
+
+const IMAGE_PROVIDERS = {
+  replicate: (config) => createReplicateProvider({
+    token: config.REPLICATE_API_TOKEN,
+    version: config.REPLICATE_MODEL_VERSION,
+    openaiKey: config.OPENAI_API_KEY,
+    apiUrl: config.REPLICATE_API_URL,
+  }),
+  openai: (config, { storage }) => createOpenAIProvider({
+    apiKey: config.OPENAI_API_KEY,
+    model: config.OPENAI_IMAGE_MODEL,
+    apiUrl: config.OPENAI_API_URL,
+    storage,
+  }),
+  local: (_config, { storage }) => createLocalProvider({ storage }),
+};
+
+export function createImageProvider(config, { storage }) {
+  const make = IMAGE_PROVIDERS[config.IMAGE_PROVIDER];
+  if (!make) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${config.IMAGE_PROVIDER}" (expected ${Object.keys(IMAGE_PROVIDERS).join(", ")})`);
+  }
+  return make(config, { storage });
+}
+
+export const sendProviderError = (res, err) =>
+  res.status(err.status || 502).json({ error: err.message, details: err.details });
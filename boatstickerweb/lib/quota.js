@@ -0,0 +1,189 @@
+// lib/quota.js
+import express from "express";
+import crypto from "crypto";
+import { UUID_RE } from "./designs.js";
+
+// Stripe renews at period end and the subscription.updated webhook follows
+// within minutes; don't drop Pro in that gap.
+const RENEWAL_LEEWAY_MS = 24 * 60 * 60 * 1000;
+
+const QUOTA_COLUMNS = { user: "user_id", device: "device_id", ip: "ip_bucket" };
+
+// The bucket with the least room is what the visitor actually has left.
+function tightestBucket(usages) {
+  const limited = usages.filter((u) => u.limit);
+  if (!limited.length) return null;
+  return limited.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+}
+
+export function createQuota(ctx) {
+  const { pool, q } = ctx;
+  const { PAST_DUE_GRACE_MS, DEVICE_COOKIE_NAME, URL_SIGNING_SECRET, PLAN_LIMITS, ANON_IP_LIMIT, QUOTA_WINDOW_H } = ctx.config;
+  const router = express.Router();
+
+  function subscriptionGrantsPro(s, now = Date.now()) {
+    if (s.plan !== "pro") return false;
+    const end = s.current_period_end ? new Date(s.current_period_end).getTime() : null;
+    // Comped plans carry a hard expiry; Stripe-backed ones are driven by webhooks.
+    if (s.source === "comp") return s.status === "active" && end !== null && end > now;
+    // Rows from before period tracking have an epoch placeholder: trust the status.
+    const known = end !== null && end > 0;
+    if (s.status === "active" || s.status === "trialing") return !known || end + RENEWAL_LEEWAY_MS > now;
+    if (s.status === "past_due") return known && end + PAST_DUE_GRACE_MS > now;
+    return false;
+  }
+
+  async function getPlan(userId) {
+    if (!pool || !userId) return "free";
+    const { rows } = await q(
+      `SELECT plan, status, source, current_period_end
+       FROM subscriptions
+       WHERE user_id=$1 AND plan='pro'`,
+      [userId]
+    );
+    return rows.some((s) => subscriptionGrantsPro(s)) ? "pro" : "free";
+  }
+
+  function readDeviceId(req) {
+    // Unsigned or tampered ids are ignored: a forged id would pick its own quota bucket.
+    const id = req.signedCookies?.[DEVICE_COOKIE_NAME];
+    return id && UUID_RE.test(id) ? id : null;
+  }
+
+  function ensureDeviceId(req, res) {
+    const existing = readDeviceId(req);
+    if (existing) return existing;
+    const id = crypto.randomUUID();
+    res.cookie(DEVICE_COOKIE_NAME, id, ctx.cookieOptions(365));
+    return id;
+  }
+
+  // IPv4 addresses count individually; IPv6 by /64, since one host usually owns
+  // the whole prefix. Hashed so raw addresses never reach the database.
+  function ipBucket(req) {
+    const ip = String(req.ip || "").replace(/^::ffff:/, "");
+    const prefix = ip.includes(":") ? ip.split(":").slice(0, 4).join(":") : ip;
+    return crypto.createHmac("sha256", URL_SIGNING_SECRET).update(prefix).digest("hex").slice(0, 32);
+  }
+
+  function quotaBuckets(req, res, user, plan) {
+    if (user) return [{ kind: "user", value: user.id, limit: PLAN_LIMITS[plan] }];
+    return [
+      { kind: "device", value: ensureDeviceId(req, res), limit: PLAN_LIMITS.anonymous },
+      { kind: "ip", value: ipBucket(req), limit: ANON_IP_LIMIT },
+    ];
+  }
+
+  async function bucketUsage(query, bucket) {
+    const { rows } = await query(
+      `SELECT COUNT(*)::int AS used, MIN(created_at) AS oldest
+       FROM usage_events
+       WHERE ${QUOTA_COLUMNS[bucket.kind]}=$1 AND refunded_at IS NULL
+         AND created_at > now() - $2::interval`,
+      [bucket.value, `${QUOTA_WINDOW_H} hours`]
+    );
+    const { used, oldest } = rows[0];
+    return {
+      ...bucket,
+      used,
+      remaining: bucket.limit ? Math.max(bucket.limit - used, 0) : null,
+      // Rolling window: the next slot frees up when the oldest charge ages out.
+      resetsAt: used ? new Date(new Date(oldest).getTime() + QUOTA_WINDOW_H * 3600 * 1000) : null,
+    };
+  }
+
+  /**
+   * Charges `count` generations (one per variation), all or nothing. Serialized
+   * per bucket with advisory locks so parallel uploads can't both squeeze under
+   * the limit. Returns the usage_events ids (for refunds); empty when there's no
+   * database to count in.
+   */
+  async function reserveQuota(req, res, user, plan, count = 1) {
+    if (!pool) return [];
+    const buckets = quotaBuckets(req, res, user, plan);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      for (const b of buckets) {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`quota:${b.kind}:${b.value}`]);
+      }
+      const query = (text, params) => client.query(text, params);
+      const usages = await Promise.all(buckets.map((b) => bucketUsage(query, b)));
+      const blocked = usages.find((u) => u.limit && u.used + count > u.limit);
+      if (blocked) {
+        const label = user ? `${plan[0].toUpperCase()}${plan.slice(1)}` : "Anonymous";
+        const err = new Error(count > 1 && blocked.used < blocked.limit
+          ? `${count} variations need ${count} generations; ${blocked.limit - blocked.used} left in this ${QUOTA_WINDOW_H}h window.`
+          : `${label} limit reached (${blocked.limit}/${QUOTA_WINDOW_H}h).`);
+        err.code = "QUOTA_EXCEEDED";
+        err.meta = {
+          plan: user ? plan : "anonymous",
+          limit: blocked.limit,
+          used: blocked.used,
+          window: `${QUOTA_WINDOW_H}h`,
+          resetsAt: blocked.resetsAt,
+        };
+        throw err;
+      }
+      const byKind = Object.fromEntries(buckets.map((b) => [b.kind, b.value]));
+      const rowsSql = Array.from({ length: count }, () => "($1,$2,$3,$4)").join(",");
+      const { rows } = await client.query(
+        `INSERT INTO usage_events (user_id, device_id, ip_bucket, plan)
+         VALUES ${rowsSql}
+         RETURNING id`,
+        [byKind.user || null, byKind.device || null, byKind.ip || null, user ? plan : "anonymous"]
+      );
+      await client.query("COMMIT");
+      return rows.map((r) => r.id);
+    } catch (e) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function refundUsage(usageIds) {
+    const ids = [].concat(usageIds || []).filter(Boolean);
+    if (!ids.length) return;
+    const placeholders = ids.map((_, i) => `$${i + 1}`).join(",");
+    await q(`UPDATE usage_events SET refunded_at=now() WHERE id IN (${placeholders}) AND refunded_at IS NULL`, ids);
+  }
+
+  async function refundJobUsage(jobId) {
+    await q("UPDATE usage_events SET refunded_at=now() WHERE job_id=$1 AND refunded_at IS NULL", [jobId]);
+  }
+
+  router.get("/me/plan", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      const plan = await getPlan(user?.id);
+      res.json({ plan });
+    } catch { res.json({ plan: "free" }); }
+  });
+
+  router.get("/me/usage", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      const plan = user ? await getPlan(user.id) : "anonymous";
+      if (!pool) return res.json({ plan, limit: null, used: 0, remaining: null, windowHours: QUOTA_WINDOW_H, resetsAt: null });
+
+      const buckets = quotaBuckets(req, res, user, plan);
+      const usages = await Promise.all(buckets.map((b) => bucketUsage(q, b)));
+      const tight = tightestBucket(usages);
+      res.json({
+        plan,
+        limit: tight?.limit ?? null,
+        used: tight?.used ?? usages[0].used,
+        remaining: tight?.remaining ?? null,
+        windowHours: QUOTA_WINDOW_H,
+        resetsAt: tight?.resetsAt ?? null,
+      });
+    } catch (err) {
+      console.error("❌ /me/usage error:", err);
+      res.status(500).json({ error: "Failed to load usage" });
+    }
+  });
+
+  return { router, getPlan, reserveQuota, refundUsage, refundJobUsage };
+}
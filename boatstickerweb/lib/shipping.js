@@ -0,0 +1,128 @@
+// lib/shipping.js
+// Where we ship, what's sold where (from Gooten's enabled variants) and the
+// shipping rate charged at checkout.
+import express from "express";
+import { COUNTRIES, lookupCountry, normalizeCountryCode, addressRules } from "./countries.js";
+import { resolveProductOptions } from "./catalog.js";
+
+function shippingError(message, status, countryCode) {
+  const err = new Error(message);
+  err.code = "SHIPPING_UNAVAILABLE";
+  err.status = status;
+  err.meta = { countryCode };
+  return err;
+}
+
+export function createShipping(ctx) {
+  const { GOOTEN_RECIPE_ID, SHIP_COUNTRY_CODES } = ctx.config;
+  const router = express.Router();
+
+  const offered = SHIP_COUNTRY_CODES.length
+    ? new Set(SHIP_COUNTRY_CODES)
+    : new Set(COUNTRIES.filter((c) => c.stripeShipping).map((c) => c.code));
+  const countryName = (code) => lookupCountry(code)?.name || code;
+
+  function assertShipsTo(countryCode) {
+    if (!offered.has(countryCode)) throw shippingError(`Sorry, we don't ship to ${countryName(countryCode)} yet`, 400, countryCode);
+  }
+
+  /**
+   * Picks the Gooten SKU for an item in `countryCode`. Products Gooten has no
+   * enabled variant for there throw SHIPPING_UNAVAILABLE (400).
+   */
+  async function skuForCountry(product, options, countryCode) {
+    try {
+      return await ctx.gooten.pickSkuForCountry({ product, options, countryCode });
+    } catch (e) {
+      if (e.code !== "VARIANT_UNAVAILABLE") throw e;
+      throw shippingError(`${product.name} isn't available in ${countryName(countryCode)}`, 400, countryCode);
+    }
+  }
+
+  /**
+   * Stripe session fields that charge shipping for `items` to `destination`
+   * ({ country, postal_code }, already validated): Gooten's standard rate (the
+   * method orders are submitted with) in `currency` as a fixed-amount option,
+   * with address collection limited to that country so the rate can't be
+   * reused for another one. Without a Gooten recipe (local dev) nothing is
+   * charged.
+   */
+  async function shippingSessionParams(items, destination, currency) {
+    const countryCode = destination.country;
+    assertShipsTo(countryCode);
+    const shipping_address_collection = { allowed_countries: [countryCode] };
+    if (!GOOTEN_RECIPE_ID) return { shipping_address_collection };
+
+    const lines = [];
+    for (const it of items) {
+      lines.push({ sku: await skuForCountry(ctx.getProduct(it.productId), it.options, countryCode), quantity: it.quantity });
+    }
+    let options;
+    try {
+      options = await ctx.gooten.getShippingOptions({
+        countryCode,
+        postalCode: destination.postal_code,
+        currency,
+        items: lines,
+      });
+    } catch (e) {
+      console.error(`❌ Shipping quote for ${countryCode} failed:`, e);
+      throw shippingError(`Couldn't price shipping to ${countryName(countryCode)} right now. Please try again.`, 502, countryCode);
+    }
+    const standard = options.find((o) => o.method === "standard");
+    if (!standard) throw shippingError(`Standard shipping to ${countryName(countryCode)} isn't available for these items`, 400, countryCode);
+
+    return {
+      shipping_address_collection,
+      shipping_options: [{
+        shipping_rate_data: {
+          type: "fixed_amount",
+          display_name: standard.name,
+          fixed_amount: { amount: standard.amount, currency },
+          ...(standard.days
+            ? { delivery_estimate: { maximum: { unit: "business_day", value: standard.days } } }
+            : {}),
+        },
+      }],
+    };
+  }
+
+  // Countries for the address form, with what each one's address needs.
+  router.get("/shipping/countries", (_req, res) => {
+    const countries = COUNTRIES
+      .filter((c) => offered.has(c.code))
+      .map((c) => ({ code: c.code, name: c.name, currency: ctx.chargeCurrency(c.code), ...addressRules(c.code) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    res.json({ countries });
+  });
+
+  // Can this product (with these options, e.g. ?size=M&color=Navy) be shipped to ?country=?
+  router.get("/shipping/availability", async (req, res) => {
+    try {
+      let countryCode;
+      try { countryCode = normalizeCountryCode(req.query.country); }
+      catch (e) { return res.status(400).json({ error: e.message }); }
+      const product = ctx.getProduct(req.query.productId);
+      if (!product) return res.status(404).json({ error: "Unknown product" });
+
+      const currency = ctx.chargeCurrency(countryCode);
+      const result = { country: countryCode, productId: product.id, currency, price: ctx.productPrice(product, currency) };
+      try {
+        assertShipsTo(countryCode);
+        if (GOOTEN_RECIPE_ID) {
+          const options = Object.keys(product.options).length ? resolveProductOptions(product, req.query) : {};
+          await skuForCountry(product, options, countryCode);
+        }
+      } catch (e) {
+        if (e.code === "SHIPPING_UNAVAILABLE" || e.code === "INVALID_PRODUCT") return res.json({ ...result, available: false, reason: e.message });
+        throw e;
+      }
+      res.json({ ...result, available: true });
+    } catch (err) {
+      console.error("❌ /shipping/availability error:", err);
+      res.status(502).json({ error: "Couldn't check availability right now" });
+    }
+  });
+
+  return { router, assertShipsTo, shippingSessionParams };
+}
@@ -0,0 +1,280 @@
+// lib/stickers.js
+import express from "express";
+import sharp from "sharp";
+import { printSpec, placeArtwork } from "./print-files.js";
+
+// Sticker outputs are cleaned up deterministically instead of trusting the
+// prompt: leftover background is keyed out, specks are dropped and a white
+// contour is drawn around the silhouette. The contour's outer edge is the cut line.
+export const ALPHA_ON = 128;
+const MIN_SPECK_FRACTION = 0.001;
+
+// Flood fill over `open` pixels from `seeds`, marking `seen`; returns the visited indices.
+function floodFill(open, w, h, seeds, seen = new Uint8Array(w * h)) {
+  const visited = [];
+  const stack = [];
+  const visit = (n) => {
+    if (seen[n] || !open(n)) return;
+    seen[n] = 1;
+    visited.push(n);
+    stack.push(n);
+  };
+  for (const i of seeds) visit(i);
+  while (stack.length) {
+    const i = stack.pop();
+    const x = i % w;
+    if (x > 0) visit(i - 1);
+    if (x < w - 1) visit(i + 1);
+    if (i >= w) visit(i - w);
+    if (i < w * (h - 1)) visit(i + w);
+  }
+  return visited;
+}
+
+export function edgePixels(w, h) {
+  const out = [];
+  for (let x = 0; x < w; x++) out.push(x, (h - 1) * w + x);
+  for (let y = 1; y < h - 1; y++) out.push(y * w, y * w + w - 1);
+  return out;
+}
+
+/**
+ * Returns the artwork mask (1 = keep) for raw RGBA `data`. Images that still
+ * have an opaque background get it keyed out from the edges inward, using the
+ * median border colour.
+ */
+function stickerMask(data, w, h, tolerance) {
+  const mask = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) mask[i] = data[i * 4 + 3] >= ALPHA_ON ? 1 : 0;
+
+  const border = edgePixels(w, h);
+  const opaqueBorder = border.filter((i) => mask[i]);
+  if (opaqueBorder.length > border.length / 2) {
+    const median = (c) => {
+      const vals = opaqueBorder.map((i) => data[i * 4 + c]).sort((a, b) => a - b);
+      return vals[vals.length >> 1];
+    };
+    const bg = [median(0), median(1), median(2)];
+    const near = (i, tol) =>
+      Math.abs(data[i * 4] - bg[0]) <= tol &&
+      Math.abs(data[i * 4 + 1] - bg[1]) <= tol &&
+      Math.abs(data[i * 4 + 2] - bg[2]) <= tol;
+    const cleared = new Uint8Array(w * h);
+    floodFill((i) => !mask[i] || near(i, tolerance), w, h, border, cleared);
+    for (let i = 0; i < w * h; i++) if (cleared[i]) mask[i] = 0;
+    // Anti-aliased fringe: background-ish pixels touching what was just removed.
+    const fringe = [];
+    for (let i = 0; i < w * h; i++) {
+      if (!mask[i] || !near(i, tolerance * 2)) continue;
+      const x = i % w;
+      if ((x > 0 && cleared[i - 1]) || (x < w - 1 && cleared[i + 1]) || cleared[i - w] || cleared[i + w]) fringe.push(i);
+    }
+    for (const i of fringe) mask[i] = 0;
+  }
+
+  // Drop specks, but never the largest piece.
+  const seen = new Uint8Array(w * h);
+  const pieces = [];
+  for (let i = 0; i < w * h; i++) {
+    if (mask[i] && !seen[i]) pieces.push(floodFill((n) => mask[n] === 1, w, h, [i], seen));
+  }
+  const largest = pieces.reduce((max, p) => Math.max(max, p.length), 0);
+  for (const members of pieces) {
+    if (members.length === largest || members.length >= w * h * MIN_SPECK_FRACTION) continue;
+    for (const n of members) mask[n] = 0;
+  }
+  return mask;
+}
+
+// Mask with interior holes filled, so the contour only follows the outside.
+function fillHoles(mask, w, h) {
+  const outside = new Uint8Array(w * h);
+  floodFill((i) => !mask[i], w, h, edgePixels(w, h), outside);
+  const filled = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) filled[i] = outside[i] ? 0 : 1;
+  return filled;
+}
+
+// Ramer–Douglas–Peucker on a closed loop (first point repeated at the end).
+function simplifyPath(points, epsilon) {
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const [ax, ay] = points[a];
+    const [bx, by] = points[b];
+    const len = Math.hypot(bx - ax, by - ay);
+    let far = -1, farDist = epsilon;
+    for (let i = a + 1; i < b; i++) {
+      const [px, py] = points[i];
+      const d = len
+        ? Math.abs((bx - ax) * (ay - py) - (ax - px) * (by - ay)) / len
+        : Math.hypot(px - ax, py - ay);
+      if (d > farDist) { far = i; farDist = d; }
+    }
+    if (far !== -1) { keep[far] = 1; stack.push([a, far], [far, b]); }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * Traces the outer outline of every opaque piece along pixel edges.
+ * Returns closed polygons in image pixel coordinates.
+ */
+export function traceOutlines(mask, w, h, epsilon = 1) {
+  const inside = (x, y) => x >= 0 && y >= 0 && x < w && y < h && mask[y * w + x] === 1;
+  const W1 = w + 1;
+  const edges = []; // [fromVertex, toVertex]; interior on the right-hand side
+  const out = new Map();
+  const addEdge = (x1, y1, x2, y2) => {
+    const from = y1 * W1 + x1;
+    if (!out.has(from)) out.set(from, []);
+    out.get(from).push(edges.length);
+    edges.push([from, y2 * W1 + x2]);
+  };
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!inside(x, y)) continue;
+      if (!inside(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!inside(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!inside(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!inside(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const used = new Uint8Array(edges.length);
+  const loops = [];
+  for (let e = 0; e < edges.length; e++) {
+    if (used[e]) continue;
+    const points = [];
+    let cur = e;
+    while (cur !== undefined && !used[cur]) {
+      used[cur] = 1;
+      const [from, to] = edges[cur];
+      points.push([from % W1, Math.floor(from / W1)]);
+      cur = out.get(to).find((n) => !used[n]);
+    }
+    points.push(points[0]);
+    if (points.length > 3) loops.push(simplifyPath(points, epsilon));
+  }
+  return loops;
+}
+
+// Cut line for a stored sticker: the outline of its (hole-filled) alpha.
+async function stickerOutlines(buffer) {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width: w, height: h } = info;
+  const mask = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) mask[i] = data[i * 4 + 3] >= ALPHA_ON ? 1 : 0;
+  return { width: w, height: h, loops: traceOutlines(fillHoles(mask, w, h), w, h) };
+}
+
+export function loopsToPathData(loops, map = (p) => p) {
+  const fmt = (n) => Number(n.toFixed(2));
+  return loops
+    .map((loop) => "M" + loop.slice(0, -1).map((p) => map(p).map(fmt).join(" ")).join(" L") + " Z")
+    .join(" ");
+}
+
+function outlinesToSvg({ loops }, { width, height, viewWidth, viewHeight, map }) {
+  const d = loopsToPathData(loops, map);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${viewWidth} ${viewHeight}">
+  <path id="CutContour" d="${d}" fill="none" stroke="#ff00ff" stroke-width="1" vector-effect="non-scaling-stroke"/>
+</svg>
+`;
+}
+
+export function createStickers(ctx) {
+  const { storage } = ctx;
+  const { STICKER_BORDER, STICKER_TOLERANCE } = ctx.config;
+  const router = express.Router();
+
+  /**
+   * Removes residual background and adds a white offset contour of
+   * `borderFraction` × the longest side. The canvas grows to fit the contour.
+   */
+  async function dieCutSticker(buffer, { borderFraction = STICKER_BORDER, tolerance = STICKER_TOLERANCE } = {}) {
+    const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width: w, height: h } = info;
+    const mask = stickerMask(data, w, h, tolerance);
+    if (!mask.some(Boolean)) throw new Error("Sticker artwork is empty after background removal");
+    for (let i = 0; i < w * h; i++) if (!mask[i]) data[i * 4 + 3] = 0;
+
+    const border = Math.round(Math.max(w, h) * borderFraction);
+    const pad = border + 2;
+    const W = w + 2 * pad;
+    const H = h + 2 * pad;
+    const art = await sharp(data, { raw: { width: w, height: h, channels: 4 } })
+      .extend({ top: pad, bottom: pad, left: pad, right: pad, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    if (!border) return sharp(art).png({ compressionLevel: 9 }).toBuffer();
+
+    const silhouette = Buffer.alloc(W * H);
+    const filled = fillHoles(mask, w, h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) if (filled[y * w + x]) silhouette[(y + pad) * W + x + pad] = 255;
+    }
+    // Blur + low threshold ≈ a round dilation by `border` px. Two passes:
+    // sharp runs threshold before blur inside a single pipeline.
+    const blurred = await sharp(silhouette, { raw: { width: W, height: H, channels: 1 } })
+      .blur(Math.max(border / 2, 0.3))
+      .png()
+      .toBuffer();
+    const dilated = await sharp(blurred).threshold(6).extractChannel(0).raw().toBuffer();
+
+    const white = Buffer.alloc(W * H * 4, 255);
+    for (let i = 0; i < W * H; i++) white[i * 4 + 3] = dilated[i];
+    return sharp(white, { raw: { width: W, height: H, channels: 4 } })
+      .composite([{ input: art }])
+      .png({ compressionLevel: 9 })
+      .toBuffer();
+  }
+
+  // Cut path export for vinyl cutters. With ?product= the path is placed exactly
+  // where renderPrintFile puts the artwork and sized in inches.
+  router.get("/designs/:id/cutline.svg", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req);
+      if (!user) return res.status(401).json({ error: "Sign in required" });
+      const design = await ctx.getDesignForUser(req.params.id, user.id);
+      if (!design) return res.status(404).json({ error: "Design not found" });
+      const obj = await storage.get(design.storage_key);
+      if (!obj) return res.status(404).json({ error: "Design file missing" });
+
+      const outlines = await stickerOutlines(obj.body);
+      if (!outlines.loops.length) return res.status(422).json({ error: "Design has no opaque artwork to cut around" });
+
+      let svg;
+      if (req.query.product) {
+        const product = ctx.getProduct(req.query.product);
+        if (!product) return res.status(404).json({ error: "Unknown product" });
+        if (!product.dieCut) return res.status(400).json({ error: `${product.name} is not die-cut` });
+        const spec = printSpec(product);
+        const { placement } = await placeArtwork(obj.body, spec);
+        svg = outlinesToSvg(outlines, {
+          width: `${(spec.width / spec.dpi).toFixed(4)}in`,
+          height: `${(spec.height / spec.dpi).toFixed(4)}in`,
+          viewWidth: spec.width,
+          viewHeight: spec.height,
+          map: ([x, y]) => [
+            placement.left + (x - placement.trimLeft) * placement.scale,
+            placement.top + (y - placement.trimTop) * placement.scale,
+          ],
+        });
+      } else {
+        svg = outlinesToSvg(outlines, { width: outlines.width, height: outlines.height, viewWidth: outlines.width, viewHeight: outlines.height });
+      }
+      res.set("Content-Type", "image/svg+xml");
+      res.set("Content-Disposition", `attachment; filename="cutline-${design.id}.svg"`);
+      res.send(svg);
+    } catch (err) {
+      console.error("❌ /designs/:id/cutline.svg error:", err);
+      res.status(500).json({ error: "Failed to export cut line" });
+    }
+  });
+
+  return { router, dieCutSticker };
+}
@@ -0,0 +1,127 @@
+// lib/storage.js
+import path from "path";
+import fs from "fs/promises";
+
+// Design storage (local disk or S3-compatible). Every backend exposes the same
+// shape: put(key, buffer, contentType), get(key) -> { body, contentType } | null,
+// remove(key), removePrefix(prefix) -> number removed, and publicUrl(key) ->
+// string | null when objects are directly reachable.
+export function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+  const resolveKey = (key) => {
+    const full = path.resolve(root, key);
+    if (!full.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return full;
+  };
+  const CONTENT_TYPES = { ".png": "image/png", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".webp": "image/webp", ".svg": "image/svg+xml" };
+  return {
+    name: "local",
+    async put(key, buffer) {
+      const full = resolveKey(key);
+      await fs.mkdir(path.dirname(full), { recursive: true });
+      await fs.writeFile(full, buffer);
+    },
+    async get(key) {
+      try {
+        const body = await fs.readFile(resolveKey(key));
+        return { body, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || "application/octet-stream" };
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+    // "mockups/<id>/" removes a directory; "vectors/<id>-" the files starting with it.
+    async removePrefix(prefix) {
+      const full = resolveKey(prefix);
+      const dir = prefix.endsWith("/") ? full : path.dirname(full);
+      const start = prefix.endsWith("/") ? "" : path.basename(full);
+      let names;
+      try { names = await fs.readdir(dir); }
+      catch (e) {
+        if (e.code === "ENOENT") return 0;
+        throw e;
+      }
+      const matching = names.filter((n) => n.startsWith(start));
+      await Promise.all(matching.map((n) => fs.rm(path.join(dir, n), { recursive: true, force: true })));
+      return matching.length;
+    },
+    publicUrl() { return null; },
+  };
+}
+
+export function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicBaseUrl, forcePathStyle }) {
+  if (!bucket) throw new Error("S3_BUCKET is required when STORAGE_DRIVER=s3");
+  // Loaded lazily so local-disk deployments don't pay for the SDK.
+  let clientPromise = null;
+  const sdk = () => {
+    if (!clientPromise) {
+      clientPromise = import("@aws-sdk/client-s3").then((m) => ({
+        m,
+        client: new m.S3Client({
+          region,
+          ...(endpoint ? { endpoint } : {}),
+          forcePathStyle: !!forcePathStyle,
+          ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {}),
+        }),
+      }));
+    }
+    return clientPromise;
+  };
+  return {
+    name: "s3",
+    async put(key, buffer, contentType) {
+      const { m, client } = await sdk();
+      await client.send(new m.PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+    async get(key) {
+      const { m, client } = await sdk();
+      try {
+        const out = await client.send(new m.GetObjectCommand({ Bucket: bucket, Key: key }));
+        const body = Buffer.from(await out.Body.transformToByteArray());
+        return { body, contentType: out.ContentType || "application/octet-stream" };
+      } catch (e) {
+        if (e?.name === "NoSuchKey" || e?.$metadata?.httpStatusCode === 404) return null;
+        throw e;
+      }
+    },
+    async remove(key) {
+      const { m, client } = await sdk();
+      await client.send(new m.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    async removePrefix(prefix) {
+      const { m, client } = await sdk();
+      let removed = 0;
+      let ContinuationToken;
+      do {
+        const page = await client.send(new m.ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        const keys = (page.Contents || []).map((o) => ({ Key: o.Key }));
+        if (keys.length) {
+          await client.send(new m.DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: keys, Quiet: true } }));
+          removed += keys.length;
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return removed;
+    },
+    publicUrl(key) {
+      return publicBaseUrl ? `${publicBaseUrl.replace(/\/+$/, "")}/${key}` : null;
+    },
+  };
+}
+
+export function createStorage(config) {
+  return config.STORAGE_DRIVER === "s3"
+    ? createS3Storage({
+        bucket: config.S3_BUCKET,
+        region: config.S3_REGION,
+        endpoint: config.S3_ENDPOINT,
+        accessKeyId: config.S3_ACCESS_KEY_ID,
+        secretAccessKey: config.S3_SECRET_ACCESS_KEY,
+        publicBaseUrl: config.S3_PUBLIC_BASE_URL,
+        forcePathStyle: String(config.S3_FORCE_PATH_STYLE).toLowerCase() === "true",
+      })
+    : createLocalStorage(config.STORAGE_LOCAL_DIR);
+}
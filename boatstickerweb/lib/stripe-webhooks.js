@@ -0,0 +1,313 @@
+// lib/stripe-webhooks.js
+import express from "express";
+import { UUID_RE } from "./designs.js";
+import { shippingFromSession, shippingProblem } from "./addresses.js";
+import { escapeXml } from "./html.js";
+
+const HANDLED_STRIPE_EVENTS = new Set([
+  "checkout.session.completed",
+  "checkout.session.expired",
+  "customer.subscription.created",
+  "customer.subscription.updated",
+  "customer.subscription.deleted",
+  "invoice.payment_failed",
+  "charge.refunded",
+]);
+const STRIPE_EVENT_STALE = "10 minutes";
+
+export function createStripeWebhooks(ctx) {
+  const { q, pool, stripe, mailer } = ctx;
+  const { SMTP_USER, STRIPE_WEBHOOK_SECRET } = ctx.config;
+  const router = express.Router();
+
+  async function existingUserId(id) {
+    if (!id || !UUID_RE.test(String(id))) return null;
+    const { rows } = await q("SELECT id FROM users WHERE id=$1", [id]);
+    return rows[0]?.id || null;
+  }
+
+  // Without a userId only an existing row is updated; the owner of an existing
+  // row is never changed here (claims move subscriptions explicitly).
+  async function upsertStripeSubscription(sub, userId) {
+    const values = [
+      sub.status,
+      Math.floor(sub.current_period_end || 0),
+      sub.id,
+      !!sub.cancel_at_period_end,
+      sub.items?.data?.[0]?.price?.recurring?.interval || null,
+      typeof sub.customer === "string" ? sub.customer : sub.customer?.id || null,
+    ];
+    if (!userId) {
+      await q(`
+        UPDATE subscriptions
+        SET status=$1, current_period_end = to_timestamp($2), updated_at=now(),
+            cancel_at_period_end=$4, billing_interval=$5
+        WHERE stripe_subscription_id=$3
+      `, values);
+      return;
+    }
+    await q(`
+      INSERT INTO subscriptions
+        (user_id, plan, status, stripe_customer_id, stripe_subscription_id,
+         current_period_end, cancel_at_period_end, billing_interval)
+      VALUES ($7,'pro',$1,$6,$3, to_timestamp($2), $4, $5)
+      ON CONFLICT (stripe_subscription_id) DO UPDATE
+      SET plan='pro', status=$1, stripe_customer_id=$6, current_period_end = to_timestamp($2),
+          cancel_at_period_end=$4, billing_interval=$5, updated_at=now()
+    `, [...values, userId]);
+  }
+
+  /**
+   * Records the event and decides whether to process it. Returns false for
+   * deliveries already processed (or currently being processed by another
+   * request); failed and stale in-flight events are claimed again.
+   */
+  async function claimStripeEvent(event) {
+    const { rows } = await q(
+      `INSERT INTO stripe_events (id, type, payload, status)
+       VALUES ($1,$2,$3,'processing')
+       ON CONFLICT (id) DO UPDATE
+         SET attempts = stripe_events.attempts + 1,
+             status = 'processing',
+             error = NULL,
+             updated_at = now()
+         WHERE stripe_events.status = 'failed'
+            OR (stripe_events.status = 'processing' AND stripe_events.updated_at < now() - interval '${STRIPE_EVENT_STALE}')
+       RETURNING id`,
+      [event.id, event.type, JSON.stringify(event)]
+    );
+    return rows.length > 0;
+  }
+
+  async function finishStripeEvent(eventId, status, error = null) {
+    await q(
+      `UPDATE stripe_events
+       SET status=$2, error=$3, processed_at = CASE WHEN $2 = 'failed' THEN NULL ELSE now() END, updated_at=now()
+       WHERE id=$1`,
+      [eventId, status, error]
+    );
+  }
+
+  // Tells the buyer their paid order is waiting for a shipping address we can use.
+  async function sendAddressRequest(email, name, problem) {
+    if (!email || email === "unknown") return;
+    try {
+      await mailer.sendMail({
+        from: SMTP_USER ? `"boat2merch" <${SMTP_USER}>` : "boat2merch@example.local",
+        to: email,
+        subject: "We need your shipping address to send your order",
+        html: `
+          <p>Hi ${escapeXml(name)},</p>
+          <p>Thanks for your order! We can't ship it to the address we received yet:
+             <strong>${escapeXml(problem)}</strong>.</p>
+          <p>Reply to this email with your full shipping address and a phone number for the
+             carrier, and we'll send your order to print right away.</p>
+        `,
+      });
+    } catch (e) {
+      console.error("❌ Error sending address request email:", e);
+    }
+  }
+
+  async function handleStripeEvent(event) {
+    if (event.type === "checkout.session.completed") {
+      const session = event.data.object;
+
+      // (A) SUBSCRIPTION checkout finished => mark PRO
+      if (pool && session.mode === "subscription") {
+        const email = session.customer_details?.email || session.customer_email || null;
+        let userId = await existingUserId(session.client_reference_id || session.metadata?.userId);
+        if (!userId && email) {
+          // Anonymous checkout: the paying email gets the plan. If that isn't the
+          // address they sign in with, they can claim it (POST /pro/claim).
+          const u = await q(
+            "INSERT INTO users (email) VALUES ($1) ON CONFLICT (email) DO UPDATE SET email=EXCLUDED.email RETURNING id",
+            [email.trim().toLowerCase()]
+          );
+          userId = u.rows[0].id;
+        }
+        if (userId) {
+          const sub = await stripe.subscriptions.retrieve(session.subscription);
+          await upsertStripeSubscription(sub, userId);
+        } else {
+          console.warn(`⚠️ Subscription checkout ${session.id} has no user or email`);
+        }
+      }
+
+      // (B) credit pack => add to the buyer's balance
+      if (session.mode === "payment" && session.metadata?.kind === "credits") {
+        if (pool) await ctx.grantPurchasedCredits(session);
+      }
+
+      // (C) ONE-TIME payment (buy-now or cart) => create order + send email
+      if (session.mode === "payment" && session.metadata?.kind !== "credits") {
+        const buyerEmail = session.customer_details?.email || session.customer_email || "unknown";
+        const items = await ctx.loadCheckoutItems(session);
+        if (pool && session.metadata?.cartId) {
+          // Paid — start a fresh cart next time, whatever happens with fulfillment.
+          await q("UPDATE carts SET status='ordered', updated_at=now() WHERE id=$1", [session.metadata.cartId]).catch(() => {});
+        }
+        // What the buyer entered in Checkout is the address we ship to. One
+        // Gooten would refuse, or outside the postcode shipping was quoted for,
+        // holds the order until it's corrected.
+        const shipping = shippingFromSession(session);
+        const buyerName = shipping.name || "Customer";
+        const addressProblem = shippingProblem(shipping, buyerEmail, session.metadata?.shipPostal);
+
+        if (pool) {
+          // Durable first: if this throws, Stripe gets a 500 and redelivers.
+          const orderRow = await ctx.recordOrder({ session, items, email: buyerEmail, shipping, addressProblem });
+          // Recorded as due, so the retry worker's claim submits it. Kicked off
+          // without waiting: print files and Gooten calls can outlast Stripe's
+          // webhook timeout. Held orders wait for an admin.
+          if (orderRow.status === "paid") {
+            ctx.retryDueFulfillments().catch((e) => console.error("⚠️ fulfillment error:", e));
+          } else if (orderRow.inserted && orderRow.status === "needs_address") {
+            console.warn(`⚠️ Order ${orderRow.id} held for its shipping address: ${addressProblem}`);
+            await sendAddressRequest(buyerEmail, buyerName, addressProblem);
+          }
+        } else if (addressProblem) {
+          console.warn(`⚠️ Order ${session.id} not submitted: ${addressProblem}`);
+        } else {
+          try {
+            const order = await ctx.submitGootenOrder({
+              items,
+              email: buyerEmail,
+              shipping,
+              sourceId: session.id,
+            });
+            console.log("✅ Gooten order created:", order);
+          } catch (e) {
+            console.error("❌ Gooten order error:", e);
+          }
+        }
+
+        try {
+          // Everything below comes from the buyer or the session; escape it.
+          const emailHtml = `
+            <h2>New Order</h2>
+            ${addressProblem ? `<p><strong>⚠️ Held — needs a shipping address:</strong> ${escapeXml(addressProblem)}</p>` : ""}
+            <p><strong>Buyer Name:</strong> ${escapeXml(buyerName)}</p>
+            <p><strong>Buyer Email:</strong> ${escapeXml(buyerEmail)}</p>
+            <p><strong>Address:</strong><br/>
+              ${escapeXml(shipping.line1 || "")}<br/>
+              ${shipping.line2 ? `${escapeXml(shipping.line2)}<br/>` : ""}
+              ${escapeXml(shipping.city || "")}, ${escapeXml(shipping.state || "")} ${escapeXml(shipping.postal_code || "")}<br/>
+              ${escapeXml(shipping.country || "")}
+            </p>
+            <p><strong>Phone:</strong> ${escapeXml(shipping.phone || "—")}</p>
+            <p><strong>Items:</strong></p>
+            ${items.map((it) => `
+              <p>${it.quantity} × ${escapeXml(it.name || it.productId)}</p>
+              <img src="${escapeXml(it.imageUrl || "")}" alt="Purchased design" style="max-width:300px; border:1px solid #ccc; border-radius:6px;" />
+            `).join("")}
+          `;
+          const notify = await ctx.orderNotificationRecipients();
+          if (!notify.length) {
+            console.warn("⚠️ No ORDER_NOTIFY_EMAILS or admin users — order email skipped");
+          } else {
+            // Headers aren't HTML: keep the name on one short line instead.
+            const subjectName = buyerName.replace(/[\s\u0000-\u001f\u007f]+/g, " ").trim().slice(0, 80);
+            await mailer.sendMail({
+              from: SMTP_USER ? `"boat2merch" <${SMTP_USER}>` : "boat2merch@example.local",
+              to: notify.join(", "),
+              subject: `${addressProblem ? "[Needs address] " : ""}New Order (${items.reduce((n, it) => n + it.quantity, 0)} items) from ${subjectName}`,
+              html: emailHtml,
+            });
+            console.log("✅ Order email sent");
+          }
+        } catch (mailErr) {
+          console.error("❌ Error sending order email:", mailErr);
+        }
+      }
+    }
+
+    // Keep subscription lifecycle in sync
+    // May arrive before checkout.session.completed; metadata.userId (set by
+    // /pro/checkout) lets us create the row here instead of dropping the update.
+    if (pool && (event.type === "customer.subscription.created" || event.type === "customer.subscription.updated")) {
+      const sub = event.data.object;
+      await upsertStripeSubscription(sub, await existingUserId(sub.metadata?.userId));
+    }
+
+    if (pool && event.type === "customer.subscription.deleted") {
+      const sub = event.data.object;
+      await q(`
+        UPDATE subscriptions
+        SET status='canceled', updated_at=now()
+        WHERE stripe_subscription_id=$1
+      `, [sub.id]).catch(()=>{});
+    }
+
+    // Dunning: Stripe couldn't collect a renewal.
+    if (pool && event.type === "invoice.payment_failed") {
+      const invoice = event.data.object;
+      if (invoice.subscription) {
+        await q(`
+          UPDATE subscriptions
+          SET status='past_due', updated_at=now()
+          WHERE stripe_subscription_id=$1 AND status <> 'canceled'
+        `, [invoice.subscription]);
+      }
+    }
+
+    if (pool && event.type === "charge.refunded") {
+      const charge = event.data.object;
+      if (charge.payment_intent) {
+        const fully = charge.refunded === true || charge.amount_refunded >= charge.amount;
+        // A fully refunded order that never reached Gooten must not be retried.
+        // One Gooten already has keeps its fulfillment status; cancelling the
+        // print run there is an admin decision.
+        await q(`
+          UPDATE orders
+          SET refunded_amount=$2,
+              status = CASE WHEN $3 AND status IN ('paid','failed','needs_address') THEN 'refunded' ELSE status END,
+              next_attempt_at = CASE WHEN $3 AND status IN ('paid','failed','needs_address') THEN NULL ELSE next_attempt_at END,
+              updated_at=now()
+          WHERE stripe_payment_intent_id=$1
+        `, [charge.payment_intent, charge.amount_refunded || 0, fully]);
+      }
+    }
+
+    // Abandoned checkout: drop the cart snapshot (the cart itself stays open).
+    if (pool && event.type === "checkout.session.expired") {
+      const session = event.data.object;
+      await q("DELETE FROM checkout_sessions WHERE stripe_session_id=$1", [session.id]);
+    }
+  }
+
+  router.post("/webhook", express.raw({ type: "application/json" }), async (req, res) => {
+    const sig = req.headers["stripe-signature"];
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      console.error("⚠️ Webhook signature verification failed.", err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    if (pool) {
+      try {
+        if (!(await claimStripeEvent(event))) {
+          console.log(`↩️ Duplicate Stripe event ${event.id} (${event.type}) skipped`);
+          return res.json({ received: true, duplicate: true });
+        }
+      } catch (err) {
+        console.error("❌ Failed to record Stripe event:", err);
+        return res.status(500).send("Webhook processing failed");
+      }
+    }
+
+    try {
+      await handleStripeEvent(event);
+      if (pool) await finishStripeEvent(event.id, HANDLED_STRIPE_EVENTS.has(event.type) ? "processed" : "ignored");
+      res.json({ received: true });
+    } catch (err) {
+      console.error("❌ Webhook handler error:", err);
+      if (pool) await finishStripeEvent(event.id, "failed", String(err?.message || err).slice(0, 2000)).catch(() => {});
+      res.status(500).send("Webhook processing failed");
+    }
+  });
+
+  return { router };
+}
@@ -0,0 +1,115 @@
+// lib/styles.js
+import express from "express";
+import fs from "fs/promises";
+
+// Named prompt presets live in styles.json. A style's `prompt` is either one
+// string or { image, sticker }; buildPrompt adds the framing, background and
+// user inputs so the route never assembles prompt text itself.
+const ORIENTATIONS = { square: 1, landscape: 3 / 2, portrait: 2 / 3 };
+const MAX_BOAT_NAME = 32;
+
+export async function loadStyles(file) {
+  const raw = JSON.parse(await fs.readFile(file, "utf8"));
+  const styles = (raw.styles || []).map((s) => {
+    if (!s.id || !s.name || !s.prompt || !["free", "pro"].includes(s.plan)) {
+      throw new Error(`Invalid style preset: ${JSON.stringify(s).slice(0, 120)}`);
+    }
+    return { ...s, modes: s.modes || ["image", "sticker"] };
+  });
+  const defaults = raw.defaults || {};
+  for (const plan of ["free", "pro"]) {
+    const style = styles.find((s) => s.id === defaults[plan]);
+    if (!style || (plan === "free" && style.plan !== "free")) throw new Error(`styles.json: bad default for ${plan}`);
+  }
+  return { defaults, backgrounds: raw.backgrounds || {}, styles };
+}
+
+export function optionsError(message, code = "INVALID_OPTIONS") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function serializeStyle(s, access) {
+  return {
+    id: s.id,
+    name: s.name,
+    description: s.description || "",
+    plan: s.plan,
+    modes: s.modes,
+    locked: s.plan === "pro" && access !== "pro",
+  };
+}
+
+// Pads the upload to the requested aspect so the model composes for it.
+export function padToOrientation(width, height, orientation) {
+  const ratio = ORIENTATIONS[orientation];
+  if (!ratio) return { x: 0, y: 0 };
+  if (width / height < ratio) return { x: Math.round((height * ratio - width) / 2), y: 0 };
+  return { x: 0, y: Math.round((width / ratio - height) / 2) };
+}
+
+export function createStyles(ctx) {
+  const { styles: STYLES } = ctx;
+  const { STICKER_CLEANUP } = ctx.config;
+  const router = express.Router();
+
+  /**
+   * Validates style + user inputs from the generate form. `access` is "pro" for
+   * Pro plans and credit-paid generations. Throws INVALID_OPTIONS or STYLE_LOCKED.
+   */
+  function parseGenerationOptions(body = {}, { mode, access }) {
+    const styleId = String(body.style || "").trim() || STYLES.defaults[access];
+    const style = STYLES.styles.find((s) => s.id === styleId);
+    if (!style) throw optionsError(`Unknown style "${styleId}"`);
+    if (!style.modes.includes(mode)) throw optionsError(`${style.name} isn't available for ${mode}s`);
+    if (style.plan === "pro" && access !== "pro") throw optionsError(`${style.name} is a Pro style`, "STYLE_LOCKED");
+
+    // Letters, digits and common hull-lettering punctuation only: it goes into the prompt verbatim.
+    const boatName = String(body.boatName || "").replace(/\s+/g, " ").trim();
+    if (boatName.length > MAX_BOAT_NAME) throw optionsError(`Boat name must be at most ${MAX_BOAT_NAME} characters`);
+    if (boatName && !/^[\p{L}\p{N} .,'&!-]+$/u.test(boatName)) throw optionsError("Boat name has unsupported characters");
+
+    const background = String(body.background || "").trim() || null;
+    if (background && !STYLES.backgrounds[background]) throw optionsError(`Unknown background "${background}"`);
+    if (background && mode === "sticker") throw optionsError("Stickers always have a transparent background");
+
+    const orientation = String(body.orientation || "").trim() || null;
+    if (orientation && !ORIENTATIONS[orientation]) throw optionsError(`Unknown orientation "${orientation}"`);
+
+    return { style, boatName: boatName || null, background, orientation };
+  }
+
+  function buildPrompt({ style, boatName, background, orientation }, mode) {
+    const parts = [typeof style.prompt === "string" ? style.prompt : style.prompt[mode] || style.prompt.image];
+    if (boatName) parts.push(`Letter the boat name "${boatName}" on the hull in clean, legible type, spelled exactly as given.`);
+    parts.push("Show the entire boat with a small margin — do not crop. Remove water, wake, reflections, people, and any background scenery. No extra elements or effects.");
+    if (orientation) parts.push(`Compose the image for a ${orientation} frame.`);
+    if (mode === "sticker") {
+      // With STICKER_POSTPROCESS on, dieCutSticker draws the white contour instead of the model.
+      if (!STICKER_CLEANUP) parts.push("Add a thick white die-cut contour around the entire silhouette so it reads as a sticker.");
+      parts.push("TRANSPARENT background.");
+    } else {
+      parts.push(background ? STYLES.backgrounds[background].prompt : style.background || STYLES.backgrounds.white?.prompt || "SOLID WHITE background.");
+    }
+    return parts.join(" ");
+  }
+
+  router.get("/styles", async (req, res) => {
+    try {
+      const user = await ctx.getAuthedUser(req).catch(() => null);
+      const access = (await ctx.getPlan(user?.id)) === "pro" ? "pro" : "free";
+      res.json({
+        defaults: STYLES.defaults,
+        styles: STYLES.styles.map((s) => serializeStyle(s, access)),
+        backgrounds: Object.entries(STYLES.backgrounds).map(([id, b]) => ({ id, label: b.label, hex: b.hex })),
+        orientations: Object.keys(ORIENTATIONS),
+      });
+    } catch (err) {
+      console.error("❌ /styles error:", err);
+      res.status(500).json({ error: "Failed to load styles" });
+    }
+  });
+
+  return { router, parseGenerationOptions, buildPrompt };
+}
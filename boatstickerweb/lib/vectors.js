@@ -0,0 +1,99 @@
+// lib/vectors.js
+import sharp from "sharp";
+import { ALPHA_ON, edgePixels, traceOutlines, loopsToPathData } from "./stickers.js";
+
+// Pro-only SVG of a stored design, traced locally. Black-and-white line
+// drawings become one black path; colour designs are quantised into flat
+// layers stacked largest-first so layer seams never show through.
+const VECTOR_VERSION = 1;
+const VECTOR_MAX_SIDE = 1024;
+export const VECTOR_MAX_COLORS = 16;
+const VECTOR_MIN_AREA = 6; // px²; smaller loops are JPEG/quantisation noise
+
+function loopArea(loop) {
+  let sum = 0;
+  for (let i = 1; i < loop.length; i++) sum += loop[i - 1][0] * loop[i][1] - loop[i][0] * loop[i - 1][1];
+  return Math.abs(sum) / 2;
+}
+
+const toHex = (r, g, b) => "#" + [r, g, b].map((c) => c.toString(16).padStart(2, "0")).join("");
+
+/**
+ * Returns SVG markup for `buffer`. `colors` forces colour mode with that many
+ * layers; otherwise near-greyscale art is traced as monochrome line art.
+ */
+export async function traceDesign(buffer, { colors } = {}) {
+  const meta = await sharp(buffer).metadata();
+  const { data, info } = await sharp(buffer)
+    .ensureAlpha()
+    .resize(VECTOR_MAX_SIDE, VECTOR_MAX_SIDE, { fit: "inside", withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width: w, height: h } = info;
+
+  let opaque = 0, chroma = 0;
+  for (let i = 0; i < w * h; i++) {
+    if (data[i * 4 + 3] < ALPHA_ON) continue;
+    const [r, g, b] = [data[i * 4], data[i * 4 + 1], data[i * 4 + 2]];
+    opaque++;
+    chroma += Math.max(r, g, b) - Math.min(r, g, b);
+  }
+  if (!opaque) throw new Error("Design has no opaque pixels to trace");
+
+  const layers = [];
+  if (!colors && chroma / opaque < 12) {
+    const mask = new Uint8Array(w * h);
+    for (let i = 0; i < w * h; i++) {
+      const lum = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+      mask[i] = data[i * 4 + 3] >= ALPHA_ON && lum < 128 ? 1 : 0;
+    }
+    layers.push({ fill: "#000000", mask });
+  } else {
+    const png = await sharp(data, { raw: { width: w, height: h, channels: 4 } })
+      .png({ palette: true, colours: colors || 8, dither: 0 })
+      .toBuffer();
+    const { data: px } = await sharp(png).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const keyAt = (i) => (px[i * 4 + 3] < ALPHA_ON ? -1 : (px[i * 4] << 16) | (px[i * 4 + 1] << 8) | px[i * 4 + 2]);
+
+    // A colour covering most of the border is the background; leave it out.
+    const border = edgePixels(w, h);
+    const borderCounts = new Map();
+    for (const i of border) borderCounts.set(keyAt(i), (borderCounts.get(keyAt(i)) || 0) + 1);
+    const [bgKey, bgCount] = [...borderCounts].sort((a, b) => b[1] - a[1])[0];
+    const background = bgKey !== -1 && bgCount > border.length / 2 ? bgKey : -1;
+
+    const counts = new Map();
+    for (let i = 0; i < w * h; i++) {
+      const k = keyAt(i);
+      if (k !== -1 && k !== background) counts.set(k, (counts.get(k) || 0) + 1);
+    }
+    const order = [...counts].sort((a, b) => b[1] - a[1]).map(([k]) => k);
+    const rank = new Map(order.map((k, j) => [k, j]));
+    const ranks = new Int16Array(w * h).fill(-1);
+    for (let i = 0; i < w * h; i++) ranks[i] = rank.get(keyAt(i)) ?? -1;
+
+    // Layer j covers its own pixels and every later layer's: no gaps between colours.
+    order.forEach((k, j) => {
+      const mask = new Uint8Array(w * h);
+      for (let i = 0; i < w * h; i++) mask[i] = ranks[i] >= j ? 1 : 0;
+      layers.push({ fill: toHex(k >> 16, (k >> 8) & 255, k & 255), mask });
+    });
+  }
+
+  const paths = layers
+    .map(({ fill, mask }) => {
+      const loops = traceOutlines(mask, w, h, 0.75).filter((l) => loopArea(l) >= VECTOR_MIN_AREA);
+      return loops.length ? `  <path fill="${fill}" fill-rule="evenodd" d="${loopsToPathData(loops)}"/>` : null;
+    })
+    .filter(Boolean);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${meta.width}" height="${meta.height}" viewBox="0 0 ${w} ${h}">
+${paths.join("\n")}
+</svg>
+`;
+}
+
+export const vectorPrefix = (designId) => `vectors/${designId}-`;
+export const vectorKey = (designId, colors) => `${vectorPrefix(designId)}v${VECTOR_VERSION}${colors ? `-c${colors}` : ""}.svg`;
+
@@ -0,0 +1,183 @@
+// migrate.js
+// Numbered SQL migrations in ./migrations ("001_baseline.sql", "002_….sql").
+// Each file runs once, in its own transaction, and is recorded in
+// schema_migrations with a checksum. A session advisory lock keeps several
+// instances booting at once from applying the same file twice.
+//
+//   npm run migrate          apply pending migrations
+//   npm run migrate:status   list applied / pending migrations
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import pkg from "pg";
+const { Pool } = pkg;
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const MIGRATION_FILE_RE = /^(\d+)_([\w-]+)\.sql$/;
+// Arbitrary constant shared by every instance; pg_advisory_lock takes a bigint.
+const MIGRATION_LOCK_ID = 7_202_411;
+
+const SCHEMA_MIGRATIONS_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INT PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at timestamptz NOT NULL DEFAULT now()
+);`;
+
+function migrationError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** Reads the migration files, sorted by version. */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir)).filter((f) => f.endsWith(".sql")).sort();
+  const seen = new Map();
+  const migrations = [];
+  for (const file of files) {
+    const m = MIGRATION_FILE_RE.exec(file);
+    if (!m) throw migrationError(`Bad migration file name: ${file} (expected NNN_name.sql)`, "MIGRATION_INVALID");
+    const version = parseInt(m[1], 10);
+    if (seen.has(version)) {
+      throw migrationError(`Migrations ${seen.get(version)} and ${file} share version ${version}`, "MIGRATION_INVALID");
+    }
+    seen.set(version, file);
+    const sql = await fs.readFile(path.join(dir, file), "utf8");
+    migrations.push({
+      version,
+      name: m[2],
+      file,
+      sql,
+      checksum: crypto.createHash("sha256").update(sql).digest("hex"),
+    });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function appliedMigrations(client) {
+  await client.query(SCHEMA_MIGRATIONS_SQL);
+  const { rows } = await client.query("SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version");
+  return new Map(rows.map((r) => [r.version, r]));
+}
+
+// Editing a file after it shipped would leave databases disagreeing about
+// what that version means; changes belong in a new file.
+function checkApplied(migrations, applied) {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  for (const row of applied.values()) {
+    const m = byVersion.get(row.version);
+    if (!m) continue; // applied by a newer release; not ours to judge
+    if (m.checksum !== row.checksum) {
+      throw migrationError(`Migration ${m.file} was modified after it was applied`, "MIGRATION_CHECKSUM");
+    }
+  }
+}
+
+/**
+ * Applies pending migrations in order and returns the ones it ran. Stops at
+ * the first failure; that file's transaction is rolled back and earlier ones
+ * stay applied.
+ */
+export async function migrate(pool, { dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  const migrations = await loadMigrations(dir);
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    try {
+      // Read after taking the lock so a peer's work is visible.
+      const applied = await appliedMigrations(client);
+      checkApplied(migrations, applied);
+      const ran = [];
+      for (const m of migrations.filter((x) => !applied.has(x.version))) {
+        const t0 = Date.now();
+        try {
+          await client.query("BEGIN");
+          await client.query(m.sql);
+          await client.query(
+            "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1,$2,$3)",
+            [m.version, m.name, m.checksum]
+          );
+          await client.query("COMMIT");
+        } catch (e) {
+          await client.query("ROLLBACK").catch(() => {});
+          e.message = `${m.file}: ${e.message}`;
+          throw e;
+        }
+        log(`⛏️ applied ${m.file} (${Date.now() - t0}ms)`);
+        ran.push(m);
+      }
+      return ran;
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID]).catch(() => {});
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/** Every known migration with whether/when it was applied. */
+export async function migrationStatus(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  const client = await pool.connect();
+  try {
+    const applied = await appliedMigrations(client);
+    const rows = migrations.map((m) => {
+      const row = applied.get(m.version);
+      return {
+        version: m.version,
+        file: m.file,
+        state: !row ? "pending" : row.checksum === m.checksum ? "applied" : "modified",
+        appliedAt: row?.applied_at || null,
+      };
+    });
+    // Versions in the database with no file here (e.g. after a rollback deploy).
+    for (const row of applied.values()) {
+      if (!migrations.some((m) => m.version === row.version)) {
+        rows.push({ version: row.version, file: `${row.name} (missing)`, state: "unknown", appliedAt: row.applied_at });
+      }
+    }
+    return rows.sort((a, b) => a.version - b.version);
+  } finally {
+    client.release();
+  }
+}
+
+// ---------- CLI ----------
+async function main(command = "up") {
+  if (!process.env.DATABASE_URL) {
+    console.error("❌ DATABASE_URL is not set");
+    return 1;
+  }
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+  try {
+    if (command === "status") {
+      const rows = await migrationStatus(pool);
+      for (const r of rows) {
+        const when = r.appliedAt ? new Date(r.appliedAt).toISOString() : "";
+        console.log(`${r.state.padEnd(8)} ${r.file.padEnd(40)} ${when}`);
+      }
+      const pending = rows.filter((r) => r.state === "pending").length;
+      console.log(pending ? `${pending} pending` : "✅ Up to date");
+      return rows.some((r) => r.state === "modified") ? 1 : 0;
+    }
+    if (command === "up") {
+      const ran = await migrate(pool);
+      console.log(ran.length ? `✅ Applied ${ran.length} migration(s)` : "✅ Up to date");
+      return 0;
+    }
+    console.error(`Unknown command "${command}" (expected "up" or "status")`);
+    return 1;
+  } catch (e) {
+    console.error("❌ Migration failed:", e.message);
+    return 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv[2]);
+}
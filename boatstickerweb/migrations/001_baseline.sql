@@ -0,0 +1,265 @@
+-- Baseline: the schema as it stood when migrations were introduced. Written
+-- with IF NOT EXISTS throughout so databases created by the old boot-time
+-- script apply it as a no-op and simply start being tracked.
+DO $do$
+BEGIN
+  BEGIN
+    CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+  EXCEPTION WHEN OTHERS THEN
+    CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+    IF NOT EXISTS (SELECT 1 FROM pg_proc WHERE proname='uuid_generate_v4') THEN
+      CREATE OR REPLACE FUNCTION uuid_generate_v4() RETURNS uuid AS $fn$
+        SELECT gen_random_uuid();
+      $fn$ LANGUAGE SQL;
+    END IF;
+  END;
+END$do$;
+
+CREATE TABLE IF NOT EXISTS users (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  email TEXT UNIQUE NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS login_tokens (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  used BOOLEAN NOT NULL DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  plan TEXT NOT NULL DEFAULT 'free' CHECK (plan IN ('free','pro')),
+  status TEXT NOT NULL DEFAULT 'inactive',
+  stripe_customer_id TEXT UNIQUE,
+  stripe_subscription_id TEXT UNIQUE,
+  current_period_end timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS generations (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL CHECK (mode IN ('image','sticker')),
+  external_id TEXT NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, external_id)
+);
+
+CREATE TABLE IF NOT EXISTS designs (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL CHECK (mode IN ('image','sticker')),
+  external_id TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  content_type TEXT NOT NULL DEFAULT 'image/png',
+  byte_size integer,
+  width integer,
+  height integer,
+  source_url TEXT,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, external_id)
+);
+CREATE INDEX IF NOT EXISTS designs_user_created_idx ON designs (user_id, created_at DESC);
+ALTER TABLE designs ADD COLUMN IF NOT EXISTS parent_id uuid REFERENCES designs(id) ON DELETE SET NULL;
+ALTER TABLE designs ADD COLUMN IF NOT EXISTS layers jsonb;
+
+CREATE TABLE IF NOT EXISTS carts (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open','ordered')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS carts_user_open_idx ON carts (user_id) WHERE user_id IS NOT NULL AND status = 'open';
+
+CREATE TABLE IF NOT EXISTS cart_items (
+  id bigserial PRIMARY KEY,
+  cart_id uuid NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  product_id TEXT NOT NULL,
+  options jsonb NOT NULL DEFAULT '{}',
+  design_id uuid REFERENCES designs(id) ON DELETE CASCADE,
+  image_url TEXT,
+  quantity integer NOT NULL CHECK (quantity BETWEEN 1 AND 100),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS cart_items_cart_idx ON cart_items (cart_id);
+
+-- What a Stripe session was created for; the webhook fulfills from this snapshot.
+CREATE TABLE IF NOT EXISTS checkout_sessions (
+  stripe_session_id TEXT PRIMARY KEY,
+  cart_id uuid REFERENCES carts(id) ON DELETE SET NULL,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  items jsonb NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS orders (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  stripe_session_id TEXT UNIQUE NOT NULL,
+  user_id uuid REFERENCES users(id) ON DELETE SET NULL,
+  email TEXT,
+  items jsonb NOT NULL,
+  shipping_name TEXT,
+  shipping_address jsonb,
+  currency TEXT,
+  amount_subtotal integer,
+  amount_shipping integer,
+  amount_total integer,
+  gooten_order_id TEXT,
+  status TEXT NOT NULL DEFAULT 'paid'
+    CHECK (status IN ('paid','submitted','in_production','shipped','delivered','cancelled','failed')),
+  gooten_status TEXT,
+  tracking jsonb NOT NULL DEFAULT '[]',
+  last_error TEXT,
+  status_synced_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS orders_user_idx ON orders (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS orders_email_idx ON orders (lower(email));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS fulfillment_attempts integer NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS next_attempt_at timestamptz;
+CREATE INDEX IF NOT EXISTS orders_retry_idx ON orders (next_attempt_at) WHERE status IN ('paid','failed');
+
+CREATE TABLE IF NOT EXISTS fulfillment_attempts (
+  id bigserial PRIMARY KEY,
+  order_id uuid NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  attempt integer NOT NULL,
+  ok boolean NOT NULL,
+  error TEXT,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS fulfillment_attempts_order_idx ON fulfillment_attempts (order_id, created_at);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stripe_payment_intent_id TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_amount integer NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS orders_payment_intent_idx ON orders (stripe_payment_intent_id);
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('paid','submitted','in_production','shipped','delivered','cancelled','failed','refunded'));
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  payload jsonb NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('processing','processed','ignored','failed')),
+  error TEXT,
+  attempts integer NOT NULL DEFAULT 1,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS stripe_events_type_idx ON stripe_events (type, received_at DESC);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user','admin'));
+-- 'comp' rows are Pro plans granted from the admin dashboard (no Stripe objects).
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'stripe' CHECK (source IN ('stripe','comp'));
+
+-- One row per /generate-image call; completed server-side (webhook or poller).
+CREATE TABLE IF NOT EXISTS jobs (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  provider TEXT NOT NULL,
+  external_id TEXT NOT NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('image','sticker')),
+  status TEXT NOT NULL DEFAULT 'starting'
+    CHECK (status IN ('starting','processing','succeeded','failed','canceled')),
+  output_url TEXT,
+  design_id uuid REFERENCES designs(id) ON DELETE SET NULL,
+  error TEXT,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  UNIQUE (provider, external_id)
+);
+CREATE INDEX IF NOT EXISTS jobs_active_idx ON jobs (updated_at) WHERE status IN ('starting','processing');
+CREATE INDEX IF NOT EXISTS jobs_user_idx ON jobs (user_id, created_at DESC);
+
+-- One row per generation charged against a quota; refunded when the job fails.
+CREATE TABLE IF NOT EXISTS usage_events (
+  id bigserial PRIMARY KEY,
+  user_id uuid REFERENCES users(id) ON DELETE CASCADE,
+  device_id TEXT,
+  ip_bucket TEXT,
+  plan TEXT NOT NULL,
+  job_id uuid REFERENCES jobs(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  refunded_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS usage_events_user_idx ON usage_events (user_id, created_at) WHERE refunded_at IS NULL;
+CREATE INDEX IF NOT EXISTS usage_events_device_idx ON usage_events (device_id, created_at) WHERE refunded_at IS NULL;
+CREATE INDEX IF NOT EXISTS usage_events_ip_idx ON usage_events (ip_bucket, created_at) WHERE refunded_at IS NULL;
+CREATE INDEX IF NOT EXISTS usage_events_job_idx ON usage_events (job_id);
+
+-- Generation credits ledger: balance = SUM(delta). Purchases are unique per
+-- Stripe session; a refund row points at the spend it reverses.
+CREATE TABLE IF NOT EXISTS credits (
+  id bigserial PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  delta INT NOT NULL,
+  reason TEXT NOT NULL CHECK (reason IN ('purchase','spend','refund')),
+  pack_id TEXT,
+  stripe_session_id TEXT UNIQUE,
+  job_id uuid REFERENCES jobs(id) ON DELETE SET NULL,
+  refund_of BIGINT UNIQUE REFERENCES credits(id),
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS credits_user_idx ON credits (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS credits_job_idx ON credits (job_id) WHERE reason = 'spend';
+
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS cancel_at_period_end BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS billing_interval TEXT;
+
+-- "This subscription was paid with my other email": verified by a link sent
+-- to the paying address, then the subscription moves to the requesting user.
+CREATE TABLE IF NOT EXISTS subscription_claims (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  to_user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  from_email TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  used BOOLEAN NOT NULL DEFAULT false
+);
+
+-- Print-ready renders sent to Gooten, keyed by a hash of source + product spec.
+CREATE TABLE IF NOT EXISTS print_files (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  storage_key TEXT NOT NULL UNIQUE,
+  product_id TEXT NOT NULL,
+  design_id uuid REFERENCES designs(id) ON DELETE SET NULL,
+  width INT NOT NULL,
+  height INT NOT NULL,
+  dpi INT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('ready','flagged','rejected')),
+  issues JSONB NOT NULL DEFAULT '[]',
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS print_files_status_idx ON print_files (status, created_at DESC);
+
+-- One upload, several candidate jobs; the preprocessed input is kept for regeneration.
+CREATE TABLE IF NOT EXISTS generation_batches (
+  id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL CHECK (mode IN ('image','sticker')),
+  options JSONB NOT NULL DEFAULT '{}',
+  input_key TEXT NOT NULL,
+  selected_job_id uuid,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS generation_batches_user_idx ON generation_batches (user_id, created_at DESC);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS batch_id uuid REFERENCES generation_batches(id) ON DELETE SET NULL;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS variant INT NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS jobs_batch_idx ON jobs (batch_id, variant) WHERE batch_id IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Paid orders whose Stripe-collected address can't be shipped as-is wait here
+-- for a corrected address (POST /admin/orders/:id/address) instead of failing.
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check
+  CHECK (status IN ('paid','submitted','in_production','shipped','delivered','cancelled','failed','refunded','needs_address'));
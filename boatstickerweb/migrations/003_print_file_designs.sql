@@ -0,0 +1,13 @@
+-- Print files are keyed by artwork, so designs with identical artwork share
+-- one. Every design using a file is recorded here; deleting a design only
+-- removes the files no other design still uses.
+CREATE TABLE IF NOT EXISTS print_file_designs (
+  storage_key TEXT NOT NULL REFERENCES print_files(storage_key) ON DELETE CASCADE,
+  design_id uuid NOT NULL REFERENCES designs(id) ON DELETE CASCADE,
+  PRIMARY KEY (storage_key, design_id)
+);
+CREATE INDEX IF NOT EXISTS print_file_designs_design_idx ON print_file_designs (design_id);
+
+INSERT INTO print_file_designs (storage_key, design_id)
+SELECT storage_key, design_id FROM print_files WHERE design_id IS NOT NULL
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,30 @@
+// Shipping destination fields shared by buy.html and cart.html. Fills
+// <select id="country"> from /shipping/countries and adapts #zip to the chosen
+// country's rules; onChange(country) runs after each change. The full address
+// is collected by Stripe on the payment page.
+async function setupAddressForm({ onChange } = {}) {
+  const countrySelect = document.getElementById('country');
+  const zipLabel = document.querySelector('label[for="zip"]');
+
+  const r = await fetch('/shipping/countries');
+  const { countries = [] } = await r.json();
+  countries.forEach(c => countrySelect.add(new Option(c.name, c.code)));
+  const fromLocale = (navigator.language || '').split('-')[1];
+  const has = code => countries.some(c => c.code === code);
+  countrySelect.value = has(fromLocale) ? fromLocale : has('US') ? 'US' : (countries[0]?.code || '');
+
+  function apply() {
+    const country = countries.find(c => c.code === countrySelect.value);
+    if (!country) return;
+
+    const zip = document.getElementById('zip');
+    zipLabel.hidden = country.postal === 'none';
+    zip.required = country.postal === 'required';
+    if (country.postal === 'none') zip.value = '';
+    zipLabel.firstChild.textContent = country.postalLabel + (country.postal === 'optional' ? ' (optional): ' : ': ');
+
+    if (onChange) onChange(country);
+  }
+  countrySelect.addEventListener('change', apply);
+  apply();
+}
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { splitName, shippingFromSession, shippingProblem, toGootenAddress } from "../lib/addresses.js";
+
+test("full names are split into first and last names", () => {
+  for (const [input, first, last] of [
+    ["Ada Lovelace", "Ada", "Lovelace"],
+    ["  Ada   King  Lovelace ", "Ada King", "Lovelace"],
+    ["Lovelace, Ada", "Ada", "Lovelace"],
+    ["Ludwig van Beethoven", "Ludwig", "van Beethoven"],
+    ["María de la Cruz", "María", "de la Cruz"],
+    ["Dr. Mary Ann Smith Jr.", "Mary Ann", "Smith Jr."],
+    ["Martin Luther King, Jr.", "Martin Luther", "King Jr."],
+    ["Cher", "Cher", ""],
+  ]) {
+    assert.deepEqual(splitName(input), { first, last }, input);
+  }
+  assert.equal(splitName("  "), null);
+  assert.equal(splitName(null), null);
+});
+
+test("Stripe's shipping details become a Gooten address, or fail instead of guessing", () => {
+  const shipping = shippingFromSession({
+    customer_details: { name: "Card Holder", phone: "+44 20 7946 0000" },
+    shipping_details: { name: "Ada Lovelace", address: { line1: "10 Downing St", city: "London", postal_code: "sw1a2aa", country: "GB" } },
+  });
+  assert.equal(shipping.name, "Ada Lovelace", "the recipient, not the card holder");
+
+  assert.deepEqual(toGootenAddress(shipping, "ada@example.com"), {
+    FirstName: "Ada",
+    LastName: "Lovelace",
+    Line1: "10 Downing St",
+    Line2: "",
+    City: "London",
+    State: "",
+    CountryCode: "GB",
+    PostalCode: "SW1A 2AA",
+    Phone: "+44 20 7946 0000",
+    Email: "ada@example.com",
+  });
+
+  const fails = (changes, field) => assert.throws(
+    () => toGootenAddress({ ...shipping, ...changes }, "ada@example.com"),
+    (e) => e.code === "INVALID_ADDRESS" && e.meta.field === field
+  );
+  fails({ phone: null }, "phone");
+  fails({ phone: "0" }, "phone");
+  fails({ name: " " }, "name");
+  fails({ name: "Cher" }, "name");
+  fails({ postal_code: "nope" }, "postal_code");
+});
+
+test("a collected address outside the quoted postcode is a problem", () => {
+  const shipping = {
+    name: "Ada Lovelace", line1: "1 Harbor Rd", city: "Portland", state: "ME", postal_code: "04101-1234", country: "US", phone: "+1 555 0100",
+  };
+  assert.equal(shippingProblem(shipping, "ada@example.com", "04101"), null, "ZIP+4 is the same ZIP");
+  assert.equal(shippingProblem(shipping, "ada@example.com"), null);
+  assert.match(shippingProblem(shipping, "ada@example.com", "96815"), /paid for postcode 96815, but the address is in 04101-1234/);
+  const irish = { ...shipping, city: "Galway", state: null, postal_code: null, country: "IE" };
+  assert.match(shippingProblem(irish, "ada@example.com", "04101"), /paid for postcode 04101, but the address has none/);
+  assert.equal(shippingProblem({ ...shipping, phone: "" }, "ada@example.com", "04101"), "Recipient phone number is missing");
+});
@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { buildApp, startFake, fakeStripeClient, signIn } from "./helpers.js";
+
+async function setup(t) {
+  const stripeApi = await startFake({
+    "POST /v1/refunds": ({ raw }) => {
+      const params = new URLSearchParams(raw);
+      return [200, { id: "re_1", object: "refund", status: "succeeded", amount: Number(params.get("amount") || 1200) }];
+    },
+  });
+  const built = await buildApp({ stripe: fakeStripeClient(stripeApi), env: { ADMIN_EMAILS: "Ops@Example.com" } });
+  t.after(async () => { await built.cleanup(); await stripeApi.close(); });
+  const admin = await signIn(built.app, built.mail, "ops@example.com");
+  return { ...built, stripeApi, admin };
+}
+
+test("admin routes need an admin, and ADMIN_EMAILS grants the role on sign-in", async (t) => {
+  const { app, mail, pool, admin } = await setup(t);
+  const skipper = await signIn(app, mail, "skipper@example.com");
+
+  for (const [method, url] of [
+    ["get", "/admin/orders"],
+    ["get", "/admin/subscriptions"],
+    ["get", "/debug/gooten-variants?product=sticker-small"],
+    ["post", "/admin/orders/00000000-0000-4000-8000-000000000000/refund"],
+  ]) {
+    await request(app)[method](url).expect(401);
+    await request(app)[method](url).set("Cookie", skipper).expect(403);
+  }
+  const { rows } = await pool.query("SELECT email, role FROM users ORDER BY email");
+  assert.deepEqual(rows, [{ email: "ops@example.com", role: "admin" }, { email: "skipper@example.com", role: "user" }]);
+  await request(app).get("/admin/orders").set("Cookie", admin).expect(200);
+  await request(app).get("/admin.html").expect(200).expect("Content-Type", /html/);
+});
+
+test("admin listings filter and paginate", async (t) => {
+  const { app, pool, admin } = await setup(t);
+  for (const [session, email, status] of [
+    ["cs_1", "one@example.com", "submitted"],
+    ["cs_2", "two@example.com", "failed"],
+    ["cs_3", "three@example.com", "submitted"],
+  ]) {
+    await pool.query("INSERT INTO orders (stripe_session_id, email, items, status) VALUES ($1,$2,'[]',$3)", [session, email, status]);
+  }
+
+  const submitted = await request(app).get("/admin/orders?status=submitted").set("Cookie", admin).expect(200);
+  assert.equal(submitted.body.total, 2);
+  assert.deepEqual(submitted.body.orders.map((o) => o.email).sort(), ["one@example.com", "three@example.com"]);
+
+  const page = await request(app).get("/admin/orders?limit=1&offset=1").set("Cookie", admin).expect(200);
+  assert.deepEqual([page.body.total, page.body.limit, page.body.offset, page.body.orders.length], [3, 1, 1, 1]);
+
+  const search = await request(app).get("/admin/orders?q=TWO").set("Cookie", admin).expect(200);
+  assert.deepEqual(search.body.orders.map((o) => o.stripeSessionId), ["cs_2"]);
+});
+
+// comp-pro isn't covered: pg-mem can't parse make_interval(days => $2).
+
+test("admins refund orders through Stripe", async (t) => {
+  const { app, pool, admin, stripeApi } = await setup(t);
+  const { rows: [paid] } = await pool.query(
+    "INSERT INTO orders (stripe_session_id, stripe_payment_intent_id, email, items, status) VALUES ('cs_r','pi_r','r@example.com','[]','submitted') RETURNING id"
+  );
+  const { rows: [free] } = await pool.query(
+    "INSERT INTO orders (stripe_session_id, email, items, status) VALUES ('cs_free','f@example.com','[]','submitted') RETURNING id"
+  );
+
+  await request(app).post(`/admin/orders/${paid.id}/refund`).set("Cookie", admin).send({ amount: -5 }).expect(400);
+  const res = await request(app).post(`/admin/orders/${paid.id}/refund`).set("Cookie", admin).send({ amount: 500 }).expect(200);
+  assert.deepEqual(res.body.refund, { id: "re_1", status: "succeeded", amount: 500 });
+  const params = new URLSearchParams(stripeApi.requests.at(-1).raw);
+  assert.equal(params.get("payment_intent"), "pi_r");
+  assert.equal(params.get("metadata[orderId]"), paid.id);
+
+  await request(app).post(`/admin/orders/${free.id}/refund`).set("Cookie", admin).expect(409);
+  await request(app).post("/admin/orders/00000000-0000-4000-8000-000000000000/refund").set("Cookie", admin).expect(404);
+  assert.equal(stripeApi.requests.length, 1);
+});
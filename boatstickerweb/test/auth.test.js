@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { buildApp } from "./helpers.js";
+
+test("magic link: send, verify, session, sign out", async (t) => {
+  const { app, mail, pool, cleanup } = await buildApp();
+  t.after(cleanup);
+
+  await request(app).post("/auth/send-link").send({ email: "nope" }).expect(400);
+
+  await request(app).post("/auth/send-link").send({ email: "Skipper@Example.com" }).expect(200, { ok: true });
+  assert.equal(mail.length, 1);
+  assert.equal(mail[0].to, "skipper@example.com");
+  const link = mail[0].html.match(/href="([^"]+)"/)[1];
+  const url = new URL(link);
+  assert.equal(url.origin, "http://app.test");
+  assert.equal(url.pathname, "/auth/verify");
+
+  const verified = await request(app).get(url.pathname + url.search).expect(302);
+  assert.equal(verified.headers.location, "http://app.test/index.html?login=ok");
+  const cookie = verified.headers["set-cookie"].find((c) => c.startsWith("sid="));
+  assert.ok(cookie, "session cookie set");
+
+  const session = await request(app).get("/auth/session").set("Cookie", cookie).expect(200);
+  assert.deepEqual(session.body, { user: { email: "skipper@example.com" } });
+
+  // Tokens are single-use.
+  await request(app).get(url.pathname + url.search).expect(400);
+
+  await request(app).post("/auth/signout").set("Cookie", cookie).expect(200);
+  const after = await request(app).get("/auth/session").set("Cookie", cookie).expect(200);
+  assert.deepEqual(after.body, { user: null });
+  const { rows } = await pool.query("SELECT count(*)::int AS n FROM sessions");
+  assert.equal(rows[0].n, 0);
+});
+
+test("magic link: unknown or expired token is rejected", async (t) => {
+  const { app, cleanup } = await buildApp();
+  t.after(cleanup);
+  await request(app).get("/auth/verify").expect(400);
+  await request(app).get("/auth/verify?token=not-a-real-token").expect(400);
+  const session = await request(app).get("/auth/session").expect(200);
+  assert.deepEqual(session.body, { user: null });
+});
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import sharp from "sharp";
+import request from "supertest";
+import { buildApp, startFake, fakeStripeClient, signStripeEvent } from "./helpers.js";
+import { loadCatalog } from "../lib/catalog.js";
+
+// Gooten stand-in selling stickers (product 1001) and navy/white tees (2002)
+// with a flat standard rate; Stripe and the artwork host are fakes too.
+async function setup(t) {
+  const gooten = await startFake({
+    "GET /productvariants/": ({ query }) => [200, {
+      ProductVariants: query.productid === "2002"
+        ? [{ Sku: "Tee-Navy-M", Name: "Navy / M", IsEnabled: true }, { Sku: "Tee-White-M", Name: "White / M", IsEnabled: true }]
+        : [{ Sku: "StickerDieCut-300x400-1Pack-Single", Name: "Die cut 3x4", IsEnabled: true }],
+    }],
+    "POST /shippingprices/": ({ body }) => [200, {
+      Result: [{
+        SKUs: body.Items.map((i) => i.SKU),
+        ShipOptions: [{ MethodType: "Standard", Name: "Standard shipping", Price: { Price: 9.5, CurrencyCode: body.CurrencyCode }, EstBusinessDaysTilDelivery: 7 }],
+      }],
+    }],
+    "POST /orders/": () => [201, { Id: "GTN-2001" }],
+  });
+  const art = await sharp({ create: { width: 1200, height: 1600, channels: 3, background: "#1f2b48" } }).png().toBuffer();
+  const assets = await startFake({ "GET /art.png": () => [200, art, "image/png"] });
+  const stripeApi = await startFake({
+    "POST /v1/checkout/sessions": () => [200, { id: "cs_cart_1", object: "checkout.session", url: "https://checkout.test/cs_cart_1" }],
+  });
+  const stripe = fakeStripeClient(stripeApi);
+  const catalog = await loadCatalog(path.join(process.cwd(), "catalog.json"), {
+    GOOTEN_PRODUCT_ID_STICKER_SMALL: "1001",
+    GOOTEN_PRODUCT_ID_TSHIRT: "2002",
+  });
+  const built = await buildApp({
+    stripe,
+    catalog,
+    env: { GOOTEN_API_URL: gooten.url, GOOTEN_RECIPE_ID: "recipe-test", GOOTEN_PARTNER_BILLING_KEY: "billing-test", GOOTEN_TEST_MODE: "true" },
+  });
+  t.after(async () => {
+    await built.cleanup();
+    await Promise.all([gooten.close(), assets.close(), stripeApi.close()]);
+  });
+  return { ...built, catalog, stripe, stripeApi, gooten, art: `${assets.url}/art.png` };
+}
+
+const cookieFrom = (res, name) => res.headers["set-cookie"]?.find((c) => c.startsWith(`${name}=`))?.split(";")[0];
+
+test("an anonymous cart is edited through its cookie and merged into the account on sign-in", async (t) => {
+  const { app, catalog, mail, pool, art } = await setup(t);
+  const sticker = { productId: "sticker-small", imageUrl: art, quantity: 20 };
+
+  const empty = await request(app).get("/cart").expect(200);
+  assert.deepEqual(empty.body.cart, { id: null, items: [], subtotal: 0, currency: catalog.currency });
+
+  const added = await request(app).post("/cart/items").send(sticker).expect(201);
+  const cart = cookieFrom(added, "cart_id");
+  assert.ok(cart, "anonymous carts live in a cookie");
+  await request(app).post("/cart/items").set("Cookie", cart).send({ ...sticker, quantity: 5 }).expect(201);
+  const withShirt = await request(app).post("/cart/items").set("Cookie", cart)
+    .send({ productId: "tshirt", options: { size: "M", color: "Navy" }, imageUrl: art, quantity: 2 }).expect(201);
+
+  const [stickers, shirts] = withShirt.body.cart.items;
+  assert.equal(withShirt.body.cart.items.length, 2, "the same sticker again only adds to its quantity");
+  assert.equal(stickers.quantity, 25);
+  assert.deepEqual(shirts.options, { size: "M", color: "Navy" });
+  const price = (id) => catalog.products.find((p) => p.id === id).price;
+  assert.equal(withShirt.body.cart.subtotal, 25 * price("sticker-small") + 2 * price("tshirt"));
+
+  const cad = await request(app).get("/cart?country=CA").set("Cookie", cart).expect(200);
+  assert.equal(cad.body.cart.currency, "cad");
+
+  await request(app).post("/cart/items").set("Cookie", cart).send({ productId: "tshirt", options: { size: "XXS", color: "Navy" }, imageUrl: art }).expect(400);
+  await request(app).patch(`/cart/items/${stickers.id}`).set("Cookie", cart).send({ quantity: 0 }).expect(400);
+  const updated = await request(app).patch(`/cart/items/${stickers.id}`).set("Cookie", cart).send({ quantity: 10 }).expect(200);
+  assert.equal(updated.body.cart.items[0].quantity, 10);
+  await request(app).patch(`/cart/items/${stickers.id}`).send({ quantity: 3 }).expect(404);
+  await request(app).delete(`/cart/items/${shirts.id}`).set("Cookie", cart).expect(200);
+
+  await request(app).post("/auth/send-link").send({ email: "club@example.com" }).expect(200);
+  const link = new URL(mail.at(-1).html.match(/href="([^"]+)"/)[1]);
+  const verified = await request(app).get(link.pathname + link.search).set("Cookie", cart).expect(302);
+  const sid = cookieFrom(verified, "sid");
+
+  const mine = await request(app).get("/cart").set("Cookie", sid).expect(200);
+  assert.equal(mine.body.cart.items.length, 1);
+  assert.equal(mine.body.cart.items[0].quantity, 10);
+  const { rows } = await pool.query("SELECT c.user_id FROM carts c JOIN users u ON u.id=c.user_id WHERE u.email='club@example.com'");
+  assert.equal(rows.length, 1);
+});
+
+test("a cart checks out as one Stripe session and one Gooten order with every item", async (t) => {
+  const { app, ctx, pool, stripe, stripeApi, gooten, art } = await setup(t);
+
+  await request(app).post("/cart/checkout").send({ email: "club@example.com", shipTo: { postal_code: "04101", country: "US" } }).expect(400);
+  const added = await request(app).post("/cart/items").send({ productId: "sticker-small", imageUrl: art, quantity: 20 }).expect(201);
+  const cart = cookieFrom(added, "cart_id");
+  await request(app).post("/cart/items").set("Cookie", cart)
+    .send({ productId: "tshirt", options: { size: "M", color: "Navy" }, imageUrl: art, quantity: 3 }).expect(201);
+
+  const res = await request(app).post("/cart/checkout").set("Cookie", cart)
+    .send({ email: "club@example.com", shipTo: { postal_code: "04101", country: "US" } }).expect(200);
+  assert.equal(res.body.url, "https://checkout.test/cs_cart_1");
+  const params = Object.fromEntries(new URLSearchParams(stripeApi.requests.at(-1).raw));
+  assert.equal(params["line_items[0][quantity]"], "20");
+  assert.equal(params["line_items[1][quantity]"], "3");
+  assert.equal(params["line_items[1][price_data][product_data][name]"], "Unisex T-Shirt (M / Navy)");
+  assert.equal(params["shipping_options[0][shipping_rate_data][fixed_amount][amount]"], "950");
+  assert.equal(params.cancel_url, "http://app.test/cart.html");
+  const cartId = params["metadata[cartId]"];
+  assert.ok(cartId);
+
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_cart_1",
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id: "cs_cart_1",
+        object: "checkout.session",
+        mode: "payment",
+        amount_total: 20000,
+        customer_details: { email: "club@example.com", name: "Harbor Club", phone: "+1 555 0100" },
+        shipping_details: { name: "Harbor Club", address: { line1: "1 Harbor Rd", city: "Portland", state: "ME", postal_code: "04101", country: "US" } },
+        metadata: { cartId, shipPostal: "04101" },
+      },
+    },
+  });
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  await ctx.retryDueFulfillments();
+
+  const orders = gooten.requests.filter((r) => r.path === "/orders/");
+  assert.equal(orders.length, 1);
+  assert.deepEqual(
+    orders[0].body.Items.map((i) => [i.SKU, i.Quantity]),
+    [["StickerDieCut-300x400-1Pack-Single", 20], ["Tee-Navy-M", 3]]
+  );
+  const { rows: [carted] } = await pool.query("SELECT status FROM carts WHERE id=$1", [cartId]);
+  assert.equal(carted.status, "ordered");
+  const after = await request(app).get("/cart").set("Cookie", cart).expect(200);
+  assert.deepEqual(after.body.cart.items, [], "a paid cart isn't reused");
+});
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { loadCatalog, resolveProductOptions } from "../lib/catalog.js";
+import { createGootenClient } from "../lib/gooten.js";
+import { startFake } from "./helpers.js";
+
+const CATALOG = path.join(process.cwd(), "catalog.json");
+
+async function writeCatalog(t, raw) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "catalog-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "catalog.json");
+  await fs.writeFile(file, JSON.stringify(raw));
+  return file;
+}
+
+test("the catalog takes Gooten ids and SKUs from the environment", async () => {
+  const catalog = await loadCatalog(CATALOG, { GOOTEN_PRODUCT_ID_TSHIRT: "2002", GOOTEN_SKU_MUG_11OZ: " Mug-11oz-White ", GOOTEN_STICKER_SKU: "Legacy-Sku" });
+  const byId = Object.fromEntries(catalog.products.map((p) => [p.id, p]));
+  assert.equal(byId.tshirt.gootenProductId, "2002");
+  assert.equal(byId["mug-11oz"].preferredSku, "Mug-11oz-White");
+  assert.equal(byId[catalog.defaultProductId].preferredSku, "Legacy-Sku", "the old sticker override still applies to the default product");
+  assert.ok(catalog.products.length > 1);
+});
+
+test("invalid products and options are rejected", async (t) => {
+  await assert.rejects(loadCatalog(await writeCatalog(t, { products: [{ id: "x", name: "X", price: 9.99 }] })), /Invalid catalog product/);
+  await assert.rejects(loadCatalog(await writeCatalog(t, { currencies: { jpy: 150 }, products: [] })), /Invalid catalog currency "jpy"/);
+
+  const { products } = await loadCatalog(CATALOG, {});
+  const shirt = products.find((p) => p.id === "tshirt");
+  assert.deepEqual(resolveProductOptions(shirt, { size: "M", color: "Navy", extra: "ignored" }), { size: "M", color: "Navy" });
+  assert.throws(() => resolveProductOptions(shirt, { size: "M" }), { code: "INVALID_PRODUCT", message: /"color" is required/ });
+  assert.throws(() => resolveProductOptions(shirt, { size: "XXS", color: "Navy" }), { code: "INVALID_PRODUCT", message: /unsupported size "XXS"/ });
+});
+
+test("an option combination maps to the Gooten variant its rule describes", async (t) => {
+  const fake = await startFake({
+    "GET /productvariants/": () => [200, {
+      ProductVariants: [
+        { Sku: "Tee-White-M", Name: "White / M", IsEnabled: true },
+        { Sku: "Tee-Navy-S", Name: "Navy / S", IsEnabled: true },
+        { Sku: "Tee-Navy-M", Name: "Navy / M", IsEnabled: true },
+      ],
+    }],
+  });
+  t.after(() => fake.close());
+  const { products } = await loadCatalog(CATALOG, { GOOTEN_PRODUCT_ID_TSHIRT: "2002" });
+  const shirt = products.find((p) => p.id === "tshirt");
+  const gooten = createGootenClient({ recipeId: "r1", apiUrl: fake.url });
+
+  assert.equal(await gooten.pickSkuForCountry({ product: shirt, options: { size: "M", color: "Navy" }, countryCode: "US" }), "Tee-Navy-M");
+  await assert.rejects(
+    gooten.pickSkuForCountry({ product: shirt, options: { size: "XL", color: "Black" }, countryCode: "US" }),
+    { code: "VARIANT_UNAVAILABLE" }
+  );
+});
@@ -0,0 +1,126 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import request from "supertest";
+import { buildApp, startFake, fakeStripeClient } from "./helpers.js";
+import { loadCatalog } from "../lib/catalog.js";
+
+// Gooten sells the sticker everywhere but Australia and quotes standard and
+// expedited shipping in the requested currency; `state.down` fails the quote.
+async function setup(t, env = {}) {
+  const state = { down: false };
+  const gooten = await startFake({
+    "GET /productvariants/": ({ query }) => [200, {
+      ProductVariants: [{ Sku: "StickerDieCut-300x400-1Pack-Single", Name: "Die cut 3x4", IsEnabled: query.countrycode !== "AU" }],
+    }],
+    "POST /shippingprices/": ({ body }) => state.down ? [503, { Message: "maintenance" }] : [200, {
+      Result: [{
+        SKUs: body.Items.map((i) => i.SKU),
+        ShipOptions: [
+          { MethodType: "Expedited", Name: "Express", Price: { Price: 19.5, CurrencyCode: body.CurrencyCode }, EstBusinessDaysTilDelivery: 3 },
+          { MethodType: "Standard", Name: "Standard shipping", Price: { Price: body.ShipToCountry === "CA" ? 8.25 : 4.99, CurrencyCode: body.CurrencyCode }, EstBusinessDaysTilDelivery: 7 },
+        ],
+      }],
+    }],
+  });
+  const stripeApi = await startFake({
+    "POST /v1/checkout/sessions": () => [200, { id: "cs_test_1", object: "checkout.session", url: "https://checkout.test/cs_test_1" }],
+  });
+  const catalog = await loadCatalog(path.join(process.cwd(), "catalog.json"), { GOOTEN_PRODUCT_ID_STICKER_SMALL: "1001" });
+  const built = await buildApp({
+    stripe: fakeStripeClient(stripeApi),
+    catalog,
+    env: { GOOTEN_API_URL: gooten.url, GOOTEN_RECIPE_ID: "recipe-test", ...env },
+  });
+  t.after(async () => {
+    await built.cleanup();
+    await Promise.all([gooten.close(), stripeApi.close()]);
+  });
+  return { ...built, catalog, gooten, stripeApi, state };
+}
+
+const HALIFAX = { postal_code: "b3h1a1", country: "Canada" };
+const PORTLAND = { postal_code: "04101", country: "US" };
+
+const buyNow = (shipTo) => ({
+  email: "buyer@example.com",
+  shipTo,
+  productId: "sticker-small",
+  imageUrl: "https://cdn.example.com/art.png",
+});
+
+const sessionParams = (stripeApi) => Object.fromEntries(new URLSearchParams(stripeApi.requests.at(-1).raw));
+
+test("buy-now checkout charges Gooten's standard shipping for the buyer's country, in its currency", async (t) => {
+  const { app, catalog, gooten, stripeApi } = await setup(t);
+
+  const res = await request(app).post("/create-checkout-session").send(buyNow(HALIFAX)).expect(200);
+  assert.equal(res.body.url, "https://checkout.test/cs_test_1");
+
+  const quote = gooten.requests.find((r) => r.path === "/shippingprices/");
+  assert.equal(quote.query.recipeid, "recipe-test");
+  assert.equal(quote.body.ShipToCountry, "CA");
+  assert.equal(quote.body.ShipToPostalCode, "B3H 1A1");
+  assert.equal(quote.body.CurrencyCode, "CAD");
+  assert.deepEqual(quote.body.Items, [{ SKU: "StickerDieCut-300x400-1Pack-Single", Quantity: 1 }]);
+
+  const params = sessionParams(stripeApi);
+  const small = catalog.products.find((p) => p.id === "sticker-small");
+  assert.equal(params["line_items[0][price_data][currency]"], "cad");
+  assert.equal(params["line_items[0][price_data][unit_amount]"], String(Math.round(small.price * catalog.currencies.cad)));
+  assert.equal(params["shipping_address_collection[allowed_countries][0]"], "CA");
+  assert.equal(params["shipping_address_collection[allowed_countries][1]"], undefined);
+  assert.equal(params["shipping_options[0][shipping_rate_data][type]"], "fixed_amount");
+  assert.equal(params["shipping_options[0][shipping_rate_data][fixed_amount][amount]"], "825");
+  assert.equal(params["shipping_options[0][shipping_rate_data][fixed_amount][currency]"], "cad");
+  assert.equal(params["shipping_options[0][shipping_rate_data][display_name]"], "Standard shipping");
+  assert.equal(params["shipping_options[0][shipping_rate_data][delivery_estimate][maximum][value]"], "7");
+  assert.equal(params["shipping_options[1][shipping_rate_data][type]"], undefined, "only the method orders ship with is offered");
+  assert.equal(params.cancel_url, "http://app.test/buy.html");
+  assert.equal(params["phone_number_collection[enabled]"], "true");
+  assert.equal(params["metadata[buyerName]"], undefined, "Stripe collects the name and address");
+  assert.equal(params["metadata[shipPostal]"], "B3H 1A1", "the webhook checks the address against the quoted postcode");
+});
+
+test("checkout is refused for bad destinations and places we can't ship to", async (t) => {
+  const { app, stripeApi, state } = await setup(t, { SHIP_COUNTRIES: "US,CA,AU,GB" });
+  const post = (shipTo) => request(app).post("/create-checkout-session").send(buyNow(shipTo));
+
+  const unknown = await post({ ...PORTLAND, country: "Atlantis" }).expect(400);
+  assert.match(unknown.body.error, /Unrecognized country "Atlantis"/);
+  const zip = await post({ ...PORTLAND, postal_code: "4101" }).expect(400);
+  assert.equal(zip.body.field, "postal_code");
+  const noZip = await post({ country: "GB" }).expect(400);
+  assert.equal(noZip.body.field, "postal_code");
+
+  const notOffered = await post({ postal_code: "29200", country: "France" }).expect(400);
+  assert.match(notOffered.body.error, /don't ship to France/);
+  const notSold = await post({ postal_code: "7000", country: "Australia" }).expect(400);
+  assert.match(notSold.body.error, /isn't available in Australia/);
+
+  state.down = true;
+  const down = await post(PORTLAND).expect(502);
+  assert.match(down.body.error, /Couldn't price shipping to United States/);
+  assert.equal(stripeApi.requests.length, 0, "no Stripe session without a shipping rate");
+});
+
+test("shipping countries and availability come from config and Gooten's variants", async (t) => {
+  const { app } = await setup(t, { SHIP_COUNTRIES: "gb, Australia ,US" });
+
+  const { body } = await request(app).get("/shipping/countries").expect(200);
+  assert.deepEqual(body.countries.map((c) => [c.code, c.currency]), [["AU", "aud"], ["GB", "gbp"], ["US", "usd"]]);
+  const us = body.countries.find((c) => c.code === "US");
+  assert.equal(us.postal, "required");
+  assert.equal(us.stateRequired, true);
+  assert.equal(us.states.ME, "Maine");
+
+  const gb = await request(app).get("/shipping/availability?country=UK&productId=sticker-small").expect(200);
+  assert.equal(gb.body.available, true);
+  assert.equal(gb.body.currency, "gbp");
+  const au = await request(app).get("/shipping/availability?country=AUS&productId=sticker-small").expect(200);
+  assert.equal(au.body.available, false);
+  await request(app).get("/shipping/availability?country=Narnia&productId=sticker-small").expect(400);
+
+  const products = await request(app).get("/products?country=GB").expect(200);
+  assert.ok(products.body.products.every((p) => p.currency === "gbp"));
+});
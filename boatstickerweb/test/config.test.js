@@ -0,0 +1,10 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadConfig } from "../lib/config.js";
+
+test("production refuses to boot without a secret for signed links", () => {
+  assert.throws(() => loadConfig({ NODE_ENV: "production" }), /SESSION_SECRET is required in production/);
+  assert.equal(loadConfig({ NODE_ENV: "production", SESSION_SECRET: "s3cret" }).URL_SIGNING_SECRET, "s3cret");
+  // Development still boots, with links that only last until a restart.
+  assert.match(loadConfig({}).URL_SIGNING_SECRET, /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { COUNTRIES, lookupCountry, normalizeCountryCode, validateAddress } from "../lib/countries.js";
+
+test("countries are found by code, name or common alias", () => {
+  assert.equal(COUNTRIES.length, 249);
+  for (const [input, code] of [
+    ["gb", "GB"], ["GBR", "GB"], ["United Kingdom", "GB"], ["UK", "GB"], ["England", "GB"],
+    ["u.s.a.", "US"], ["United States of America", "US"], ["the netherlands", "NL"], ["Holland", "NL"],
+    ["Deutschland", "DE"], ["Côte d’Ivoire", "CI"], ["Ivory Coast", "CI"], ["Åland Islands", "AX"], [" australia ", "AU"],
+  ]) {
+    assert.equal(lookupCountry(input)?.code, code, input);
+  }
+  assert.equal(lookupCountry("Atlantis"), null);
+  assert.equal(lookupCountry("XX"), null);
+  assert.throws(() => normalizeCountryCode("Atlantis"), { code: "INVALID_COUNTRY" });
+  assert.throws(() => normalizeCountryCode(""), { code: "INVALID_COUNTRY", message: "Country is required" });
+});
+
+test("addresses are validated and normalized per country", () => {
+  assert.deepEqual(
+    validateAddress({ line1: " 10  Downing St ", city: "London", postal_code: "sw1a2aa", country: "UK" }),
+    { line1: "10 Downing St", line2: undefined, city: "London", state: undefined, postal_code: "SW1A 2AA", country: "GB" }
+  );
+  assert.equal(validateAddress({ line1: "1 Main St", city: "Bangor", state: "maine", zip: "044011234", country: "US" }).postal_code, "04401-1234");
+  assert.equal(validateAddress({ line1: "1 Main St", city: "Bangor", state: "maine", zip: "04401", country: "US" }).state, "ME");
+  assert.equal(validateAddress({ line1: "Damrak 1", city: "Amsterdam", postal_code: "1012lg", country: "NL" }).postal_code, "1012 LG");
+  assert.equal(validateAddress({ line1: "1 Sheikh Zayed Rd", city: "Dubai", postal_code: "00000", country: "AE" }).postal_code, undefined);
+  assert.equal(validateAddress({ line1: "1 Quay St", city: "Cork", country: "Ireland" }).postal_code, undefined, "Eircode is optional");
+
+  const fails = (address, field) => assert.throws(() => validateAddress(address), (e) => e.code === "INVALID_ADDRESS" && e.meta.field === field);
+  fails({ line1: "1 Main St", city: "Bangor", state: "ME", zip: "0440", country: "US" }, "postal_code");
+  fails({ line1: "1 Main St", city: "Bangor", state: "Ontario", zip: "04401", country: "US" }, "state");
+  fails({ line1: "1 Pier St", city: "Hobart", postal_code: "7000", country: "AU" }, "state");
+  fails({ line1: "Unter den Linden 1", city: "Berlin", country: "DE" }, "postal_code");
+  fails({ city: "Berlin", postal_code: "10117", country: "DE" }, "line1");
+});
@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { buildApp, startFake, fakeStripeClient, signStripeEvent, signIn, boatPhoto } from "./helpers.js";
+
+// Stripe for the pack checkout and a Replicate stand-in that fails while `state.fail` is set.
+async function setup(t) {
+  const state = { fail: false };
+  const stripeApi = await startFake({
+    "POST /v1/checkout/sessions": () => [200, { id: "cs_credits_1", object: "checkout.session", url: "https://checkout.test/cs_credits_1" }],
+  });
+  const replicate = await startFake({
+    "POST /v1/predictions": () => state.fail ? [500, { detail: "model offline" }] : [201, { id: "pred-1", status: "starting" }],
+  });
+  const stripe = fakeStripeClient(stripeApi);
+  const built = await buildApp({
+    stripe,
+    env: {
+      IMAGE_PROVIDER: "replicate",
+      REPLICATE_API_URL: `${replicate.url}/v1`,
+      REPLICATE_API_TOKEN: "r8_test",
+      OPENAI_API_KEY: "sk-test",
+      FREE_DAILY_LIMIT: "1",
+    },
+  });
+  t.after(async () => {
+    await built.cleanup();
+    await Promise.all([stripeApi.close(), replicate.close()]);
+  });
+  const cookie = await signIn(built.app, built.mail, "sailor@example.com");
+  const { rows: [user] } = await built.pool.query("SELECT id FROM users WHERE email='sailor@example.com'");
+  return { ...built, stripe, stripeApi, replicate, state, cookie, user };
+}
+
+const balance = async (app, cookie) => (await request(app).get("/me/credits").set("Cookie", cookie).expect(200)).body.balance;
+
+test("a paid credit pack is added to the balance once", async (t) => {
+  const { app, stripe, stripeApi, cookie, user } = await setup(t);
+
+  await request(app).post("/credits/checkout").send({ packId: "credits-5" }).expect(401);
+  await request(app).post("/credits/checkout").set("Cookie", cookie).send({ packId: "credits-500" }).expect(400);
+  const res = await request(app).post("/credits/checkout").set("Cookie", cookie).send({ packId: "credits-5" }).expect(200);
+  assert.equal(res.body.url, "https://checkout.test/cs_credits_1");
+  const params = Object.fromEntries(new URLSearchParams(stripeApi.requests.at(-1).raw));
+  assert.equal(params.mode, "payment");
+  assert.equal(params["line_items[0][price_data][unit_amount]"], "799");
+  assert.equal(params["metadata[packId]"], "credits-5");
+  assert.equal(params.client_reference_id, user.id);
+
+  const session = {
+    id: "cs_credits_1",
+    object: "checkout.session",
+    mode: "payment",
+    client_reference_id: user.id,
+    metadata: { kind: params["metadata[kind]"], packId: params["metadata[packId]"], userId: params["metadata[userId]"] },
+  };
+  for (const id of ["evt_credits_1", "evt_credits_1_again"]) {
+    const { payload, header } = signStripeEvent(stripe, { id, type: "checkout.session.completed", data: { object: session } });
+    await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  }
+  assert.equal(await balance(app, cookie), 5);
+  assert.equal(await balance(app, ""), 0);
+});
+
+test("a credit buys one Pro-style generation outside the free quota, and is refunded if it fails", async (t) => {
+  const { app, ctx, pool, replicate, state, cookie, user } = await setup(t);
+  await pool.query("INSERT INTO credits (user_id, delta, reason, pack_id, stripe_session_id) VALUES ($1,1,'purchase','credits-1','cs_seed')", [user.id]);
+  const photo = await boatPhoto();
+  const withPhoto = (fields) => {
+    let req = request(app).post("/generate-image").set("Cookie", cookie).field("mode", "image");
+    for (const [k, v] of Object.entries(fields)) req = req.field(k, v);
+    return req.attach("boatImage", photo, "boat.png");
+  };
+
+  await withPhoto({ style: "classic" }).expect(403);
+
+  state.fail = true;
+  await withPhoto({ style: "classic", useCredit: "true" }).expect(502);
+  assert.equal(await balance(app, cookie), 1, "the failed generation gave the credit back");
+
+  state.fail = false;
+  await withPhoto({ style: "classic", useCredit: "true" }).expect(200);
+  assert.equal(await balance(app, cookie), 0);
+  const classic = ctx.parseGenerationOptions({ style: "classic" }, { mode: "image", access: "pro" });
+  assert.equal(replicate.requests.at(-1).body.input.prompt, ctx.buildPrompt(classic, "image"));
+  const usage = await request(app).get("/me/usage").set("Cookie", cookie).expect(200);
+  assert.equal(usage.body.used, 0, "a paid generation doesn't count against the free quota");
+
+  const broke = await withPhoto({ style: "classic", useCredit: "true" }).expect(402);
+  assert.equal(broke.body.balance, 0);
+  await request(app).post("/generate-image").field("useCredit", "true").attach("boatImage", photo, "boat.png").expect(401);
+
+  const ledger = await pool.query("SELECT delta, reason FROM credits");
+  assert.deepEqual(ledger.rows.map((r) => `${r.reason}${r.delta}`).sort(), ["purchase1", "refund1", "spend-1", "spend-1"]);
+});
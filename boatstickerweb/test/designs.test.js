@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import sharp from "sharp";
+import { buildApp, signIn } from "./helpers.js";
+
+// Large enough to print as a small sticker without being rejected.
+const artwork = () => sharp({ create: { width: 1200, height: 1200, channels: 4, background: "#1f6fb2" } }).png().toBuffer();
+
+// A signed-in user with one saved design; `pro` adds an active subscription.
+async function setup(t, { pro = false } = {}) {
+  const built = await buildApp();
+  t.after(built.cleanup);
+  const { app, ctx, pool, mail } = built;
+  const cookie = await signIn(app, mail, "skipper@example.com");
+  const { rows: [user] } = await pool.query("SELECT id FROM users WHERE email='skipper@example.com'");
+  if (pro) {
+    await pool.query("INSERT INTO subscriptions (user_id, plan, status) VALUES ($1,'pro','active')", [user.id]);
+  }
+  const design = await ctx.persistDesign({ userId: user.id, mode: "sticker", externalId: "local-1", buffer: await artwork() });
+  return { ...built, cookie, user, design };
+}
+
+test("deleting a design removes its file and everything derived from it", async (t) => {
+  const { app, ctx, pool, cookie, design } = await setup(t, { pro: true });
+  const exists = async (key) => !!(await ctx.storage.get(key));
+
+  await request(app).get(`/designs/${design.id}.svg`).set("Cookie", cookie).expect(200);
+  await request(app).get(`/designs/${design.id}.svg?colors=4`).set("Cookie", cookie).expect(200);
+  await request(app).get(`/mockups/${design.id}/tshirt.png?color=Navy`).set("Cookie", cookie).expect(200);
+  const print = await ctx.preparePrintFile({ designId: design.id, productId: "sticker-small" });
+  const keys = [
+    design.storage_key,
+    `vectors/${design.id}-v1.svg`,
+    `vectors/${design.id}-v1-c4.svg`,
+    `mockups/${design.id}/tshirt-navy-v1.png`,
+    print.key,
+  ];
+  for (const key of keys) assert.ok(await exists(key), key);
+
+  await request(app).delete(`/designs/${design.id}`).set("Cookie", cookie).expect(200);
+  for (const key of keys) assert.equal(await exists(key), false, key);
+  const { rows } = await pool.query("SELECT 1 FROM print_files");
+  assert.equal(rows.length, 0);
+  await request(app).get(`/designs/${design.id}`).set("Cookie", cookie).expect(404);
+});
+
+test("a print file shared by designs with the same artwork outlives all but the last of them", async (t) => {
+  const { app, ctx, pool, cookie, user, design } = await setup(t);
+  const twin = await ctx.persistDesign({ userId: user.id, mode: "sticker", externalId: "local-2", buffer: await artwork() });
+  const print = await ctx.preparePrintFile({ designId: design.id, productId: "sticker-small" });
+  assert.equal((await ctx.preparePrintFile({ designId: twin.id, productId: "sticker-small" })).key, print.key);
+
+  await request(app).delete(`/designs/${design.id}`).set("Cookie", cookie).expect(200);
+  assert.ok(await ctx.storage.get(print.key), "the twin still prints from it");
+  assert.equal((await pool.query("SELECT 1 FROM print_files")).rows.length, 1);
+
+  await request(app).delete(`/designs/${twin.id}`).set("Cookie", cookie).expect(200);
+  assert.equal(await ctx.storage.get(print.key), null);
+  assert.equal((await pool.query("SELECT 1 FROM print_files")).rows.length, 0);
+});
+
+test("a design in an order that hasn't shipped can't be deleted", async (t) => {
+  const { app, pool, cookie, design } = await setup(t);
+  await pool.query(
+    "INSERT INTO orders (stripe_session_id, email, items, status) VALUES ('cs_open', 'skipper@example.com', $1, 'submitted')",
+    [JSON.stringify([{ designId: design.id, productId: "sticker-small", quantity: 1 }])]
+  );
+
+  await request(app).delete(`/designs/${design.id}`).set("Cookie", cookie).expect(409);
+  await pool.query("UPDATE orders SET status='delivered'");
+  await request(app).delete(`/designs/${design.id}`).set("Cookie", cookie).expect(200);
+});
+
+test("the design library is private to its owner, with signed links for third parties", async (t) => {
+  const { app, ctx, mail, cookie, user, design } = await setup(t);
+  const again = await ctx.persistDesign({ userId: user.id, mode: "sticker", externalId: "local-1", buffer: await artwork() });
+  assert.equal(again.id, design.id, "the same prediction is stored once");
+
+  // GET /designs filters with a correlated NOT EXISTS, which pg-mem can't run,
+  // so the listing itself isn't covered here.
+  const one = await request(app).get(`/designs/${design.id}`).set("Cookie", cookie).expect(200);
+  assert.equal(one.body.design.width, 1200);
+  assert.equal(one.body.design.imageUrl, `/designs/${design.id}/image`);
+  const image = await request(app).get(`/designs/${design.id}/image`).set("Cookie", cookie).expect(200);
+  assert.equal(image.headers["content-type"], "image/png");
+
+  await request(app).get("/designs").expect(401);
+  await request(app).get(`/designs/${design.id}/image`).expect(401);
+  const stranger = await signIn(app, mail, "stranger@example.com");
+  await request(app).get(`/designs/${design.id}`).set("Cookie", stranger).expect(404);
+  await request(app).get(`/designs/${design.id}/image`).set("Cookie", stranger).expect(404);
+  await request(app).delete(`/designs/${design.id}`).set("Cookie", stranger).expect(404);
+
+  const link = new URL(ctx.designPublicUrl(design));
+  assert.equal(link.origin, "http://app.test");
+  await request(app).get(link.pathname + link.search).expect(200);
+  await request(app).get(`${link.pathname}?sig=${link.searchParams.get("sig").slice(1)}x`).expect(401);
+});
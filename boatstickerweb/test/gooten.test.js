@@ -0,0 +1,126 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { startFake } from "./helpers.js";
+import { createGootenClient } from "../lib/gooten.js";
+
+const product = { id: "sticker-small", gootenProductId: "1001", options: {}, variantRules: [["300x400"]], preferredSku: null };
+
+// Four enabled variants and one disabled one, served `pagesize` at a time.
+async function pagedVariants(t) {
+  const variants = [
+    { Sku: "StickerDieCut-100x100-1Pack-Single", Name: "1x1", IsEnabled: true },
+    { Sku: "StickerDieCut-200x200-1Pack-Single", Name: "2x2", IsEnabled: false },
+    { Sku: "StickerDieCut-250x250-1Pack-Single", Name: "2.5x2.5", IsEnabled: true },
+    { Sku: "StickerDieCut-275x275-1Pack-Single", Name: "2.75x2.75", IsEnabled: true },
+    { Sku: "StickerDieCut-300x400-1Pack-Single", Name: "3x4", IsEnabledIn: ["US"] },
+  ];
+  const fake = await startFake({
+    "GET /productvariants/": ({ query }) => {
+      const size = Number(query.pagesize);
+      const start = (Number(query.page) - 1) * size;
+      return [200, { ProductVariants: variants.slice(start, start + size) }];
+    },
+  });
+  t.after(() => fake.close());
+  return fake;
+}
+
+test("variants are read across every page", async (t) => {
+  const fake = await pagedVariants(t);
+  const gooten = createGootenClient({ recipeId: "r1", apiUrl: fake.url, pageSize: 2 });
+
+  const enabled = await gooten.fetchVariantsForCountry(product, "us");
+  assert.deepEqual(enabled.map((v) => v.sku), [
+    "StickerDieCut-100x100-1Pack-Single",
+    "StickerDieCut-250x250-1Pack-Single",
+    "StickerDieCut-275x275-1Pack-Single",
+    "StickerDieCut-300x400-1Pack-Single",
+  ]);
+  assert.deepEqual(fake.requests.map((r) => r.query.page), ["1", "2", "3"]);
+  assert.equal(await gooten.pickSkuForCountry({ product, options: {}, countryCode: "US" }), "StickerDieCut-300x400-1Pack-Single");
+});
+
+test("cached variants expire after the TTL and can be invalidated", async (t) => {
+  const fake = await pagedVariants(t);
+  let clock = 0;
+  const gooten = createGootenClient({ recipeId: "r1", apiUrl: fake.url, cacheTtlMs: 1000, now: () => clock });
+  const fetches = () => fake.requests.length;
+
+  await Promise.all([gooten.fetchVariantsForCountry(product, "US"), gooten.fetchVariantsForCountry(product, "US")]);
+  assert.equal(fetches(), 1, "concurrent lookups share one fetch");
+
+  clock = 999;
+  await gooten.fetchVariantsForCountry(product, "US");
+  assert.equal(fetches(), 1);
+  clock = 1000;
+  await gooten.fetchVariantsForCountry(product, "US");
+  assert.equal(fetches(), 2);
+
+  await gooten.fetchVariantsForCountry(product, "CA");
+  assert.equal(gooten.invalidate({ gootenProductId: "1001", countryCode: "ca" }), 1);
+  await gooten.fetchVariantsForCountry(product, "US");
+  assert.equal(fetches(), 3, "other countries stay cached");
+  assert.equal(gooten.invalidate(), 1);
+  await gooten.fetchVariantsForCountry(product, "US");
+  assert.equal(fetches(), 4);
+});
+
+test("unexpected or failed responses are rejected instead of guessed at", async (t) => {
+  const fake = await startFake({
+    "GET /productvariants/": ({ query }) => query.productid === "1001"
+      ? [200, { Data: [{ Sku: "X", IsEnabled: true }] }]
+      : [200, { HadError: true, Errors: [{ ErrorMessage: "Unknown product" }] }],
+  });
+  t.after(() => fake.close());
+  const gooten = createGootenClient({ recipeId: "r1", apiUrl: fake.url });
+
+  await assert.rejects(gooten.fetchVariantsForCountry(product, "US"), { code: "GOOTEN_ERROR", message: /no ProductVariants list/ });
+  await assert.rejects(
+    gooten.fetchVariantsForCountry({ ...product, gootenProductId: "9" }, "US"),
+    { code: "GOOTEN_ERROR", message: /Unknown product/ }
+  );
+  // Failures aren't cached.
+  await assert.rejects(gooten.fetchVariantsForCountry(product, "US"));
+  assert.equal(fake.requests.length, 3);
+});
+
+test("shipping options combine every shipment and price estimates use minor units", async (t) => {
+  const fake = await startFake({
+    "POST /shippingprices/": () => [200, {
+      Result: [
+        {
+          SKUs: ["A"],
+          ShipOptions: [
+            { MethodType: "Standard", Name: "Standard", Price: { Price: 4.5, CurrencyCode: "USD" }, EstBusinessDaysTilDelivery: 6 },
+            { MethodType: "Expedited", Name: "Expedited", Price: { Price: 12, CurrencyCode: "USD" }, EstBusinessDaysTilDelivery: 3 },
+          ],
+        },
+        {
+          SKUs: ["B"],
+          ShipOptions: [{ MethodType: "Standard", Name: "Standard", Price: { Price: 3.99, CurrencyCode: "USD" }, EstBusinessDaysTilDelivery: 8 }],
+        },
+      ],
+    }],
+    "POST /priceestimate/": () => [200, { Items: { Price: 7.25 }, Shipping: { Price: 4.5 }, Total: { Price: 11.75 } }],
+  });
+  t.after(() => fake.close());
+  const gooten = createGootenClient({ recipeId: "r1", apiUrl: fake.url });
+  const where = { countryCode: "CA", postalCode: "V6B 1A1", state: "BC", currency: "usd" };
+
+  const options = await gooten.getShippingOptions({ ...where, items: [{ sku: "A", quantity: 2 }, { sku: "B", quantity: 1 }] });
+  assert.deepEqual(options, [{ method: "standard", name: "Standard", amount: 849, days: 8, currency: "usd" }]);
+  const sent = fake.requests[0];
+  assert.equal(sent.query.recipeid, "r1");
+  assert.deepEqual(sent.body, {
+    ShipToCountry: "CA",
+    ShipToPostalCode: "V6B 1A1",
+    ShipToState: "BC",
+    CurrencyCode: "USD",
+    LanguageCode: "en",
+    Items: [{ SKU: "A", Quantity: 2 }, { SKU: "B", Quantity: 1 }],
+  });
+
+  const estimate = await gooten.estimatePrice({ ...where, items: [{ sku: "A", quantity: 1 }] });
+  assert.deepEqual(estimate, { items: 725, shipping: 450, total: 1175, currency: "usd" });
+  assert.equal(fake.requests[1].body.Items[0].ShipType, "standard");
+});
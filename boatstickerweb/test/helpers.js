@@ -0,0 +1,155 @@
+// Shared test fixtures: an in-memory Postgres (pg-mem) with the real
+// migrations applied, local HTTP fakes for Stripe / Gooten / Replicate, and
+// buildApp() wiring them into createApp().
+import http from "http";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { newDb, DataType } from "pg-mem";
+import Stripe from "stripe";
+import sharp from "sharp";
+import request from "supertest";
+import { loadConfig } from "../lib/config.js";
+import { createApp } from "../lib/app.js";
+import { createLocalStorage } from "../lib/storage.js";
+import { migrate } from "../migrate.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+export const STRIPE_WEBHOOK_SECRET = "whsec_test";
+
+/**
+ * pg-mem database with every migration applied through migrate(). pg-mem
+ * can't run PL/pgSQL, so DO blocks (extension setup only) are dropped from a
+ * copy of the migrations, and the Postgres builtins the app calls are stubbed.
+ * It also doesn't give inline column CHECKs Postgres' "<table>_<column>_check"
+ * names, so the copies name them explicitly for later migrations to drop.
+ * Partial indexes become plain ones: pg-mem ignores their predicate on lookup
+ * and misses rows outside it (e.g. carts WHERE user_id IS NULL). Row locking
+ * clauses (FOR UPDATE SKIP LOCKED) mean nothing to a single in-memory
+ * connection, so pg-mem is told not to reject the parts of a query it ignores.
+ */
+export async function createTestDb() {
+  const db = newDb({ noAstCoverageCheck: true });
+  const fn = (name, args, returns, implementation) =>
+    db.public.registerFunction({ name, args, returns, implementation, impure: true });
+  fn("uuid_generate_v4", [], DataType.uuid, () => crypto.randomUUID());
+  fn("pg_advisory_lock", [DataType.bigint], DataType.text, () => "");
+  fn("pg_advisory_unlock", [DataType.bigint], DataType.bool, () => true);
+  fn("pg_advisory_xact_lock", [DataType.integer], DataType.text, () => "");
+  fn("hashtext", [DataType.text], DataType.integer, (s) => crypto.createHash("md5").update(s).digest().readInt32BE(0));
+  fn("to_timestamp", [DataType.float], DataType.timestamptz, (secs) => new Date(secs * 1000));
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+  for (const file of await fs.readdir(path.join(ROOT, "migrations"))) {
+    const sql = await fs.readFile(path.join(ROOT, "migrations", file), "utf8");
+    const copy = sql
+      .replace(/^DO \$(\w*)\$[\s\S]*?END\$\1\$;/gm, "")
+      .replace(/CREATE TABLE IF NOT EXISTS (\w+) \(([\s\S]*?)\n\);/g, (table, name, body) =>
+        table.replace(body, body.replace(/^(\s+)(\w+)( [^,\n]*?(?:\n\s+)?)CHECK \(/gm, `$1$2$3CONSTRAINT ${name}_$2_check CHECK (`)))
+      .replace(/^CREATE (?:UNIQUE )?INDEX (IF NOT EXISTS \w+ ON \w+ \([^)]*\)) WHERE [^;]*;/gm, "CREATE INDEX $1;");
+    await fs.writeFile(path.join(dir, file), copy);
+  }
+  const { Pool } = db.adapters.createPg();
+  const pool = new Pool();
+  await migrate(pool, { dir, log: () => {} });
+  await fs.rm(dir, { recursive: true, force: true });
+  return { db, pool };
+}
+
+/**
+ * Starts a local HTTP server. `routes` maps "METHOD /path" to
+ * (req, body) => [status, json]; every request is recorded in `requests`.
+ */
+export async function startFake(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", async () => {
+      const raw = Buffer.concat(chunks).toString("utf8");
+      const url = new URL(req.url, "http://fake");
+      let body = raw;
+      try { body = raw ? JSON.parse(raw) : null; } catch {}
+      const entry = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body, raw };
+      requests.push(entry);
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (!route) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: `No fake for ${req.method} ${url.pathname}` }));
+      }
+      const [status, payload, contentType = "application/json"] = await route(entry);
+      res.writeHead(status, { "Content-Type": contentType });
+      res.end(Buffer.isBuffer(payload) ? payload : JSON.stringify(payload));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    port,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/** Stripe SDK pointed at a fake API server. */
+export function fakeStripeClient(fake) {
+  return new Stripe("sk_test_fake", { host: "127.0.0.1", port: fake.port, protocol: "http" });
+}
+
+/** Signed webhook request body + header, as Stripe would send it. */
+export function signStripeEvent(stripe, event) {
+  const payload = JSON.stringify(event);
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret: STRIPE_WEBHOOK_SECRET });
+  return { payload, header };
+}
+
+/**
+ * createApp() against a fresh pg-mem database, local storage in a temp dir
+ * and a mailer that records messages. `env` overrides the test config; pass
+ * another app's `db` to run a second instance against the same database.
+ */
+export async function buildApp({ env = {}, db: sharedDb, ...deps } = {}) {
+  const { db, pool } = sharedDb
+    ? { db: sharedDb, pool: new (sharedDb.adapters.createPg().Pool)() }
+    : await createTestDb();
+  const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), "designs-"));
+  const mail = [];
+  const config = loadConfig({
+    APP_ORIGIN: "http://app.test",
+    SESSION_SECRET: "test-secret",
+    IMAGE_PROVIDER: "local",
+    STRIPE_WEBHOOK_SECRET,
+    JOB_POLL_INTERVAL_MS: "0",
+    ORDER_SYNC_INTERVAL_MS: "0",
+    FULFILLMENT_RETRY_INTERVAL_MS: "0",
+    ...env,
+  });
+  const { app, ctx } = await createApp({
+    config,
+    pool,
+    q: (text, params) => pool.query(text, params),
+    storage: createLocalStorage(storageDir),
+    mailer: { sendMail: async (msg) => { mail.push(msg); return { messageId: `test-${mail.length}` }; } },
+    stripe: new Stripe("sk_test_fake"),
+    ...deps,
+  });
+  const cleanup = () => fs.rm(storageDir, { recursive: true, force: true });
+  return { app, ctx, db, pool, mail, cleanup };
+}
+
+/** Signs in through the magic-link flow and returns the session cookie. */
+export async function signIn(app, mail, email) {
+  await request(app).post("/auth/send-link").send({ email }).expect(200);
+  const link = new URL(mail.at(-1).html.match(/href="([^"]+)"/)[1]);
+  const res = await request(app).get(link.pathname + link.search).expect(302);
+  return res.headers["set-cookie"].find((c) => c.startsWith("sid="));
+}
+
+/** A small opaque PNG to upload as a boat photo. */
+export function boatPhoto() {
+  return sharp({ create: { width: 64, height: 48, channels: 3, background: "#3366cc" } }).png().toBuffer();
+}
@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import request from "supertest";
+import { buildApp, startFake, signIn, boatPhoto } from "./helpers.js";
+
+const WEBHOOK_SECRET = `whsec_${Buffer.from("replicate-test-secret").toString("base64")}`;
+
+// Replicate stand-in that also hosts the finished image.
+async function setup(t) {
+  let n = 0;
+  const output = await boatPhoto();
+  const replicate = await startFake({
+    "POST /v1/predictions": () => [201, { id: `pred-${++n}`, status: "starting" }],
+    "POST /v1/predictions/pred-1/cancel": () => [200, { id: "pred-1", status: "canceled" }],
+    "GET /out.png": () => [200, output, "image/png"],
+  });
+  const built = await buildApp({
+    env: {
+      IMAGE_PROVIDER: "replicate",
+      REPLICATE_API_URL: `${replicate.url}/v1`,
+      REPLICATE_API_TOKEN: "r8_test",
+      OPENAI_API_KEY: "sk-test",
+      REPLICATE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      FREE_DAILY_LIMIT: "5",
+    },
+  });
+  t.after(async () => { await built.cleanup(); await replicate.close(); });
+  const cookie = await signIn(built.app, built.mail, "painter@example.com");
+  const started = await request(built.app).post("/generate-image").set("Cookie", cookie)
+    .field("mode", "image").attach("boatImage", await boatPhoto(), "boat.png").expect(200);
+  return { ...built, replicate, cookie, job: started.body.job };
+}
+
+function replicateWebhook(app, prediction, secret = WEBHOOK_SECRET) {
+  const body = JSON.stringify(prediction);
+  const id = `msg_${prediction.id}_${prediction.status}`;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const key = Buffer.from(secret.replace(/^whsec_/, ""), "base64");
+  const sig = crypto.createHmac("sha256", key).update(`${id}.${timestamp}.${body}`).digest("base64");
+  return request(app).post("/webhooks/replicate").set("Content-Type", "application/json")
+    .set("webhook-id", id).set("webhook-timestamp", timestamp).set("webhook-signature", `v1,${sig}`).send(body);
+}
+
+// Reads a server-sent event stream until the server closes it.
+function readEvents(app, path, cookie) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, "127.0.0.1", () => {
+      const req = http.get({ host: "127.0.0.1", port: server.address().port, path, headers: { Cookie: cookie } }, (res) => {
+        let text = "";
+        res.on("data", (c) => { text += c; });
+        res.on("end", () => { server.close(); resolve({ res, text }); });
+      });
+      req.on("error", (e) => { server.close(); reject(e); });
+    });
+  });
+}
+
+test("a Replicate webhook completes the job, saves the design and ends the event stream", async (t) => {
+  const { app, pool, replicate, cookie, job } = await setup(t);
+  assert.equal(replicate.requests[0].body.webhook, "http://app.test/webhooks/replicate");
+
+  await replicateWebhook(app, { id: "pred-1", status: "succeeded", output: [`${replicate.url}/out.png`] }, "whsec_d3Jvbmc=").expect(400);
+  await replicateWebhook(app, { id: "pred-1", status: "processing" }).expect(200);
+  assert.equal((await request(app).get(`/jobs/${job.id}`).set("Cookie", cookie).expect(200)).body.job.status, "processing");
+
+  await replicateWebhook(app, { id: "pred-1", status: "succeeded", output: [`${replicate.url}/out.png`] }).expect(200);
+  const done = (await request(app).get(`/jobs/${job.id}`).set("Cookie", cookie).expect(200)).body.job;
+  assert.equal(done.status, "succeeded");
+  assert.ok(done.design, "the output was saved to the design library");
+  const { rows } = await pool.query("SELECT external_id FROM generations");
+  assert.deepEqual(rows, [{ external_id: "pred-1" }]);
+
+  // A late or repeated delivery doesn't move a finished job.
+  await replicateWebhook(app, { id: "pred-1", status: "failed", error: "late" }).expect(200);
+  const { res, text } = await readEvents(app, `/jobs/${job.id}/events`, cookie);
+  assert.match(res.headers["content-type"], /^text\/event-stream/);
+  const events = text.trim().split("\n\n");
+  assert.equal(events.length, 1);
+  assert.match(events[0], /^event: status\ndata: .*"status":"succeeded"/);
+
+  await replicateWebhook(app, { id: "pred-unknown", status: "succeeded" }).expect(200, { received: true, unknown: true });
+});
+
+test("cancelling a job stops it at the provider and gives the generation back", async (t) => {
+  const { app, mail, replicate, cookie, job } = await setup(t);
+  assert.equal((await request(app).get("/me/usage").set("Cookie", cookie).expect(200)).body.used, 1);
+
+  const stranger = await signIn(app, mail, "stranger@example.com");
+  await request(app).post(`/jobs/${job.id}/cancel`).set("Cookie", stranger).expect(404);
+  await request(app).get(`/jobs/${job.id}`).set("Cookie", stranger).expect(404);
+
+  const res = await request(app).post(`/jobs/${job.id}/cancel`).set("Cookie", cookie).expect(200);
+  assert.equal(res.body.job.status, "canceled");
+  assert.equal(replicate.requests.at(-1).path, "/v1/predictions/pred-1/cancel");
+  assert.equal((await request(app).get("/me/usage").set("Cookie", cookie).expect(200)).body.used, 0);
+  await request(app).post(`/jobs/${job.id}/cancel`).set("Cookie", cookie).expect(409);
+
+  const legacy = await request(app).get("/prediction-status/pred-1").set("Cookie", cookie).expect(200);
+  assert.equal(legacy.body.status, "canceled");
+});
+
+test("an instance polling another's in-process job leaves it running until the timeout", async (t) => {
+  const env = { FREE_DAILY_LIMIT: "5" };
+  const first = await buildApp({ env });
+  const second = await buildApp({ env, db: first.db });
+  t.after(async () => { await first.cleanup(); await second.cleanup(); });
+  const cookie = await signIn(first.app, first.mail, "painter@example.com");
+  const started = await request(first.app).post("/generate-image").set("Cookie", cookie)
+    .field("mode", "image").attach("boatImage", await boatPhoto(), "boat.png").expect(200);
+  const { id } = started.body.job;
+  const quiet = () => first.pool.query("UPDATE jobs SET updated_at = now() - interval '1 minute'");
+  const status = async () => (await request(first.app).get(`/jobs/${id}`).set("Cookie", cookie).expect(200)).body.job.status;
+
+  await quiet();
+  await second.ctx.pollActiveJobs();
+  assert.equal(await status(), "starting", "unknown to the second instance's storage, not gone");
+  assert.equal((await request(first.app).get("/me/usage").set("Cookie", cookie).expect(200)).body.used, 1);
+
+  await quiet();
+  await first.ctx.pollActiveJobs();
+  assert.equal(await status(), "succeeded");
+
+  const again = await request(first.app).post("/generate-image").set("Cookie", cookie)
+    .field("mode", "image").attach("boatImage", await boatPhoto(), "boat.png").expect(200);
+  await first.pool.query("UPDATE jobs SET created_at = now() - interval '1 hour' WHERE id=$1", [again.body.job.id]);
+  await second.ctx.pollActiveJobs();
+  const timedOut = await request(first.app).get(`/jobs/${again.body.job.id}`).set("Cookie", cookie).expect(200);
+  assert.deepEqual([timedOut.body.job.status, timedOut.body.job.error], ["failed", "Generation timed out"]);
+});
+
+test("a prediction Replicate no longer knows fails the job", async (t) => {
+  const { app, ctx, pool, replicate, cookie, job } = await setup(t);
+  await pool.query("UPDATE jobs SET updated_at = now() - interval '1 minute'");
+  await ctx.pollActiveJobs();
+  assert.equal(replicate.requests.at(-1).path, "/v1/predictions/pred-1");
+  const res = await request(app).get(`/jobs/${job.id}`).set("Cookie", cookie).expect(200);
+  assert.deepEqual([res.body.job.status, res.body.job.error], ["failed", "Generation not found at provider"]);
+  assert.equal((await request(app).get("/me/usage").set("Cookie", cookie).expect(200)).body.used, 0);
+});
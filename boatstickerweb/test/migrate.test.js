@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { newDb, DataType } from "pg-mem";
+import { loadMigrations, migrate, migrationStatus } from "../migrate.js";
+import { createTestDb } from "./helpers.js";
+
+// Empty pg-mem database and a scratch migrations directory holding `files`.
+async function setup(t, files) {
+  const db = newDb({ noAstCoverageCheck: true });
+  db.public.registerFunction({ name: "pg_advisory_lock", args: [DataType.bigint], returns: DataType.text, implementation: () => "", impure: true });
+  db.public.registerFunction({ name: "pg_advisory_unlock", args: [DataType.bigint], returns: DataType.bool, implementation: () => true, impure: true });
+  const { Pool } = db.adapters.createPg();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "migrate-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const write = (files) => Promise.all(Object.entries(files).map(([name, sql]) => fs.writeFile(path.join(dir, name), sql)));
+  await write(files);
+  return { pool: new Pool(), dir, write };
+}
+
+const versions = async (pool) => (await pool.query("SELECT version FROM schema_migrations ORDER BY version")).rows.map((r) => r.version);
+
+test("migration files are read in version order and must be well named", async (t) => {
+  const { dir, write } = await setup(t, {
+    "010_later.sql": "SELECT 1;",
+    "002_boats.sql": "SELECT 1;",
+    "001_baseline.sql": "SELECT 1;",
+  });
+  const migrations = await loadMigrations(dir);
+  assert.deepEqual(migrations.map((m) => [m.version, m.name]), [[1, "baseline"], [2, "boats"], [10, "later"]]);
+  assert.match(migrations[0].checksum, /^[0-9a-f]{64}$/);
+
+  await write({ "10_again.sql": "SELECT 1;" });
+  await assert.rejects(loadMigrations(dir), { code: "MIGRATION_INVALID", message: /share version 10/ });
+  await fs.rm(path.join(dir, "10_again.sql"));
+  await write({ "add boats.sql": "SELECT 1;" });
+  await assert.rejects(loadMigrations(dir), { code: "MIGRATION_INVALID", message: /Bad migration file name: add boats\.sql/ });
+});
+
+test("pending migrations are applied once each, in order", async (t) => {
+  const { pool, dir, write } = await setup(t, {
+    "001_boats.sql": "CREATE TABLE boats (id INT PRIMARY KEY, name TEXT NOT NULL);",
+    "002_boat_length.sql": "ALTER TABLE boats ADD COLUMN length_ft INT;",
+  });
+  const log = [];
+  const ran = await migrate(pool, { dir, log: (line) => log.push(line) });
+  assert.deepEqual(ran.map((m) => m.file), ["001_boats.sql", "002_boat_length.sql"]);
+  assert.equal(log.length, 2);
+  await pool.query("INSERT INTO boats (id, name, length_ft) VALUES (1, 'Sea Breeze', 24)");
+
+  assert.deepEqual(await migrate(pool, { dir, log: () => {} }), [], "nothing left to do");
+  await write({ "003_boat_hull.sql": "ALTER TABLE boats ADD COLUMN hull TEXT;" });
+  const status = await migrationStatus(pool, { dir });
+  assert.deepEqual(status.map((r) => [r.file, r.state]), [
+    ["001_boats.sql", "applied"],
+    ["002_boat_length.sql", "applied"],
+    ["003_boat_hull.sql", "pending"],
+  ]);
+  assert.ok(status[0].appliedAt);
+  assert.equal(status[2].appliedAt, null);
+
+  assert.deepEqual((await migrate(pool, { dir, log: () => {} })).map((m) => m.version), [3]);
+  assert.deepEqual(await versions(pool), [1, 2, 3]);
+});
+
+test("a failed migration isn't recorded, and applied files can't be edited", async (t) => {
+  const { pool, dir, write } = await setup(t, {
+    "001_boats.sql": "CREATE TABLE boats (id INT PRIMARY KEY);",
+    "002_broken.sql": "INSERT INTO no_such_table VALUES (1);",
+  });
+  await assert.rejects(migrate(pool, { dir, log: () => {} }), /^Error: 002_broken\.sql: /);
+  assert.deepEqual(await versions(pool), [1], "earlier files stay applied");
+
+  await write({ "001_boats.sql": "CREATE TABLE boats (id INT PRIMARY KEY, name TEXT);" });
+  await assert.rejects(migrate(pool, { dir, log: () => {} }), { code: "MIGRATION_CHECKSUM", message: /001_boats\.sql was modified/ });
+  assert.equal((await migrationStatus(pool, { dir }))[0].state, "modified");
+
+  // Versions applied by a newer release are listed but left alone.
+  await pool.query("INSERT INTO schema_migrations (version, name, checksum) VALUES (9, 'from_the_future', 'x')");
+  const { appliedAt, ...future } = (await migrationStatus(pool, { dir })).at(-1);
+  assert.deepEqual(future, { version: 9, file: "from_the_future (missing)", state: "unknown" });
+  assert.ok(appliedAt);
+});
+
+test("every shipped migration applies to an empty database", async () => {
+  const { pool } = await createTestDb();
+  const shipped = await loadMigrations(path.join(process.cwd(), "migrations"));
+  assert.deepEqual(await versions(pool), shipped.map((m) => m.version));
+});
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import request from "supertest";
+import { buildApp, signIn } from "./helpers.js";
+
+async function setup(t) {
+  const built = await buildApp();
+  t.after(built.cleanup);
+  const { app, ctx, pool, mail } = built;
+  const cookie = await signIn(app, mail, "bosun@example.com");
+  const { rows: [user] } = await pool.query("SELECT id FROM users WHERE email='bosun@example.com'");
+  const art = await sharp({ create: { width: 600, height: 600, channels: 4, background: "#e01010" } }).png().toBuffer();
+  const design = await ctx.persistDesign({ userId: user.id, mode: "image", externalId: "local-mock", buffer: art });
+  return { ...built, cookie, design };
+}
+
+async function pixel(png, x, y) {
+  const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * info.channels;
+  return [data[i], data[i + 1], data[i + 2]];
+}
+
+test("a design is placed on the product template in the chosen colour", async (t) => {
+  const { app, ctx, cookie, design } = await setup(t);
+
+  const navy = await request(app).get(`/mockups/${design.id}/tshirt.png?color=Navy`).set("Cookie", cookie)
+    .expect(200).expect("Content-Type", "image/png");
+  const meta = await sharp(navy.body).metadata();
+  assert.deepEqual([meta.width, meta.height], [800, 800]);
+  // The catalog places t-shirt art in a 220×290 box at (290, 200); square art is centred in it.
+  assert.deepEqual(await pixel(navy.body, 400, 345), [0xe0, 0x10, 0x10]);
+  assert.deepEqual(await pixel(navy.body, 400, 560), [0x1f, 0x2b, 0x48], "the shirt is navy below the print");
+
+  const fallback = await request(app).get(`/mockups/${design.id}/tshirt.png?color=Teal`).set("Cookie", cookie).expect(200);
+  assert.deepEqual(await pixel(fallback.body, 400, 560), [0xf6, 0xf6, 0xf6], "unknown colours fall back to the first one listed");
+  assert.ok(await ctx.storage.get(`mockups/${design.id}/tshirt-navy-v1.png`));
+  assert.ok(await ctx.storage.get(`mockups/${design.id}/tshirt-white-v1.png`));
+
+  const sticker = await request(app).get(`/mockups/${design.id}/sticker-small.png`).set("Cookie", cookie).expect(200);
+  assert.ok(await ctx.storage.get(`mockups/${design.id}/sticker-small-v1.png`));
+  assert.equal((await sharp(sticker.body).metadata()).width, 800);
+});
+
+test("mockups are cached and shown to the owner or over a signed link", async (t) => {
+  const { app, ctx, mail, cookie, design } = await setup(t);
+  const url = `/mockups/${design.id}/mug-11oz.png`;
+
+  await request(app).get(url).expect(401);
+  await request(app).get(url).set("Cookie", await signIn(app, mail, "stranger@example.com")).expect(404);
+  const sig = new URL(ctx.designPublicUrl(design)).searchParams.get("sig");
+  await request(app).get(`${url}?sig=${sig}`).expect(200);
+  await request(app).get(`${url}?sig=forged`).expect(401);
+
+  await ctx.storage.put(`mockups/${design.id}/mug-11oz-v1.png`, Buffer.from("cached"), "image/png");
+  assert.equal((await request(app).get(url).set("Cookie", cookie).expect(200)).body.toString(), "cached");
+
+  await request(app).get(`/mockups/${design.id}/poster.png`).set("Cookie", cookie).expect(404);
+  await request(app).get("/mockups/not-a-uuid/mug-11oz.png").set("Cookie", cookie).expect(404);
+});
@@ -0,0 +1,320 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import sharp from "sharp";
+import request from "supertest";
+import { buildApp, startFake, fakeStripeClient, signStripeEvent, signIn } from "./helpers.js";
+import { loadCatalog } from "../lib/catalog.js";
+
+// Gooten stand-in: two enabled sticker variants; orders are accepted unless
+// `state.down` is set, `state.duplicate` answers like Gooten does for a
+// SourceId it already has, and looking an order up returns `state.order`.
+// Submissions wait for `state.hold` while it's set.
+async function fakeGooten() {
+  const state = { down: false, duplicate: false, hold: null, order: { Status: "Submitted", Items: [] } };
+  const fake = await startFake({
+    "GET /productvariants/": () => [200, {
+      ProductVariants: [
+        { Sku: "StickerDieCut-300x400-1Pack-Single", Name: "Die cut 3x4", IsEnabled: true },
+        { Sku: "StickerDieCut-525x725-1Pack-Single", Name: "Die cut 5x7", IsEnabled: true },
+      ],
+    }],
+    "POST /orders/": async () => {
+      await state.hold;
+      if (state.down) return [503, { Message: "maintenance" }];
+      if (state.duplicate) return [200, { HadError: true, Errors: [{ ErrorMessage: "PartnerSourceId already exists" }] }];
+      return [201, { Id: "GTN-1001" }];
+    },
+    "GET /orders/": () => [200, state.order],
+  });
+  return Object.assign(fake, { state });
+}
+
+async function artServer() {
+  const art = await sharp({ create: { width: 600, height: 800, channels: 3, background: "#1f2b48" } }).png().toBuffer();
+  return startFake({ "GET /art.png": () => [200, art, "image/png"] });
+}
+
+async function setup(t) {
+  const gooten = await fakeGooten();
+  const assets = await artServer();
+  const stripeApi = await startFake({});
+  const stripe = fakeStripeClient(stripeApi);
+  const catalog = await loadCatalog(path.join(process.cwd(), "catalog.json"), { GOOTEN_PRODUCT_ID_STICKER_SMALL: "1001" });
+  const built = await buildApp({
+    stripe,
+    catalog,
+    env: {
+      GOOTEN_API_URL: gooten.url,
+      GOOTEN_RECIPE_ID: "recipe-test",
+      GOOTEN_PARTNER_BILLING_KEY: "billing-test",
+      GOOTEN_TEST_MODE: "true",
+      ORDER_NOTIFY_EMAILS: "orders@example.com",
+      ADMIN_EMAILS: "admin@example.com",
+    },
+  });
+  t.after(async () => {
+    await built.cleanup();
+    await Promise.all([gooten.close(), assets.close(), stripeApi.close()]);
+  });
+  return { ...built, stripe, gooten, assets };
+}
+
+const paidSession = (assets) => ({
+  id: "cs_paid_1",
+  object: "checkout.session",
+  mode: "payment",
+  currency: "usd",
+  amount_subtotal: 500,
+  amount_total: 1200,
+  total_details: { amount_shipping: 700 },
+  payment_intent: "pi_1",
+  customer_details: { email: "buyer@example.com", name: "A. Lovelace", phone: "+1 555 0100" },
+  shipping_details: { name: "Ada Lovelace", address: { line1: "1 Harbor Rd", city: "Portland", state: "Maine", postal_code: "04101", country: "US" } },
+  metadata: { productId: "sticker-small", imageUrl: `${assets.url}/art.png` },
+});
+
+test("a paid checkout is recorded and submitted to Gooten", async (t) => {
+  const { app, ctx, pool, mail, stripe, gooten, assets } = await setup(t);
+  let release;
+  gooten.state.hold = new Promise((resolve) => { release = resolve; });
+
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_paid_1",
+    type: "checkout.session.completed",
+    data: { object: paidSession(assets) },
+  });
+  // Stripe is answered before Gooten is: submission is the retry worker's job.
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  assert.equal((await pool.query("SELECT status FROM orders")).rows[0].status, "paid");
+  release();
+  await ctx.retryDueFulfillments();
+
+  const variants = gooten.requests.find((r) => r.path === "/productvariants/");
+  assert.deepEqual(
+    { recipeid: variants.query.recipeid, productid: variants.query.productid, countrycode: variants.query.countrycode },
+    { recipeid: "recipe-test", productid: "1001", countrycode: "US" }
+  );
+
+  const submitted = gooten.requests.filter((r) => r.method === "POST");
+  assert.equal(submitted.length, 1);
+  assert.equal(submitted[0].query.recipeid, "recipe-test");
+  const body = submitted[0].body;
+  assert.equal(body.SourceId, "cs_paid_1");
+  assert.equal(body.IsInTestMode, true);
+  assert.deepEqual(body.Payment, { PartnerBillingKey: "billing-test" });
+  assert.equal(body.ShipToAddress.FirstName, "Ada");
+  assert.equal(body.ShipToAddress.LastName, "Lovelace");
+  assert.equal(body.ShipToAddress.City, "Portland");
+  assert.equal(body.ShipToAddress.State, "ME");
+  assert.equal(body.ShipToAddress.Phone, "+1 555 0100");
+  assert.equal(body.Items.length, 1);
+  assert.equal(body.Items[0].SKU, "StickerDieCut-300x400-1Pack-Single");
+  assert.match(body.Items[0].Images[0].Url, /^http:\/\/app\.test\/print\/sticker-small\/[0-9a-f]+\.png\?sig=/);
+
+  const { rows } = await pool.query("SELECT status, gooten_order_id, amount_total, email FROM orders WHERE stripe_session_id='cs_paid_1'");
+  assert.deepEqual(rows[0], { status: "submitted", gooten_order_id: "GTN-1001", amount_total: 1200, email: "buyer@example.com" });
+  const attempts = await pool.query("SELECT attempt, ok FROM fulfillment_attempts");
+  assert.deepEqual(attempts.rows, [{ attempt: 1, ok: true }]);
+
+  assert.equal(mail.length, 1);
+  assert.equal(mail[0].to, "orders@example.com");
+  assert.match(mail[0].subject, /New Order \(1 items\) from Ada Lovelace/);
+});
+
+test("buyers see their orders, with status and tracking pulled from Gooten", async (t) => {
+  const { app, ctx, pool, mail, stripe, gooten, assets } = await setup(t);
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_paid_history",
+    type: "checkout.session.completed",
+    data: { object: paidSession(assets) },
+  });
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  await ctx.retryDueFulfillments();
+  const { rows: [{ id }] } = await pool.query("SELECT id FROM orders");
+
+  await request(app).get("/orders").expect(401);
+  const buyer = await signIn(app, mail, "buyer@example.com");
+  const list = await request(app).get("/orders").set("Cookie", buyer).expect(200);
+  assert.equal(list.body.orders.length, 1);
+  assert.equal(list.body.orders[0].statusLabel, "Sent to production");
+  assert.equal(list.body.orders[0].shippingName, "Ada Lovelace");
+  assert.equal(list.body.orders[0].amountTotal, 1200);
+
+  gooten.state.order = {
+    Status: "Shipped",
+    Items: [
+      { Status: "Shipped", TrackingNumber: "1Z999", ShippingCarrier: "UPS", TrackingUrl: "https://ups.test/1Z999" },
+      { Status: "In Production" },
+    ],
+  };
+  const one = await request(app).get(`/orders/${id}`).set("Cookie", buyer).expect(200);
+  assert.equal(one.body.order.status, "in_production", "an order is only as far along as its slowest item");
+  assert.deepEqual(one.body.order.tracking, [{ number: "1Z999", carrier: "UPS", url: "https://ups.test/1Z999" }]);
+  assert.equal(gooten.requests.at(-1).query.id, "GTN-1001");
+
+  gooten.state.order = { Status: "Delivered", Items: [{ Status: "Delivered", TrackingNumber: "1Z999" }] };
+  await pool.query("UPDATE orders SET status_synced_at = now() - interval '1 hour'");
+  await ctx.syncOpenOrders();
+  const { rows: [synced] } = await pool.query("SELECT status, gooten_status FROM orders");
+  assert.deepEqual(synced, { status: "delivered", gooten_status: "Delivered" });
+
+  const stranger = await signIn(app, mail, "stranger@example.com");
+  assert.deepEqual((await request(app).get("/orders").set("Cookie", stranger).expect(200)).body.orders, []);
+  await request(app).get(`/orders/${id}`).set("Cookie", stranger).expect(404);
+});
+
+test("buyer-supplied details are escaped in the order email", async (t) => {
+  const { app, ctx, mail, stripe, assets } = await setup(t);
+  const session = paidSession(assets);
+  session.shipping_details = {
+    ...session.shipping_details,
+    name: "Ada <img src=x onerror=alert(1)>\r\nBcc: everyone@example.com",
+    address: { ...session.shipping_details.address, line2: "<script>steal()</script>" },
+  };
+
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_paid_xss",
+    type: "checkout.session.completed",
+    data: { object: session },
+  });
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  await ctx.retryDueFulfillments();
+
+  const { html, subject } = mail.at(-1);
+  assert.doesNotMatch(html, /<img src=x|<script>/);
+  assert.match(html, /Ada &lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(html, /&lt;script&gt;steal\(\)&lt;\/script&gt;/);
+  assert.doesNotMatch(subject, /[\r\n]/);
+});
+
+test("an address outside the postcode shipping was quoted for is held", async (t) => {
+  const { app, ctx, pool, mail, stripe, gooten, assets } = await setup(t);
+  const session = paidSession(assets);
+  session.metadata = { ...session.metadata, shipPostal: "96815" };
+
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_paid_moved",
+    type: "checkout.session.completed",
+    data: { object: session },
+  });
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  await ctx.retryDueFulfillments();
+
+  const { rows: [order] } = await pool.query("SELECT id, status, last_error FROM orders");
+  assert.equal(order.status, "needs_address");
+  assert.match(order.last_error, /paid for postcode 96815/);
+  assert.equal(gooten.requests.filter((r) => r.method === "POST").length, 0);
+
+  // An admin who accepts the difference ships to the collected address as-is.
+  const admin = await signIn(app, mail, "admin@example.com");
+  await request(app).post(`/admin/orders/${order.id}/address`).set("Cookie", admin).send({}).expect(200);
+  assert.equal(gooten.requests.find((r) => r.method === "POST").body.ShipToAddress.PostalCode, "04101");
+});
+
+test("a Gooten failure leaves the order queued for retry", async (t) => {
+  const { app, ctx, pool, stripe, gooten, assets } = await setup(t);
+  gooten.state.down = true;
+
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_paid_2",
+    type: "checkout.session.completed",
+    data: { object: paidSession(assets) },
+  });
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  await ctx.retryDueFulfillments();
+
+  const failed = await pool.query("SELECT id, status, last_error, next_attempt_at FROM orders");
+  assert.equal(failed.rows[0].status, "failed");
+  assert.match(failed.rows[0].last_error, /Gooten order failed: 503/);
+  assert.ok(failed.rows[0].next_attempt_at > new Date(), "retry is scheduled in the future");
+
+  gooten.state.down = false;
+  const order = (await pool.query("SELECT * FROM orders WHERE id=$1", [failed.rows[0].id])).rows[0];
+  const result = await ctx.fulfillOrder(order);
+  assert.deepEqual(result, { ok: true, gootenOrderId: "GTN-1001" });
+  assert.equal(gooten.requests.filter((r) => r.method === "POST").length, 2);
+  const attempts = await pool.query("SELECT attempt, ok FROM fulfillment_attempts ORDER BY attempt");
+  assert.deepEqual(attempts.rows, [{ attempt: 1, ok: false }, { attempt: 2, ok: true }]);
+});
+
+test("failed submissions are retried with backoff and can be re-driven by an admin", async (t) => {
+  const { app, ctx, pool, mail, stripe, gooten, assets } = await setup(t);
+  gooten.state.down = true;
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_paid_retry",
+    type: "checkout.session.completed",
+    data: { object: paidSession(assets) },
+  });
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  await ctx.retryDueFulfillments();
+  const { rows: [{ id }] } = await pool.query("SELECT id FROM orders");
+
+  await pool.query("UPDATE orders SET next_attempt_at = now() - interval '1 minute'");
+  await ctx.retryDueFulfillments();
+  const { rows: [retried] } = await pool.query("SELECT status, fulfillment_attempts, next_attempt_at FROM orders");
+  assert.equal(retried.status, "failed");
+  assert.equal(retried.fulfillment_attempts, 2);
+  assert.ok(retried.next_attempt_at - Date.now() > 90 * 1000, "the second retry waits longer than the first");
+  await ctx.retryDueFulfillments();
+  assert.equal(gooten.requests.filter((r) => r.method === "POST").length, 2, "orders that aren't due are left alone");
+
+  const buyer = await signIn(app, mail, "buyer@example.com");
+  await request(app).post(`/admin/fulfillment/${id}/retry`).set("Cookie", buyer).expect(403);
+
+  // The earlier attempt reached Gooten after all: its SourceId check says so.
+  gooten.state.down = false;
+  gooten.state.duplicate = true;
+  const admin = await signIn(app, mail, "admin@example.com");
+  const res = await request(app).post(`/admin/fulfillment/${id}/retry`).set("Cookie", admin).expect(200);
+  assert.deepEqual(res.body, { ok: true, gootenOrderId: null });
+  assert.equal(gooten.requests.filter((r) => r.method === "POST").at(-1).body.IsPartnerSourceIdUnique, true);
+  const { rows: [done] } = await pool.query("SELECT status, last_error, next_attempt_at FROM orders");
+  assert.deepEqual(done, { status: "submitted", last_error: null, next_attempt_at: null });
+  await request(app).post(`/admin/fulfillment/${id}/retry`).set("Cookie", admin).expect(409);
+});
+
+test("a paid order with an address Gooten would refuse is held until an admin corrects it", async (t) => {
+  const { app, ctx, pool, mail, stripe, gooten, assets } = await setup(t);
+  const session = paidSession(assets);
+  session.customer_details = { ...session.customer_details, phone: null };
+
+  const { payload, header } = signStripeEvent(stripe, {
+    id: "evt_paid_3",
+    type: "checkout.session.completed",
+    data: { object: session },
+  });
+  await request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload).expect(200);
+  await ctx.retryDueFulfillments();
+
+  const held = await pool.query("SELECT id, status, last_error, next_attempt_at, shipping_name FROM orders");
+  assert.deepEqual(held.rows[0], {
+    id: held.rows[0].id,
+    status: "needs_address",
+    last_error: "Recipient phone number is missing",
+    next_attempt_at: null,
+    shipping_name: "Ada Lovelace",
+  });
+  assert.equal(gooten.requests.filter((r) => r.method === "POST").length, 0, "nothing is sent with a placeholder phone");
+  assert.equal((await pool.query("SELECT 1 FROM fulfillment_attempts")).rows.length, 0);
+
+  const toBuyer = mail.find((m) => m.to === "buyer@example.com");
+  assert.match(toBuyer.subject, /need your shipping address/);
+  assert.match(toBuyer.html, /Recipient phone number is missing/);
+  assert.match(mail.find((m) => m.to === "orders@example.com").subject, /^\[Needs address\] New Order/);
+
+  const admin = await signIn(app, mail, "admin@example.com");
+  const orderId = held.rows[0].id;
+  const listed = await request(app).get("/admin/orders?status=needs_address").set("Cookie", admin).expect(200);
+  assert.equal(listed.body.orders[0].statusLabel, "Waiting for a shipping address");
+  assert.equal(listed.body.orders[0].lastError, "Recipient phone number is missing");
+
+  const bad = await request(app).post(`/admin/orders/${orderId}/address`).set("Cookie", admin).send({ phone: "+1 555 0100", postal_code: "041" }).expect(400);
+  assert.equal(bad.body.field, "postal_code");
+  const fixed = await request(app).post(`/admin/orders/${orderId}/address`).set("Cookie", admin).send({ phone: "+1 555 0100" }).expect(200);
+  assert.deepEqual(fixed.body, { ok: true, gootenOrderId: "GTN-1001" });
+  const submitted = gooten.requests.find((r) => r.method === "POST").body.ShipToAddress;
+  assert.equal(submitted.Phone, "+1 555 0100");
+  assert.equal(submitted.State, "ME");
+  await request(app).post(`/admin/orders/${orderId}/address`).set("Cookie", admin).send({}).expect(409);
+});
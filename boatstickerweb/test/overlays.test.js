@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import request from "supertest";
+import { buildApp, signIn } from "./helpers.js";
+
+const headline = { type: "text", text: "SEA <WITCH>", fontFamily: "Impact", fontSize: 0.2, color: "#ffffff", align: "center", x: 0.1, y: 0.1, width: 0.8 };
+
+test("text layers are rendered into a new design that remembers its source", async (t) => {
+  const { app, ctx, pool, mail, cleanup } = await buildApp();
+  t.after(cleanup);
+  const cookie = await signIn(app, mail, "editor@example.com");
+  const { rows: [user] } = await pool.query("SELECT id FROM users WHERE email='editor@example.com'");
+  const base = await sharp({ create: { width: 400, height: 300, channels: 3, background: "#000000" } }).png().toBuffer();
+  const source = await ctx.persistDesign({ userId: user.id, mode: "image", externalId: "local-base", buffer: base });
+
+  const res = await request(app).post(`/designs/${source.id}/render`).set("Cookie", cookie).send({ layers: [headline] }).expect(201);
+  const rendered = res.body.design;
+  assert.notEqual(rendered.id, source.id);
+  assert.equal(rendered.parentId, source.id);
+  assert.deepEqual([rendered.width, rendered.height], [400, 300]);
+  assert.equal(rendered.layers.layers[0].text, "SEA <WITCH>");
+
+  const png = await request(app).get(rendered.imageUrl).set("Cookie", cookie).expect(200);
+  const { channels } = await sharp(png.body).stats();
+  assert.ok(channels[0].max > 200, "white text was drawn on the black design");
+
+  const repeat = await request(app).post(`/designs/${source.id}/render`).set("Cookie", cookie).send({ layers: [headline] }).expect(200);
+  assert.equal(repeat.body.design.id, rendered.id, "the same document renders once");
+
+  for (const layers of [[{ ...headline, fontFamily: "Papyrus" }], [{ ...headline, color: "white" }], [{ ...headline, text: " " }], "nope"]) {
+    const bad = await request(app).post(`/designs/${source.id}/render`).set("Cookie", cookie).send({ layers }).expect(400);
+    assert.ok(bad.body.error);
+  }
+  const stranger = await signIn(app, mail, "stranger@example.com");
+  await request(app).post(`/designs/${source.id}/render`).set("Cookie", stranger).send({ layers: [headline] }).expect(404);
+});
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import sharp from "sharp";
+import request from "supertest";
+import { loadCatalog } from "../lib/catalog.js";
+import { assessArtwork, printSpec } from "../lib/print-files.js";
+import { buildApp, signIn } from "./helpers.js";
+
+const { products } = await loadCatalog(path.join(process.cwd(), "catalog.json"), {});
+const product = (id) => products.find((p) => p.id === id);
+
+// `size`px square: a blue shape, optionally ringed in white, on a transparent
+// (or white, with `opaque`) background.
+async function artwork(size, { border = true, opaque = false } = {}) {
+  const inset = Math.round(size * 0.1);
+  const ring = border ? Math.round(size * 0.05) : 0;
+  const layer = (s, color) => sharp({ create: { width: s, height: s, channels: 4, background: color } }).png().toBuffer();
+  const layers = [];
+  if (ring) layers.push({ input: await layer(size - 2 * inset, "#ffffff"), left: inset, top: inset });
+  layers.push({ input: await layer(size - 2 * (inset + ring), "#1f6fb2"), left: inset + ring, top: inset + ring });
+  const background = opaque ? "#ffffff" : { r: 0, g: 0, b: 0, alpha: 0 };
+  return sharp({ create: { width: size, height: size, channels: 4, background } }).composite(layers).png().toBuffer();
+}
+
+const codes = (result) => result.issues.map((i) => i.code);
+
+test("print geometry comes from the catalog's print area at its DPI", () => {
+  assert.deepEqual(printSpec(product("sticker-small")), {
+    dpi: 300, width: 938, height: 1238, artWidth: 824, artHeight: 1124, bleed: 19, safe: 38, background: null, dieCut: true,
+  });
+  assert.equal(printSpec(product("mug-11oz")).background, "#ffffff");
+  assert.throws(() => printSpec({ name: "Poster" }), { code: "PRINT_REJECTED" });
+});
+
+test("designs are rejected, flagged or passed for a product before printing", async () => {
+  const sticker = product("sticker-small");
+  assert.deepEqual(await assessArtwork(await artwork(1000), sticker), { status: "ready", issues: [], width: 1000, height: 1000 });
+
+  const soft = await assessArtwork(await artwork(300), sticker);
+  assert.equal(soft.status, "flagged");
+  assert.deepEqual(codes(soft), ["UPSCALED"]);
+  const tiny = await assessArtwork(await artwork(150), sticker);
+  assert.equal(tiny.status, "rejected");
+  assert.deepEqual(codes(tiny), ["LOW_RESOLUTION"]);
+
+  assert.deepEqual(codes(await assessArtwork(await artwork(1000, { opaque: true }), sticker)), ["NOT_TRANSPARENT"]);
+  assert.deepEqual(codes(await assessArtwork(await artwork(1000, { border: false }), sticker)), ["NO_DIE_CUT_BORDER"]);
+  assert.deepEqual(codes(await assessArtwork(await artwork(1000, { opaque: true }), product("mug-11oz"))), [], "only stickers need a transparent background");
+
+  const empty = await sharp({ create: { width: 500, height: 500, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+  assert.deepEqual(codes(await assessArtwork(empty, sticker)), ["EMPTY_DESIGN"]);
+});
+
+test("a print file is rendered once at full size and served to Gooten over a signed link", async (t) => {
+  const { app, ctx, pool, mail, cleanup } = await buildApp();
+  t.after(cleanup);
+  const cookie = await signIn(app, mail, "printer@example.com");
+  const { rows: [user] } = await pool.query("SELECT id FROM users WHERE email='printer@example.com'");
+  const good = await ctx.persistDesign({ userId: user.id, mode: "sticker", externalId: "local-good", buffer: await artwork(1000) });
+  const small = await ctx.persistDesign({ userId: user.id, mode: "sticker", externalId: "local-small", buffer: await artwork(150) });
+
+  const check = await request(app).get(`/designs/${small.id}/print-check?product=sticker-small`).set("Cookie", cookie).expect(200);
+  assert.equal(check.body.status, "rejected");
+  assert.deepEqual(check.body.printArea, { width: 938, height: 1238, dpi: 300 });
+
+  const print = await ctx.preparePrintFile({ designId: good.id, productId: "sticker-small" });
+  assert.equal(print.status, "ready");
+  const url = new URL(print.url);
+  assert.equal(url.origin, "http://app.test");
+  const png = await request(app).get(url.pathname + url.search).expect(200).expect("Content-Type", "image/png");
+  const meta = await sharp(png.body).metadata();
+  assert.deepEqual([meta.width, meta.height, meta.density, meta.hasAlpha], [938, 1238, 300, true]);
+  await request(app).get(`${url.pathname}?sig=forged`).expect(403);
+
+  const again = await ctx.preparePrintFile({ designId: good.id, productId: "sticker-small" });
+  assert.equal(again.key, print.key);
+  assert.equal((await pool.query("SELECT 1 FROM print_files")).rows.length, 1);
+
+  const rejected = await ctx.preparePrintFile({ designId: small.id, productId: "sticker-small" });
+  assert.equal(rejected.url, null);
+  assert.equal(await ctx.storage.get(rejected.key), null, "rejected designs are never stored");
+});
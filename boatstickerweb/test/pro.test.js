@@ -0,0 +1,136 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { buildApp, startFake, fakeStripeClient, signIn } from "./helpers.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stripe stand-in with a monthly and an annual Pro price.
+async function setup(t, env = {}) {
+  const stripeApi = await startFake({
+    "GET /v1/prices/price_month": () => [200, { id: "price_month", object: "price", unit_amount: 499, currency: "usd" }],
+    "GET /v1/prices/price_year": () => [200, { id: "price_year", object: "price", unit_amount: 4900, currency: "usd" }],
+    "POST /v1/checkout/sessions": () => [200, { id: "cs_pro_1", object: "checkout.session", url: "https://checkout.test/cs_pro_1" }],
+    "POST /v1/billing_portal/sessions": () => [200, { id: "bps_1", object: "billing_portal.session", url: "https://billing.test/session" }],
+    "POST /v1/subscriptions/sub_paid": () => [200, { id: "sub_paid", object: "subscription" }],
+  });
+  const built = await buildApp({
+    stripe: fakeStripeClient(stripeApi),
+    env: { STRIPE_PRICE_PRO_MONTHLY: "price_month", STRIPE_PRICE_PRO_ANNUAL: "price_year", ...env },
+  });
+  t.after(async () => { await built.cleanup(); await stripeApi.close(); });
+  const cookie = await signIn(built.app, built.mail, "captain@example.com");
+  const { rows: [user] } = await built.pool.query("SELECT id FROM users WHERE email='captain@example.com'");
+  return { ...built, stripeApi, cookie, user };
+}
+
+const lastParams = (stripeApi) => Object.fromEntries(new URLSearchParams(stripeApi.requests.at(-1).raw));
+
+test("Pro checkout offers monthly and annual prices and ties the subscription to the account", async (t) => {
+  const { app, stripeApi, cookie, user } = await setup(t);
+
+  const prices = await request(app).get("/pro/prices").expect(200);
+  assert.deepEqual(prices.body.prices, [
+    { interval: "month", amount: 499, currency: "usd" },
+    { interval: "year", amount: 4900, currency: "usd" },
+  ]);
+
+  await request(app).post("/pro/checkout").set("Cookie", cookie).send({ interval: "year" }).expect(200, { url: "https://checkout.test/cs_pro_1" });
+  const params = lastParams(stripeApi);
+  assert.equal(params.mode, "subscription");
+  assert.equal(params["line_items[0][price]"], "price_year");
+  assert.equal(params.client_reference_id, user.id);
+  assert.equal(params["subscription_data[metadata][userId]"], user.id);
+  assert.equal(params.customer_email, "captain@example.com");
+
+  await request(app).post("/pro/checkout").send({}).expect(200);
+  const anonymous = lastParams(stripeApi);
+  assert.equal(anonymous["line_items[0][price]"], "price_month");
+  assert.equal(anonymous.client_reference_id, undefined);
+});
+
+test("an annual checkout without an annual price is refused", async (t) => {
+  const { app, stripeApi } = await setup(t, { STRIPE_PRICE_PRO_ANNUAL: "" });
+  const res = await request(app).post("/pro/checkout").send({ interval: "year" }).expect(400);
+  assert.equal(res.body.error, "Missing STRIPE_PRICE_PRO_ANNUAL");
+  assert.equal(stripeApi.requests.length, 0);
+});
+
+test("subscribers see their plan and open Stripe's billing portal", async (t) => {
+  const { app, pool, stripeApi, cookie, user } = await setup(t);
+
+  await request(app).post("/pro/portal").expect(401);
+  await request(app).post("/pro/portal").set("Cookie", cookie).expect(404);
+  const free = await request(app).get("/me/subscription").set("Cookie", cookie).expect(200);
+  assert.deepEqual(free.body, { email: "captain@example.com", plan: "free", subscription: null, credits: 0 });
+
+  const periodEnd = new Date(Date.now() + 300 * DAY);
+  await pool.query(
+    `INSERT INTO subscriptions (user_id, plan, status, stripe_customer_id, stripe_subscription_id, current_period_end, cancel_at_period_end, billing_interval)
+     VALUES ($1,'pro','active','cus_9','sub_9',$2,true,'year')`,
+    [user.id, periodEnd]
+  );
+  const pro = await request(app).get("/me/subscription").set("Cookie", cookie).expect(200);
+  assert.equal(pro.body.plan, "pro");
+  assert.deepEqual(
+    { ...pro.body.subscription, currentPeriodEnd: new Date(pro.body.subscription.currentPeriodEnd).getTime() },
+    { plan: "pro", status: "active", source: "stripe", interval: "year", currentPeriodEnd: periodEnd.getTime(), cancelAtPeriodEnd: true, manageable: true }
+  );
+
+  await request(app).post("/pro/portal").set("Cookie", cookie).expect(200, { url: "https://billing.test/session" });
+  const params = lastParams(stripeApi);
+  assert.equal(params.customer, "cus_9");
+  assert.equal(params.return_url, "http://app.test/account.html");
+});
+
+test("a subscription paid under another email is claimed by proving that inbox", async (t) => {
+  const { app, ctx, pool, mail, stripeApi, cookie, user } = await setup(t);
+  const { rows: [payer] } = await pool.query("INSERT INTO users (email) VALUES ('payer@example.com') RETURNING id");
+  await pool.query(
+    "INSERT INTO subscriptions (user_id, plan, status, stripe_subscription_id, current_period_end) VALUES ($1,'pro','active','sub_paid',$2)",
+    [payer.id, new Date(Date.now() + 20 * DAY)]
+  );
+
+  await request(app).post("/pro/claim").send({ email: "payer@example.com" }).expect(401);
+  await request(app).post("/pro/claim").set("Cookie", cookie).send({ email: "Captain@example.com" }).expect(400);
+  const sent = mail.length;
+  await request(app).post("/pro/claim").set("Cookie", cookie).send({ email: "nobody@example.com" }).expect(200, { ok: true });
+  assert.equal(mail.length, sent, "no hint whether an address has a subscription");
+
+  await request(app).post("/pro/claim").set("Cookie", cookie).send({ email: "Payer@Example.com" }).expect(200, { ok: true });
+  const message = mail.at(-1);
+  assert.equal(message.to, "payer@example.com");
+  assert.match(message.html, /captain@example\.com asked to move/);
+  const link = new URL(message.html.match(/href="([^"]+)"/)[1]);
+  assert.equal(await ctx.getPlan(user.id), "free");
+
+  const verified = await request(app).get(link.pathname + link.search).expect(302);
+  assert.equal(verified.headers.location, "/account.html?claimed=1");
+  assert.equal(await ctx.getPlan(user.id), "pro");
+  assert.equal(await ctx.getPlan(payer.id), "free");
+  const update = stripeApi.requests.at(-1);
+  assert.equal(update.path, "/v1/subscriptions/sub_paid");
+  assert.equal(new URLSearchParams(update.raw).get("metadata[userId]"), user.id);
+
+  await request(app).get(link.pathname + link.search).expect(400);
+});
+
+test("Pro follows the billing period, with a grace period while a renewal is past due", async (t) => {
+  const { ctx, pool, user } = await setup(t);
+  const planWith = async (status, periodEnd, source = "stripe") => {
+    await pool.query("DELETE FROM subscriptions");
+    await pool.query(
+      "INSERT INTO subscriptions (user_id, plan, status, source, current_period_end) VALUES ($1,'pro',$2,$3,$4)",
+      [user.id, status, source, periodEnd]
+    );
+    return ctx.getPlan(user.id);
+  };
+
+  assert.equal(await planWith("active", new Date(Date.now() + DAY)), "pro");
+  assert.equal(await planWith("active", new Date(0)), "pro", "rows from before period tracking trust the status");
+  assert.equal(await planWith("active", new Date(Date.now() - 10 * DAY)), "free", "a renewal that never arrived");
+  assert.equal(await planWith("past_due", new Date(Date.now() - 3 * DAY)), "pro", "within PRO_PAST_DUE_GRACE_DAYS");
+  assert.equal(await planWith("past_due", new Date(Date.now() - 8 * DAY)), "free");
+  assert.equal(await planWith("canceled", new Date(Date.now() + DAY)), "free");
+  assert.equal(await planWith("active", new Date(Date.now() - 60 * 1000), "comp"), "free", "comped plans end on time");
+});
@@ -0,0 +1,125 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import sharp from "sharp";
+import { createImageProvider, createInProcessJobs, createLocalProvider, createOpenAIProvider, createReplicateProvider } from "../lib/providers.js";
+import { createLocalStorage } from "../lib/storage.js";
+import { startFake, boatPhoto } from "./helpers.js";
+
+async function tempStorage(t) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "providers-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  return createLocalStorage(dir);
+}
+
+async function settled(provider, id) {
+  for (;;) {
+    const status = await provider.getStatus(id);
+    if (status.status !== "processing") return status;
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+test("the local provider renders the same image for the same input, with no keys", async (t) => {
+  const provider = createLocalProvider({ storage: await tempStorage(t) });
+  assert.equal(provider.missingConfig, null);
+  const image = await boatPhoto();
+
+  const outputs = [];
+  for (const background of ["transparent", "transparent", "opaque"]) {
+    const { id } = await provider.createJob({ image, prompt: "ignored", background });
+    assert.match(id, /^local-/);
+    const status = await settled(provider, id);
+    assert.deepEqual(status, { id, status: "succeeded", output: [`/generated/${id}.png`], error: null });
+    outputs.push(await provider.readOutput(id));
+  }
+  assert.ok(outputs[0].equals(outputs[1]), "deterministic");
+  assert.ok(!outputs[0].equals(outputs[2]), "opaque output is a different rendering");
+  const meta = await sharp(outputs[0]).metadata();
+  assert.deepEqual([meta.width, meta.height, meta.hasAlpha], [64, 48, true]);
+
+  await assert.rejects(provider.getStatus("local-missing"), { code: "PROVIDER_ERROR", status: 404 });
+  await assert.rejects(provider.cancel("local-missing"), { status: 404 });
+});
+
+test("in-process jobs can be followed and cancelled from any instance sharing the storage", async (t) => {
+  const storage = await tempStorage(t);
+  const runs = [];
+  const run = () => new Promise((resolve, reject) => runs.push({ resolve, reject }));
+  const owner = createInProcessJobs("local", run, storage);
+  const peer = createInProcessJobs("local", run, storage);
+  const png = await boatPhoto();
+
+  const done = await owner.createJob({});
+  assert.equal((await peer.getStatus(done.id)).status, "processing");
+  runs[0].resolve(png);
+  assert.deepEqual(await settled(peer, done.id), { id: done.id, status: "succeeded", output: [`/generated/${done.id}.png`], error: null });
+  assert.ok((await peer.readOutput(done.id)).equals(png));
+
+  const broken = await owner.createJob({});
+  runs[1].reject(new Error("model offline"));
+  assert.deepEqual(await settled(peer, broken.id), { id: broken.id, status: "failed", output: [], error: "model offline" });
+
+  const dropped = await owner.createJob({});
+  await peer.cancel(dropped.id);
+  runs[2].resolve(png);
+  assert.equal((await settled(owner, dropped.id)).status, "canceled");
+  assert.equal(await owner.readOutput(dropped.id), null, "a cancelled job's output is never stored");
+});
+
+test("the Replicate provider creates, polls and cancels predictions", async (t) => {
+  const fake = await startFake({
+    "POST /v1/predictions": () => [201, { id: "pred-1", status: "starting" }],
+    "GET /v1/predictions/pred-1": () => [200, { id: "pred-1", status: "succeeded", output: "https://replicate.test/out.png" }],
+    "GET /v1/predictions/pred-gone": () => [404, { detail: "Not found" }],
+    "POST /v1/predictions/pred-1/cancel": () => [200, { id: "pred-1", status: "canceled" }],
+  });
+  t.after(() => fake.close());
+  const provider = createReplicateProvider({ token: "r8_test", version: "v-test", openaiKey: "sk-test", apiUrl: `${fake.url}/v1` });
+  assert.equal(provider.missingConfig, null);
+
+  const { id } = await provider.createJob({
+    image: await boatPhoto(), prompt: "a sticker", background: "transparent", orientation: "landscape", webhookUrl: "http://app.test/hooks/replicate",
+  });
+  assert.equal(id, "pred-1");
+  const created = fake.requests[0];
+  assert.equal(created.headers.authorization, "Token r8_test");
+  assert.equal(created.body.version, "v-test");
+  assert.equal(created.body.webhook, "http://app.test/hooks/replicate");
+  assert.equal(created.body.input.aspect_ratio, "3:2");
+  assert.match(created.body.input.image, /^data:image\/png;base64,/);
+
+  assert.deepEqual(await provider.getStatus(id), { id, status: "succeeded", output: ["https://replicate.test/out.png"], error: null });
+  await provider.cancel(id);
+  assert.equal(fake.requests.at(-1).path, "/v1/predictions/pred-1/cancel");
+  await assert.rejects(provider.getStatus("pred-gone"), { code: "PROVIDER_ERROR", status: 404 });
+
+  assert.match(createReplicateProvider({ token: "", openaiKey: "sk" }).missingConfig, /REPLICATE_API_TOKEN/);
+});
+
+test("the OpenAI provider stores the edited image it gets back", async (t) => {
+  const png = await sharp({ create: { width: 8, height: 8, channels: 4, background: "#ff000080" } }).png().toBuffer();
+  const fake = await startFake({
+    "POST /v1/images/edits": () => [200, { data: [{ b64_json: png.toString("base64") }] }],
+  });
+  t.after(() => fake.close());
+  const provider = createOpenAIProvider({ apiKey: "sk-test", model: "gpt-image-1", apiUrl: `${fake.url}/v1`, storage: await tempStorage(t) });
+
+  const { id } = await provider.createJob({ image: await boatPhoto(), prompt: "a sticker", background: "transparent", orientation: "portrait" });
+  assert.equal((await settled(provider, id)).status, "succeeded");
+  assert.ok((await provider.readOutput(id)).equals(png));
+  assert.equal(fake.requests[0].headers.authorization, "Bearer sk-test");
+  assert.match(fake.requests[0].headers["content-type"], /^multipart\/form-data/);
+
+  assert.equal(createOpenAIProvider({ apiKey: "", model: "m", storage: null }).missingConfig, "Missing API credentials (OPENAI_API_KEY).");
+});
+
+test("IMAGE_PROVIDER selects the backend", async (t) => {
+  const storage = await tempStorage(t);
+  assert.equal(createImageProvider({ IMAGE_PROVIDER: "local" }, { storage }).name, "local");
+  assert.equal(createImageProvider({ IMAGE_PROVIDER: "openai", OPENAI_API_KEY: "sk" }, { storage }).name, "openai");
+  assert.equal(createImageProvider({ IMAGE_PROVIDER: "replicate" }, { storage }).name, "replicate");
+  assert.throws(() => createImageProvider({ IMAGE_PROVIDER: "dalle" }, { storage }), /Unknown IMAGE_PROVIDER "dalle" \(expected replicate, openai, local\)/);
+});
@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { buildApp, startFake, signIn, boatPhoto } from "./helpers.js";
+
+// Replicate stand-in: every prediction is accepted unless `fail` is set.
+async function fakeReplicate() {
+  let n = 0;
+  const state = { fail: false };
+  const fake = await startFake({
+    "POST /v1/predictions": () => state.fail
+      ? [500, { detail: "model offline" }]
+      : [201, { id: `pred-${++n}`, status: "starting" }],
+  });
+  return Object.assign(fake, { state });
+}
+
+const REPLICATE_ENV = (fake) => ({
+  IMAGE_PROVIDER: "replicate",
+  REPLICATE_API_URL: `${fake.url}/v1`,
+  REPLICATE_API_TOKEN: "r8_test",
+  OPENAI_API_KEY: "sk-test",
+});
+
+const generate = (app, photo, cookie) => {
+  const req = request(app).post("/generate-image").field("mode", "image").attach("boatImage", photo, "boat.png");
+  return cookie ? req.set("Cookie", cookie) : req;
+};
+
+test("anonymous visitors get ANON_DAILY_LIMIT generations per device", async (t) => {
+  const replicate = await fakeReplicate();
+  const { app, cleanup } = await buildApp({ env: { ...REPLICATE_ENV(replicate), ANON_DAILY_LIMIT: "1" } });
+  t.after(async () => { await cleanup(); await replicate.close(); });
+  const photo = await boatPhoto();
+
+  const first = await generate(app, photo).expect(200);
+  assert.equal(first.body.prediction.id, "pred-1");
+  const device = first.headers["set-cookie"].find((c) => c.startsWith("device_id="));
+  assert.ok(device, "device cookie issued");
+
+  const second = await generate(app, photo, device).expect(429);
+  assert.equal(second.body.limit, 1);
+  assert.equal(replicate.requests.length, 1, "blocked requests never reach the provider");
+
+  const sent = replicate.requests[0].body;
+  assert.equal(sent.input.background, "opaque");
+  assert.match(sent.input.input_images[0], /^data:image\/png;base64,/);
+});
+
+test("an unsigned or tampered device cookie gets a fresh device bucket", async (t) => {
+  const replicate = await fakeReplicate();
+  const { app, cleanup } = await buildApp({ env: { ...REPLICATE_ENV(replicate), ANON_DAILY_LIMIT: "1" } });
+  t.after(async () => { await cleanup(); await replicate.close(); });
+  const photo = await boatPhoto();
+  const deviceCookie = (res) => res.headers["set-cookie"]?.find((c) => c.startsWith("device_id="))?.split(";")[0];
+
+  const device = deviceCookie(await generate(app, photo).expect(200));
+  const [, id, signature] = decodeURIComponent(device).match(/^device_id=s:([0-9a-f-]+)\.(.+)$/);
+
+  for (const forged of [`device_id=${id}`, `device_id=${encodeURIComponent(`s:${id}.${signature.slice(1)}x`)}`]) {
+    const res = await generate(app, photo, forged).expect(200);
+    assert.ok(deviceCookie(res), "a new device id is issued");
+    assert.notEqual(deviceCookie(res), device);
+  }
+  await generate(app, photo, device).expect(429);
+});
+
+test("signed-in free users are limited per account and see it in /me/usage", async (t) => {
+  const replicate = await fakeReplicate();
+  const { app, mail, cleanup } = await buildApp({ env: { ...REPLICATE_ENV(replicate), FREE_DAILY_LIMIT: "2" } });
+  t.after(async () => { await cleanup(); await replicate.close(); });
+  const photo = await boatPhoto();
+  const cookie = await signIn(app, mail, "free@example.com");
+
+  const first = await generate(app, photo, cookie).expect(200);
+  assert.equal(first.body.job.status, "starting");
+  assert.ok(first.body.batch.id, "signed-in uploads are saved as a batch");
+  await generate(app, photo, cookie).expect(200);
+  const blocked = await generate(app, photo, cookie).expect(429);
+  assert.equal(blocked.body.limit, 2);
+
+  const usage = await request(app).get("/me/usage").set("Cookie", cookie).expect(200);
+  assert.equal(usage.body.plan, "free");
+  assert.equal(usage.body.used, 2);
+  assert.equal(usage.body.remaining, 0);
+});
+
+test("a provider failure refunds the quota it reserved", async (t) => {
+  const replicate = await fakeReplicate();
+  const { app, mail, cleanup } = await buildApp({ env: { ...REPLICATE_ENV(replicate), FREE_DAILY_LIMIT: "1" } });
+  t.after(async () => { await cleanup(); await replicate.close(); });
+  const photo = await boatPhoto();
+  const cookie = await signIn(app, mail, "unlucky@example.com");
+
+  replicate.state.fail = true;
+  await generate(app, photo, cookie).expect(502);
+  const usage = await request(app).get("/me/usage").set("Cookie", cookie).expect(200);
+  assert.equal(usage.body.used, 0);
+
+  replicate.state.fail = false;
+  await generate(app, photo, cookie).expect(200);
+  await generate(app, photo, cookie).expect(429);
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import request from "supertest";
+import { traceOutlines, loopsToPathData } from "../lib/stickers.js";
+import { buildApp, signIn } from "./helpers.js";
+
+// 100px square, `background` behind a 40px navy square and a 2px speck in the corner.
+async function generated(background = "#f4f4f4") {
+  const square = await sharp({ create: { width: 40, height: 40, channels: 4, background: "#1f3b6f" } }).png().toBuffer();
+  const speck = await sharp({ create: { width: 2, height: 2, channels: 4, background: "#000000" } }).png().toBuffer();
+  return sharp({ create: { width: 100, height: 100, channels: 4, background } })
+    .composite([{ input: square, left: 30, top: 30 }, { input: speck, left: 5, top: 5 }])
+    .png()
+    .toBuffer();
+}
+
+async function pixels(buffer) {
+  const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, at: (x, y) => [...data.subarray((y * info.width + x) * 4, (y * info.width + x) * 4 + 4)] };
+}
+
+test("outlines follow pixel edges and become closed SVG paths", () => {
+  const w = 5, h = 4;
+  const mask = new Uint8Array(w * h);
+  for (const [x, y] of [[1, 1], [2, 1], [3, 1], [1, 2], [2, 2], [3, 2]]) mask[y * w + x] = 1;
+  const loops = traceOutlines(mask, w, h);
+  assert.equal(loops.length, 1);
+  assert.equal(loopsToPathData(loops), "M1 1 L4 1 L4 3 L1 3 Z");
+  assert.equal(loopsToPathData(loops, ([x, y]) => [x / 3, y * 1.5]), "M0.33 1.5 L1.33 1.5 L1.33 4.5 L0.33 4.5 Z");
+  assert.deepEqual(traceOutlines(new Uint8Array(w * h), w, h), []);
+});
+
+test("stickers lose their background and specks and gain a white contour", async (t) => {
+  const { ctx, cleanup } = await buildApp();
+  t.after(cleanup);
+
+  const out = await pixels(await ctx.dieCutSticker(await generated()));
+  // Default STICKER_BORDER_PCT=3: a 3px contour, padded by 2px more on every side.
+  assert.deepEqual([out.width, out.height], [110, 110]);
+  assert.equal(out.at(0, 0)[3], 0, "background keyed out");
+  assert.equal(out.at(11, 11)[3], 0, "speck dropped");
+  assert.deepEqual(out.at(55, 55), [0x1f, 0x3b, 0x6f, 255], "artwork untouched");
+  assert.deepEqual(out.at(33, 55), [255, 255, 255, 255], "contour just outside the artwork");
+  assert.equal(out.at(28, 55)[3], 0, "nothing beyond the contour");
+
+  const bare = await pixels(await ctx.dieCutSticker(await generated(), { borderFraction: 0 }));
+  assert.deepEqual([bare.width, bare.height], [104, 104]);
+  assert.equal(bare.at(31, 52)[3], 0);
+
+  const blank = await sharp({ create: { width: 50, height: 50, channels: 4, background: "#ffffff" } }).png().toBuffer();
+  await assert.rejects(ctx.dieCutSticker(blank), /empty after background removal/);
+});
+
+test("a sticker's cut line is exported as SVG, optionally placed on a product's print area", async (t) => {
+  const { app, ctx, pool, mail, cleanup } = await buildApp();
+  t.after(cleanup);
+  const cookie = await signIn(app, mail, "cutter@example.com");
+  const { rows: [user] } = await pool.query("SELECT id FROM users WHERE email='cutter@example.com'");
+  const sticker = await ctx.dieCutSticker(await generated());
+  const design = await ctx.persistDesign({ userId: user.id, mode: "sticker", externalId: "local-cut", buffer: sticker });
+  const url = `/designs/${design.id}/cutline.svg`;
+
+  await request(app).get(url).expect(401);
+  await request(app).get(url).set("Cookie", await signIn(app, mail, "stranger@example.com")).expect(404);
+
+  const raw = await request(app).get(url).set("Cookie", cookie).expect(200).expect("Content-Type", /^image\/svg\+xml/);
+  assert.equal(raw.headers["content-disposition"], `attachment; filename="cutline-${design.id}.svg"`);
+  const svg = raw.body.toString();
+  assert.match(svg, /width="110" height="110" viewBox="0 0 110 110"/);
+  assert.equal(svg.match(/<path /g).length, 1);
+  assert.match(svg, /<path id="CutContour" d="M[^"]+ Z"/);
+
+  const placed = await request(app).get(`${url}?product=sticker-small`).set("Cookie", cookie).expect(200);
+  assert.match(placed.body.toString(), /width="3\.1267in" height="4\.1267in" viewBox="0 0 938 1238"/);
+
+  await request(app).get(`${url}?product=mug-11oz`).set("Cookie", cookie).expect(400);
+  await request(app).get(`${url}?product=poster`).set("Cookie", cookie).expect(404);
+});
@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { buildApp, startFake, fakeStripeClient, signStripeEvent, signIn } from "./helpers.js";
+
+const DAY = 24 * 60 * 60;
+
+async function fakeStripe() {
+  return startFake({
+    "GET /v1/subscriptions/sub_123": () => [200, {
+      id: "sub_123",
+      object: "subscription",
+      status: "active",
+      customer: "cus_123",
+      cancel_at_period_end: false,
+      current_period_end: Math.floor(Date.now() / 1000) + 30 * DAY,
+      items: { object: "list", data: [{ price: { recurring: { interval: "month" } } }] },
+    }],
+    "GET /v1/subscriptions/sub_missing": () => [404, {
+      error: { type: "invalid_request_error", message: "No such subscription: 'sub_missing'" },
+    }],
+  });
+}
+
+const post = (app, stripe, event) => {
+  const { payload, header } = signStripeEvent(stripe, event);
+  return request(app).post("/webhook").set("Content-Type", "application/json").set("Stripe-Signature", header).send(payload);
+};
+
+test("checkout.session.completed for a subscription upgrades the user to Pro", async (t) => {
+  const api = await fakeStripe();
+  const stripe = fakeStripeClient(api);
+  const { app, mail, pool, cleanup } = await buildApp({ stripe });
+  t.after(async () => { await cleanup(); await api.close(); });
+
+  const cookie = await signIn(app, mail, "captain@example.com");
+  const { rows } = await pool.query("SELECT id FROM users WHERE email='captain@example.com'");
+  const before = await request(app).get("/me/plan").set("Cookie", cookie).expect(200);
+  assert.equal(before.body.plan, "free");
+
+  const event = {
+    id: "evt_sub_1",
+    type: "checkout.session.completed",
+    data: { object: { id: "cs_sub_1", mode: "subscription", subscription: "sub_123", client_reference_id: rows[0].id } },
+  };
+  const res = await post(app, stripe, event).expect(200);
+  assert.deepEqual(res.body, { received: true });
+  assert.deepEqual(api.requests.map((r) => `${r.method} ${r.path}`), ["GET /v1/subscriptions/sub_123"]);
+
+  const after = await request(app).get("/me/plan").set("Cookie", cookie).expect(200);
+  assert.equal(after.body.plan, "pro");
+  const sub = await pool.query("SELECT status, stripe_customer_id, billing_interval FROM subscriptions WHERE user_id=$1", [rows[0].id]);
+  assert.deepEqual(sub.rows[0], { status: "active", stripe_customer_id: "cus_123", billing_interval: "month" });
+
+  // Redelivery dedup (claimStripeEvent) relies on ON CONFLICT ... DO UPDATE
+  // ... WHERE, which pg-mem doesn't evaluate, so it isn't covered here.
+
+  await post(app, stripe, {
+    id: "evt_sub_2",
+    type: "customer.subscription.deleted",
+    data: { object: { id: "sub_123", object: "subscription" } },
+  }).expect(200);
+  const cancelled = await request(app).get("/me/plan").set("Cookie", cookie).expect(200);
+  assert.equal(cancelled.body.plan, "free");
+});
+
+test("anonymous subscription checkout creates the account from the paying email", async (t) => {
+  const api = await fakeStripe();
+  const stripe = fakeStripeClient(api);
+  const { app, ctx, pool, cleanup } = await buildApp({ stripe });
+  t.after(async () => { await cleanup(); await api.close(); });
+
+  await post(app, stripe, {
+    id: "evt_sub_anon",
+    type: "checkout.session.completed",
+    data: { object: { id: "cs_sub_anon", mode: "subscription", subscription: "sub_123", customer_details: { email: "New.Owner@example.com" } } },
+  }).expect(200);
+  const { rows } = await pool.query("SELECT id FROM users WHERE email='new.owner@example.com'");
+  assert.equal(rows.length, 1);
+  assert.equal(await ctx.getPlan(rows[0].id), "pro");
+});
+
+test("webhooks with a bad signature are rejected", async (t) => {
+  const api = await fakeStripe();
+  const stripe = fakeStripeClient(api);
+  const { app, pool, cleanup } = await buildApp({ stripe });
+  t.after(async () => { await cleanup(); await api.close(); });
+
+  await request(app)
+    .post("/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", "t=1,v1=deadbeef")
+    .send(JSON.stringify({ id: "evt_forged", type: "checkout.session.completed", data: { object: {} } }))
+    .expect(400);
+  const { rows } = await pool.query("SELECT count(*)::int AS n FROM stripe_events");
+  assert.equal(rows[0].n, 0);
+});
+
+test("every event is logged with its outcome, and refunds, dunning and expiries update our records", async (t) => {
+  const api = await fakeStripe();
+  const stripe = fakeStripeClient(api);
+  const { app, pool, cleanup } = await buildApp({ stripe });
+  t.after(async () => { await cleanup(); await api.close(); });
+
+  const { rows: [user] } = await pool.query("INSERT INTO users (email) VALUES ('captain@example.com') RETURNING id");
+  await pool.query("INSERT INTO subscriptions (user_id, plan, status, stripe_subscription_id) VALUES ($1,'pro','active','sub_123')", [user.id]);
+  await pool.query(
+    `INSERT INTO orders (stripe_session_id, stripe_payment_intent_id, email, items, status, next_attempt_at)
+     VALUES ('cs_a','pi_a','a@example.com','[]','failed', now()), ('cs_b','pi_b','b@example.com','[]','submitted', NULL),
+            ('cs_c','pi_c','c@example.com','[]','shipped', NULL)`
+  );
+  await pool.query("INSERT INTO checkout_sessions (stripe_session_id, items) VALUES ('cs_gone','[]')");
+
+  await post(app, stripe, { id: "evt_dun", type: "invoice.payment_failed", data: { object: { id: "in_1", subscription: "sub_123" } } }).expect(200);
+  await post(app, stripe, { id: "evt_ref_a", type: "charge.refunded", data: { object: { payment_intent: "pi_a", amount: 1200, amount_refunded: 1200, refunded: true } } }).expect(200);
+  await post(app, stripe, { id: "evt_ref_b", type: "charge.refunded", data: { object: { payment_intent: "pi_b", amount: 1200, amount_refunded: 300, refunded: false } } }).expect(200);
+  await post(app, stripe, { id: "evt_ref_c", type: "charge.refunded", data: { object: { payment_intent: "pi_c", amount: 1200, amount_refunded: 1200, refunded: true } } }).expect(200);
+  await post(app, stripe, { id: "evt_exp", type: "checkout.session.expired", data: { object: { id: "cs_gone" } } }).expect(200);
+  await post(app, stripe, { id: "evt_other", type: "customer.created", data: { object: { id: "cus_1" } } }).expect(200);
+  await post(app, stripe, {
+    id: "evt_broken",
+    type: "checkout.session.completed",
+    data: { object: { id: "cs_sub_x", mode: "subscription", subscription: "sub_missing", client_reference_id: user.id } },
+  }).expect(500);
+
+  const { rows: [sub] } = await pool.query("SELECT status FROM subscriptions");
+  assert.equal(sub.status, "past_due");
+  const { rows: orders } = await pool.query("SELECT stripe_session_id, status, refunded_amount, next_attempt_at FROM orders ORDER BY stripe_session_id");
+  assert.deepEqual(orders, [
+    { stripe_session_id: "cs_a", status: "refunded", refunded_amount: 1200, next_attempt_at: null },
+    { stripe_session_id: "cs_b", status: "submitted", refunded_amount: 300, next_attempt_at: null },
+    { stripe_session_id: "cs_c", status: "shipped", refunded_amount: 1200, next_attempt_at: null },
+  ]);
+  assert.equal((await pool.query("SELECT 1 FROM checkout_sessions")).rows.length, 0);
+
+  const { rows: events } = await pool.query("SELECT id, type, status, error, payload FROM stripe_events ORDER BY id");
+  const byId = Object.fromEntries(events.map((e) => [e.id, e]));
+  assert.equal(events.length, 7);
+  assert.equal(byId.evt_dun.status, "processed");
+  assert.equal(byId.evt_ref_a.type, "charge.refunded");
+  assert.equal(byId.evt_ref_a.payload.data.object.payment_intent, "pi_a");
+  assert.equal(byId.evt_other.status, "ignored");
+  assert.equal(byId.evt_broken.status, "failed");
+  assert.equal(byId.evt_broken.error, "No such subscription: 'sub_missing'");
+});
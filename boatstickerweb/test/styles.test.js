@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import sharp from "sharp";
+import request from "supertest";
+import { loadStyles, padToOrientation } from "../lib/styles.js";
+import { buildApp, startFake, signIn, boatPhoto } from "./helpers.js";
+
+async function stylesFile(t, contents) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "styles-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "styles.json");
+  await fs.writeFile(file, JSON.stringify(contents));
+  return file;
+}
+
+test("style presets are validated when loaded", async (t) => {
+  const lines = { id: "lines", name: "Lines", plan: "free", prompt: "Draw it." };
+  const badge = { id: "badge", name: "Badge", plan: "pro", prompt: { image: "Badge it.", sticker: "Badge sticker." }, modes: ["sticker"] };
+
+  const ok = await loadStyles(await stylesFile(t, { defaults: { free: "lines", pro: "badge" }, styles: [lines, badge] }));
+  assert.deepEqual(ok.styles.map((s) => s.modes), [["image", "sticker"], ["sticker"]]);
+  assert.deepEqual(ok.backgrounds, {});
+
+  await assert.rejects(
+    loadStyles(await stylesFile(t, { defaults: { free: "lines", pro: "lines" }, styles: [lines, { ...badge, plan: "gold" }] })),
+    /Invalid style preset/
+  );
+  await assert.rejects(
+    loadStyles(await stylesFile(t, { defaults: { free: "badge", pro: "badge" }, styles: [lines, badge] })),
+    /bad default for free/, "the free default can't be a Pro style"
+  );
+  await assert.rejects(loadStyles(await stylesFile(t, { defaults: { free: "lines" }, styles: [lines] })), /bad default for pro/);
+});
+
+test("uploads are padded out to the requested orientation", () => {
+  assert.deepEqual(padToOrientation(100, 100, "landscape"), { x: 25, y: 0 });
+  assert.deepEqual(padToOrientation(100, 100, "portrait"), { x: 0, y: 25 });
+  assert.deepEqual(padToOrientation(150, 100, "square"), { x: 0, y: 25 });
+  assert.deepEqual(padToOrientation(100, 100, null), { x: 0, y: 0 });
+});
+
+test("generation options are checked against the plan and turned into one prompt", async (t) => {
+  const { ctx, cleanup } = await buildApp();
+  t.after(cleanup);
+  const parse = (body, mode = "image", access = "free") => ctx.parseGenerationOptions(body, { mode, access });
+
+  assert.equal(parse({}).style.id, "line-art");
+  assert.equal(parse({}, "image", "pro").style.id, "classic");
+  assert.throws(() => parse({ style: "watercolor" }), { code: "STYLE_LOCKED", message: "Watercolor is a Pro style" });
+  assert.throws(() => parse({ style: "disco" }), { code: "INVALID_OPTIONS" });
+  assert.throws(() => parse({ boatName: "x".repeat(33) }), /at most 32 characters/);
+  assert.throws(() => parse({ boatName: 'Sea "Breeze"' }), /unsupported characters/);
+  assert.throws(() => parse({ background: "navy" }, "sticker"), /transparent background/);
+  assert.throws(() => parse({ background: "plaid" }), /Unknown background/);
+  assert.throws(() => parse({ orientation: "diagonal" }), /Unknown orientation/);
+
+  const options = parse({ style: "blueprint", boatName: "  Sea   Breeze ", background: "navy", orientation: "landscape" }, "image", "pro");
+  assert.equal(options.boatName, "Sea Breeze");
+  const prompt = ctx.buildPrompt(options, "image");
+  assert.ok(prompt.startsWith("Create a technical blueprint-style drawing"));
+  assert.match(prompt, /Letter the boat name "Sea Breeze" on the hull/);
+  assert.match(prompt, /Compose the image for a landscape frame\./);
+  assert.ok(prompt.endsWith("SOLID deep navy (#1f2b48) background."), "the chosen background beats the style's own");
+  assert.ok(ctx.buildPrompt({ ...options, background: null }, "image").endsWith("faint white grid."));
+
+  const sticker = ctx.buildPrompt(parse({ style: "classic" }, "sticker", "pro"), "sticker");
+  assert.match(sticker, /^Create a vibrant, vector-style illustration/);
+  assert.ok(sticker.endsWith("TRANSPARENT background."));
+  assert.doesNotMatch(sticker, /die-cut contour/, "the contour is drawn after generation");
+});
+
+test("the model draws the contour itself when sticker post-processing is off", async (t) => {
+  const { ctx, cleanup } = await buildApp({ env: { STICKER_POSTPROCESS: "false" } });
+  t.after(cleanup);
+  const options = ctx.parseGenerationOptions({}, { mode: "sticker", access: "free" });
+  assert.match(ctx.buildPrompt(options, "sticker"), /thick white die-cut contour/);
+});
+
+test("GET /styles marks Pro presets locked for free plans", async (t) => {
+  const { app, pool, mail, cleanup } = await buildApp();
+  t.after(cleanup);
+
+  const anonymous = await request(app).get("/styles").expect(200);
+  assert.deepEqual(anonymous.body.defaults, { free: "line-art", pro: "classic" });
+  assert.deepEqual(anonymous.body.orientations, ["square", "landscape", "portrait"]);
+  assert.deepEqual(anonymous.body.backgrounds[0], { id: "white", label: "White", hex: "#ffffff" });
+  const locked = Object.fromEntries(anonymous.body.styles.map((s) => [s.id, s.locked]));
+  assert.deepEqual(locked, { "line-art": false, classic: true, "vintage-badge": true, watercolor: true, "retro-70s": true, blueprint: true });
+  assert.equal(anonymous.body.styles[0].prompt, undefined, "prompts stay on the server");
+
+  const cookie = await signIn(app, mail, "pro@example.com");
+  await pool.query("INSERT INTO subscriptions (user_id, plan, status) SELECT id, 'pro', 'active' FROM users WHERE email='pro@example.com'");
+  const pro = await request(app).get("/styles").set("Cookie", cookie).expect(200);
+  assert.ok(pro.body.styles.every((s) => !s.locked));
+});
+
+test("/generate-image sends the preset's prompt and pads the upload to the chosen frame", async (t) => {
+  const replicate = await startFake({
+    "POST /v1/predictions": () => [201, { id: "pred-1", status: "starting" }],
+  });
+  const { app, pool, mail, cleanup } = await buildApp({
+    env: { IMAGE_PROVIDER: "replicate", REPLICATE_API_URL: `${replicate.url}/v1`, REPLICATE_API_TOKEN: "r8_test", OPENAI_API_KEY: "sk-test" },
+  });
+  t.after(async () => { await cleanup(); await replicate.close(); });
+  const cookie = await signIn(app, mail, "pro@example.com");
+  const photo = await boatPhoto();
+  const generate = (fields) => {
+    let req = request(app).post("/generate-image").set("Cookie", cookie).field("mode", "image");
+    for (const [k, v] of Object.entries(fields)) req = req.field(k, v);
+    return req.attach("boatImage", photo, "boat.png");
+  };
+
+  const locked = await generate({ style: "blueprint" }).expect(403);
+  assert.equal(locked.body.upgrade, true);
+  await generate({ boatName: "<script>" }).expect(400);
+  assert.equal(replicate.requests.length, 0, "rejected options are never charged or sent");
+
+  await pool.query("INSERT INTO subscriptions (user_id, plan, status) SELECT id, 'pro', 'active' FROM users WHERE email='pro@example.com'");
+  await generate({ style: "blueprint", background: "navy", orientation: "landscape" }).expect(200);
+  const { input } = replicate.requests[0].body;
+  assert.match(input.prompt, /^Create a technical blueprint-style drawing.*SOLID deep navy \(#1f2b48\) background\.$/);
+
+  // 64×48 photo plus a 12% margin (80×64), then widened to 3:2 in the background colour.
+  const sent = Buffer.from(input.input_images[0].split(",")[1], "base64");
+  const { data, info } = await sharp(sent).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([info.width, info.height], [96, 64]);
+  assert.deepEqual([...data.subarray(0, 3)], [0x1f, 0x2b, 0x48]);
+});
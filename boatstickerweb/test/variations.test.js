@@ -0,0 +1,119 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import request from "supertest";
+import { buildApp, startFake, signIn, boatPhoto } from "./helpers.js";
+
+const WEBHOOK_SECRET = `whsec_${Buffer.from("replicate-test-secret").toString("base64")}`;
+
+// A Pro user on a Replicate stand-in that refuses the prediction numbers in `state.refuse`.
+async function setup(t) {
+  let n = 0;
+  const state = { refuse: new Set() };
+  const output = await boatPhoto();
+  const replicate = await startFake({
+    "POST /v1/predictions": () => {
+      const id = ++n;
+      return state.refuse.has(id) ? [500, { detail: "model offline" }] : [201, { id: `pred-${id}`, status: "starting" }];
+    },
+    "GET /out.png": () => [200, output, "image/png"],
+  });
+  const built = await buildApp({
+    env: {
+      IMAGE_PROVIDER: "replicate",
+      REPLICATE_API_URL: `${replicate.url}/v1`,
+      REPLICATE_API_TOKEN: "r8_test",
+      OPENAI_API_KEY: "sk-test",
+      REPLICATE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+      PRO_DAILY_LIMIT: "6",
+    },
+  });
+  t.after(async () => { await built.cleanup(); await replicate.close(); });
+  const cookie = await signIn(built.app, built.mail, "skipper@example.com");
+  await built.pool.query("INSERT INTO subscriptions (user_id, plan, status) SELECT id, 'pro', 'active' FROM users WHERE email='skipper@example.com'");
+  return { ...built, replicate, state, cookie };
+}
+
+function succeed(app, replicate, id) {
+  const body = JSON.stringify({ id, status: "succeeded", output: [`${replicate.url}/out.png`] });
+  const msgId = `msg_${id}`;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const key = Buffer.from(WEBHOOK_SECRET.replace(/^whsec_/, ""), "base64");
+  const sig = crypto.createHmac("sha256", key).update(`${msgId}.${timestamp}.${body}`).digest("base64");
+  return request(app).post("/webhooks/replicate").set("Content-Type", "application/json")
+    .set("webhook-id", msgId).set("webhook-timestamp", timestamp).set("webhook-signature", `v1,${sig}`).send(body).expect(200);
+}
+
+const used = async (app, cookie) => (await request(app).get("/me/usage").set("Cookie", cookie).expect(200)).body.used;
+
+test("Pro uploads start one job per variation, each charged, and keep the chosen one", async (t) => {
+  const { app, mail, replicate, cookie } = await setup(t);
+  const upload = await request(app).post("/generate-image").set("Cookie", cookie)
+    .field("mode", "image").field("style", "watercolor").field("variations", "3")
+    .attach("boatImage", await boatPhoto(), "boat.png").expect(200);
+  assert.equal(upload.body.jobs.length, 3);
+  assert.equal(replicate.requests.length, 3);
+  assert.equal(await used(app, cookie), 3);
+  const inputs = new Set(replicate.requests.map((r) => r.body.input.input_images[0]));
+  assert.equal(inputs.size, 1, "every variation starts from the same input");
+
+  const url = `/generations/${upload.body.batch.id}`;
+  const [, second] = upload.body.jobs;
+  await request(app).post(`${url}/select`).set("Cookie", cookie).send({ jobId: second.id }).expect(409);
+  await succeed(app, replicate, "pred-2");
+
+  const { body: { batch } } = await request(app).get(url).set("Cookie", cookie).expect(200);
+  assert.deepEqual(batch.jobs.map((j) => [j.variant, j.status]), [[0, "starting"], [1, "succeeded"], [2, "starting"]]);
+  assert.equal(batch.done, false);
+  assert.equal(batch.options.style, "watercolor");
+  assert.equal(batch.options.prompt, undefined);
+
+  await request(app).post(`${url}/select`).set("Cookie", cookie).send({ jobId: "not-a-variation" }).expect(400);
+  const kept = await request(app).post(`${url}/select`).set("Cookie", cookie).send({ jobId: second.id }).expect(200);
+  assert.equal(kept.body.batch.selectedJobId, second.id);
+  assert.ok(kept.body.design.id);
+
+  const stranger = await signIn(app, mail, "stranger@example.com");
+  await request(app).get(url).set("Cookie", stranger).expect(404);
+  await request(app).post(`${url}/select`).set("Cookie", stranger).send({ jobId: second.id }).expect(404);
+});
+
+test("a batch is regenerated from the stored upload, within the quota", async (t) => {
+  const { app, pool, replicate, state, cookie } = await setup(t);
+  const upload = await request(app).post("/generate-image").set("Cookie", cookie)
+    .field("mode", "image").field("style", "watercolor").field("variations", "2")
+    .attach("boatImage", await boatPhoto(), "boat.png").expect(200);
+  const url = `/generations/${upload.body.batch.id}/regenerate`;
+
+  const again = await request(app).post(url).set("Cookie", cookie).send({ variations: 2 }).expect(200);
+  assert.deepEqual(again.body.batch.jobs.map((j) => j.variant), [0, 1, 2, 3]);
+  const [first, , third] = replicate.requests;
+  assert.equal(third.body.input.input_images[0], first.body.input.input_images[0]);
+  assert.equal(third.body.input.prompt, first.body.input.prompt);
+  assert.equal(await used(app, cookie), 4);
+
+  const over = await request(app).post(url).set("Cookie", cookie).send({ variations: 3 }).expect(429);
+  assert.match(over.body.error, /3 variations need 3 generations; 2 left/);
+  await request(app).post(url).set("Cookie", cookie).send({ variations: 5 }).expect(400);
+
+  // A variation the provider refuses is refunded; the others still start.
+  state.refuse.add(6);
+  const partial = await request(app).post(url).set("Cookie", cookie).send({ variations: 2 }).expect(200);
+  assert.equal(partial.body.jobs.length, 1);
+  assert.equal(await used(app, cookie), 5);
+
+  await pool.query("DELETE FROM subscriptions");
+  const lapsed = await request(app).post(url).set("Cookie", cookie).send({}).expect(403);
+  assert.equal(lapsed.body.upgrade, true, "watercolor is a Pro style");
+});
+
+test("free plans generate one variation at a time", async (t) => {
+  const { app, pool, replicate, cookie } = await setup(t);
+  await pool.query("DELETE FROM subscriptions");
+  const res = await request(app).post("/generate-image").set("Cookie", cookie)
+    .field("mode", "image").field("variations", "2")
+    .attach("boatImage", await boatPhoto(), "boat.png").expect(403);
+  assert.equal(res.body.upgrade, true);
+  assert.equal(replicate.requests.length, 0);
+  assert.equal(await used(app, cookie), 0);
+});
@@ -0,0 +1,74 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import request from "supertest";
+import { traceDesign } from "../lib/vectors.js";
+import { buildApp, signIn } from "./helpers.js";
+
+// 200px white canvas with squares drawn on it: [size, color] pairs, centred.
+function drawing(...squares) {
+  return Promise.all(
+    squares.map(async ([size, color]) => ({
+      input: await sharp({ create: { width: size, height: size, channels: 4, background: color } }).png().toBuffer(),
+      left: 100 - size / 2,
+      top: 100 - size / 2,
+    }))
+  ).then((layers) => sharp({ create: { width: 200, height: 200, channels: 4, background: "#ffffff" } }).composite(layers).png().toBuffer());
+}
+
+const paths = (svg) => [...svg.matchAll(/<path fill="([^"]+)" fill-rule="evenodd" d="([^"]+)"\/>/g)].map((m) => ({ fill: m[1], d: m[2] }));
+
+test("line art is traced as a single black path", async () => {
+  const svg = await traceDesign(await drawing([120, "#000000"], [80, "#ffffff"]));
+  assert.match(svg, /width="200" height="200" viewBox="0 0 200 200"/);
+  const [ink, ...rest] = paths(svg);
+  assert.deepEqual(rest, []);
+  assert.equal(ink.fill, "#000000");
+  const [outer, hole, ...more] = ink.d.split(/ (?=M)/);
+  assert.equal(outer, "M40 40 L160 40 L160 160 L40 160 Z");
+  assert.match(hole, /L60 140 L140 140 L140 60 Z$/, "the ring keeps its hole");
+  assert.deepEqual(more, []);
+});
+
+test("colour designs become flat layers, largest first, without the background", async () => {
+  const svg = await traceDesign(await drawing([120, "#d01010"], [40, "#1030d0"]));
+  const layers = paths(svg);
+  assert.equal(layers.length, 2);
+  assert.deepEqual(layers.map((l) => l.d), ["M40 40 L160 40 L160 160 L40 160 Z", "M80 80 L120 80 L120 120 L80 120 Z"], "each layer also covers the ones above it");
+  assert.ok(parseInt(layers[0].fill.slice(1, 3), 16) > 0xa0, `red layer first, got ${layers[0].fill}`);
+  assert.ok(parseInt(layers[1].fill.slice(5, 7), 16) > 0xa0, `blue layer second, got ${layers[1].fill}`);
+
+  assert.equal(paths(await traceDesign(await drawing([120, "#000000"]), { colors: 2 })).length, 1, "colors forces colour mode");
+  const blank = await sharp({ create: { width: 20, height: 20, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+  await assert.rejects(traceDesign(blank), /no opaque pixels/);
+});
+
+test("SVG downloads are Pro-only and traced once per colour count", async (t) => {
+  const { app, ctx, pool, mail, cleanup } = await buildApp();
+  t.after(cleanup);
+  const cookie = await signIn(app, mail, "rigger@example.com");
+  const { rows: [user] } = await pool.query("SELECT id FROM users WHERE email='rigger@example.com'");
+  const design = await ctx.persistDesign({ userId: user.id, mode: "image", externalId: "local-lines", buffer: await drawing([120, "#000000"], [80, "#ffffff"]) });
+  const url = `/designs/${design.id}.svg`;
+
+  await request(app).get(url).expect(401);
+  const free = await request(app).get(url).set("Cookie", cookie).expect(403);
+  assert.equal(free.body.upgrade, true);
+
+  await pool.query("INSERT INTO subscriptions (user_id, plan, status) VALUES ($1,'pro','active')", [user.id]);
+  await request(app).get(`${url}?colors=1`).set("Cookie", cookie).expect(400);
+  await request(app).get(`${url}?colors=17`).set("Cookie", cookie).expect(400);
+  const res = await request(app).get(`${url}?download=1`).set("Cookie", cookie).expect(200).expect("Content-Type", /^image\/svg\+xml/);
+  assert.equal(res.headers["content-disposition"], `attachment; filename="boat-design-${design.id}.svg"`);
+  assert.equal(paths(res.body.toString()).length, 1);
+
+  // Served from storage afterwards, even if the tracer would now produce something else.
+  await ctx.storage.put(`vectors/${design.id}-v1.svg`, Buffer.from("<svg>cached</svg>"), "image/svg+xml");
+  assert.equal((await request(app).get(url).set("Cookie", cookie).expect(200)).body.toString(), "<svg>cached</svg>");
+  await request(app).get(`${url}?colors=3`).set("Cookie", cookie).expect(200);
+  assert.ok(await ctx.storage.get(`vectors/${design.id}-v1-c3.svg`));
+
+  const stranger = await signIn(app, mail, "stranger@example.com");
+  await pool.query("INSERT INTO subscriptions (user_id, plan, status) SELECT id, 'pro', 'active' FROM users WHERE email='stranger@example.com'");
+  await request(app).get(url).set("Cookie", stranger).expect(404);
+});